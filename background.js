@@ -6,26 +6,44 @@
  * Обрабатывает сообщения, управляет регистрацией скриптов и валидацией
  */
 
+// ==================== ИМПОРТЫ ====================
+
+// Общие модули публикуют себя в globalThis.MBH
+import './protocol.js';
+import './settings.js';
+import './log.js';
+import './storage.js';
+import './i18n.js';
+import './profiles.js';
+import './visits.js';
+
+const { protocol, settings, log, storage, i18n, profiles, visits } = globalThis.MBH;
+const { ERROR_CODES } = protocol;
+
 // ==================== КОНСТАНТЫ ====================
 
 const CONSTANTS = {
-  VALID_ACTIONS: new Set([
-    'startScrolling', 'stopScrolling', 'updateSpeed',
-    'startFarm', 'stopFarm',
-    'startMine', 'stopMine'
-  ]),
   QUIZ_SCRIPT_ID: 'qh-main-hook',
   QUIZ_MATCHES: ['https://mangabuff.ru/quiz*', 'https://mangabuff.ru/quiz'],
   DOMAIN_PATTERN: /\b(?:^|\.)mangabuff\.ru$/i,
-  ERROR_MESSAGES: {
-    INVALID_MESSAGE: 'Неверное сообщение',
-    UNKNOWN_ACTION: 'Неизвестное действие',
-    NO_ACTIVE_TAB: 'Нет активной вкладки',
-    WRONG_DOMAIN: 'Откройте mangabuff.ru',
-    INVALID_URL: 'Некорректный URL вкладки',
-    TAB_SEND_ERROR: 'Ошибка при отправке в вкладку',
-    QUIZ_TOGGLE_ERROR: 'Ошибка при переключении квиза',
-    GENERIC_ERROR: 'Ошибка'
+  REGISTRY_KEY: 'tabRegistry',
+  MAX_TITLE_LENGTH: 200,
+  SPEED_STEP: 10,
+  BADGE_DELAY: 200,
+  // Chrome показывает на значке около 4 символов
+  BADGE_MAX_LENGTH: 4,
+  STALE_ALARM: 'mbh-stale-check',
+  STALE_CHECK_MINUTES: 1,
+  SESSION_ALARM: 'mbh-session-deadline',
+  SESSION_KEY: 'sessionDeadline',
+  NOTIFICATION_PREFIX: 'mbh-tab-',
+  NOTIFICATION_ICON: 'icons/icon128.png',
+  BADGE_COLORS: {
+    SCROLL: '#2784b6',
+    MINE: '#8d6e63',
+    FARM: '#28a745',
+    STALE: '#ffb020',
+    ERROR: '#dc3545'
   }
 };
 
@@ -39,6 +57,12 @@ const chromeAsync = {
     query: (opts) => new Promise(resolve => 
       chrome.tabs.query(opts, resolve)
     ),
+    get: (tabId) => new Promise(resolve =>
+      chrome.tabs.get(tabId, tab => resolve(chrome.runtime.lastError ? null : tab))
+    ),
+    update: (tabId, props) => new Promise(resolve =>
+      chrome.tabs.update(tabId, props, tab => resolve(chrome.runtime.lastError ? null : tab))
+    ),
     sendMessage: (tabId, msg) => new Promise((resolve, reject) => {
       chrome.tabs.sendMessage(tabId, msg, resp => {
         if (chrome.runtime.lastError) {
@@ -48,14 +72,29 @@ const chromeAsync = {
       });
     })
   },
+  // Хранилище через общий слой (sync/local/session по схеме)
   storage: {
-    get: (keys) => new Promise(resolve => 
-      chrome.storage.sync.get(keys, resolve)
-    ),
-    set: (obj) => new Promise(resolve => 
-      chrome.storage.sync.set(obj, resolve)
+    get: (keys) => storage.get(keys),
+    set: (obj) => storage.set(obj)
+  },
+  windows: {
+    focus: (windowId) => new Promise(resolve =>
+      chrome.windows.update(windowId, { focused: true }, () => {
+        void chrome.runtime.lastError;
+        resolve();
+      })
     )
   },
+  notifications: {
+    create: (id, opts) => new Promise((resolve, reject) => {
+      chrome.notifications.create(id, opts, notificationId => {
+        if (chrome.runtime.lastError) {
+          return reject(chrome.runtime.lastError);
+        }
+        resolve(notificationId);
+      });
+    })
+  },
   scripting: {
     register: (scripts) => chrome.scripting?.registerContentScripts?.(scripts),
     unregister: (opts) => chrome.scripting?.unregisterContentScripts?.(opts)
@@ -65,13 +104,503 @@ const chromeAsync = {
 /**
  * Логгер с префиксом
  */
-const logger = {
-  info: (...args) => console.log('[MBH][bg]', ...args),
-  warn: (...args) => console.warn('[MBH][bg]', ...args),
-  error: (...args) => console.error('[MBH][bg]', ...args),
-  debug: (...args) => console.debug?.('[MBH][bg]', ...args)
+const logger = log.createLogger('bg');
+
+// Квоты записи sync общие для всех контекстов расширения: пишет только background,
+// popup, options и вкладки присылают пачки действием writeSync
+storage.ownSync();
+
+// ==================== ДИАГНОСТИЧЕСКИЙ ЖУРНАЛ ====================
+
+/**
+ * Кольцевой буфер журнала. Background - единственный писатель,
+ * content scripts присылают записи действием appendLog.
+ * Буфер живет в памяти: каждое изменение local получают все контексты,
+ * включая content scripts вкладок, поэтому в хранилище он сохраняется
+ * только по запросу просмотра (getLog) и перед остановкой service worker
+ */
+const logStore = {
+  buffer: [],
+  loading: null,
+  dirty: false
+};
+
+/**
+ * Загружает буфер журнала из хранилища (один раз за жизнь service worker)
+ * @returns {Promise<void>}
+ */
+function loadLogBuffer() {
+  if (!logStore.loading) {
+    logStore.loading = settings.read([log.STORAGE_KEY]).then(data => {
+      logStore.buffer = data[log.STORAGE_KEY];
+    });
+  }
+  return logStore.loading;
+}
+
+/**
+ * Сохраняет буфер журнала, если в нем есть несохраненные записи
+ * @returns {Promise<void>}
+ */
+async function persistLog() {
+  if (!logStore.dirty) return;
+  logStore.dirty = false;
+
+  const ok = await storage.set({ [log.STORAGE_KEY]: logStore.buffer });
+  if (!ok) {
+    // Нет места - оставляем свежую половину буфера до следующего сохранения
+    logStore.buffer = logStore.buffer.slice(-Math.floor(logStore.buffer.length / 2));
+    logStore.dirty = true;
+  }
+}
+
+/**
+ * Добавляет записи в журнал
+ * @param {Array<Object>} entries - Записи
+ * @param {number} [tabId] - Вкладка-источник
+ * @returns {Promise<void>}
+ */
+async function appendLogEntries(entries, tabId) {
+  const safe = entries
+    .map(entry => log.normalizeEntry(tabId != null ? { ...entry, tabId } : entry))
+    .filter(Boolean);
+  if (!safe.length) return;
+
+  await loadLogBuffer();
+  logStore.buffer = log.append(logStore.buffer, safe);
+  logStore.dirty = true;
+}
+
+// Записи самого background идут в буфер напрямую
+log.setSink(entries => appendLogEntries(entries));
+
+// ==================== РЕЕСТР ВКЛАДОК ====================
+
+/**
+ * Подключенные вкладки mangabuff и их функции.
+ * Хранится в session, чтобы пережить перезапуск service worker;
+ * lastSeen - время последнего сообщения от самой вкладки (пульс)
+ */
+const registryStore = {
+  tabs: {},
+  loading: null
 };
 
+/**
+ * Загружает реестр из хранилища (один раз за жизнь service worker)
+ * @returns {Promise<void>}
+ */
+function loadRegistry() {
+  if (!registryStore.loading) {
+    registryStore.loading = settings.read([CONSTANTS.REGISTRY_KEY]).then(data => {
+      registryStore.tabs = data[CONSTANTS.REGISTRY_KEY];
+    });
+  }
+  return registryStore.loading;
+}
+
+/**
+ * Сохраняет реестр (popup и страница настроек читают его из хранилища)
+ * @returns {Promise<boolean>}
+ */
+function saveRegistry() {
+  return storage.set({ [CONSTANTS.REGISTRY_KEY]: registryStore.tabs });
+}
+
+/**
+ * Приводит счетчики вкладки к {hitsLeft: number|null}
+ * @param {Object} [counters] - Сырые счетчики
+ * @returns {Object}
+ */
+function normalizeCounters(counters) {
+  const hitsLeft = counters?.hitsLeft;
+  return {
+    hitsLeft: Number.isInteger(hitsLeft) && hitsLeft >= 0 ? hitsLeft : null
+  };
+}
+
+/**
+ * Обновляет запись вкладки
+ * @param {number} tabId - ID вкладки
+ * @param {Object} patch - Изменяемые поля записи
+ * @returns {Promise<Object>} - Запись после изменения
+ */
+async function updateRegistryEntry(tabId, patch) {
+  await loadRegistry();
+
+  const previous = registryStore.tabs[tabId] || {};
+  const entry = {
+    url: '',
+    title: '',
+    page: 'other',
+    ...previous,
+    ...patch,
+    features: protocol.normalizeFeatures(patch.features || previous.features),
+    counters: normalizeCounters(patch.counters || previous.counters),
+    updatedAt: Date.now()
+  };
+
+  registryStore.tabs[tabId] = entry;
+  await saveRegistry();
+  return entry;
+}
+
+/**
+ * Удаляет вкладку из реестра
+ * @param {number} tabId - ID вкладки
+ * @returns {Promise<void>}
+ */
+async function removeRegistryEntry(tabId) {
+  await loadRegistry();
+  if (!(tabId in registryStore.tabs)) return;
+
+  delete registryStore.tabs[tabId];
+  await saveRegistry();
+  logger.debug('Вкладка удалена из реестра:', tabId);
+}
+
+/**
+ * ID зарегистрированных вкладок
+ * @returns {Promise<Array<number>>}
+ */
+async function registeredTabIds() {
+  await loadRegistry();
+  return Object.keys(registryStore.tabs).map(Number);
+}
+
+/**
+ * Запрашивает состояние у content script вкладки и обновляет запись.
+ * Закрытые вкладки удаляются; молчащая вкладка сохраняет старый lastSeen
+ * и отображается как «нет ответа», если у нее есть запущенные функции
+ * @param {number} tabId - ID вкладки
+ * @returns {Promise<boolean>} - true, если вкладка ответила
+ */
+async function probeTab(tabId) {
+  const tab = await chromeAsync.tabs.get(tabId);
+  if (!tab || !validateTabUrl(tab.url).valid) {
+    await removeRegistryEntry(tabId);
+    return false;
+  }
+
+  try {
+    const response = await chromeAsync.tabs.sendMessage(tabId, { action: 'getStatus' });
+    if (!response?.success) return false;
+
+    await updateRegistryEntry(tabId, {
+      url: tab.url,
+      page: response.page,
+      features: response.features,
+      counters: response.counters,
+      lastSeen: Date.now()
+    });
+    return true;
+  } catch (err) {
+    logger.warn('Вкладка не отвечает:', tabId, err?.message || err);
+    return false;
+  }
+}
+
+/**
+ * Проверяет все вкладки реестра
+ * @returns {Promise<Object>} - {alive, silent}
+ */
+async function probeAllTabs() {
+  let alive = 0;
+  let silent = 0;
+
+  for (const tabId of await registeredTabIds()) {
+    if (await probeTab(tabId)) alive++;
+    else if (tabId in registryStore.tabs) silent++;
+  }
+
+  return { alive, silent };
+}
+
+/**
+ * Восстанавливает картину вкладок после перезапуска service worker
+ * @returns {Promise<void>}
+ */
+async function recoverRegistry() {
+  const { alive, silent } = await probeAllTabs();
+  if (alive || silent) {
+    logger.info(`Реестр вкладок восстановлен: отвечают ${alive}, молчат ${silent}`);
+  }
+}
+
+// ==================== ЗНАЧОК РАСШИРЕНИЯ ====================
+
+/**
+ * Ключи хранилища, от которых зависит значок
+ */
+const BADGE_KEYS = [
+  CONSTANTS.REGISTRY_KEY,
+  'chapterRead',
+  'chapterLimit',
+  CONSTANTS.SESSION_KEY,
+  'lastAutoCommentError',
+  storage.ERROR_KEY
+];
+
+const badgeState = {
+  timer: null
+};
+
+/**
+ * Название вкладки для подсказки
+ * @param {Object} entry - Запись реестра
+ * @returns {string}
+ */
+function tabLabel(entry) {
+  return entry.title ? i18n.t('bg_tab_title', entry.title) : entry.url || i18n.t('bg_tab_fallback');
+}
+
+/**
+ * Число для значка не длиннее 4 символов: 999, 1.2k, 12k, 1.2M
+ * @param {number} value - Неотрицательное целое
+ * @returns {string}
+ */
+function compactNumber(value) {
+  if (value < 1000) return String(value);
+
+  for (const [scale, suffix] of [[1e6, 'M'], [1e3, 'k']]) {
+    if (value < scale) continue;
+    const scaled = value / scale;
+    const text = scaled < 10 ? String(Math.floor(scaled * 10) / 10) : String(Math.floor(scaled));
+    if (text.length < CONSTANTS.BADGE_MAX_LENGTH) return `${text}${suffix}`;
+  }
+  return '999M';
+}
+
+/**
+ * Прогресс глав для значка: "прочитано/лимит", если помещается, иначе прочитано
+ * @param {number} read - Прочитано глав
+ * @param {number} limit - Лимит (0 - без лимита)
+ * @returns {string}
+ */
+function badgeChapters(read, limit) {
+  const full = `${read}/${limit}`;
+  return limit && full.length <= CONSTANTS.BADGE_MAX_LENGTH ? full : compactNumber(read);
+}
+
+/**
+ * Вычисляет текст, цвет и подсказку значка
+ * Приоритет текста: ошибка, нет ответа, прокрутка, шахта, фарм
+ * @param {Object} data - Значения BADGE_KEYS
+ * @returns {Object} - {text, color, title}
+ */
+function computeBadge(data) {
+  const entries = Object.values(data[CONSTANTS.REGISTRY_KEY]);
+  const running = feature => entries.filter(entry => entry.features?.[feature]);
+
+  const scrolling = running('autoScroll');
+  const mining = running('mine');
+  const farming = running('farm');
+  const stale = entries.filter(entry => protocol.getStaleFeatures(entry).length);
+  const error = data.lastAutoCommentError || data[storage.ERROR_KEY];
+
+  const { chapterRead, chapterLimit } = data;
+  const chapters = chapterLimit ? `${chapterRead}/${chapterLimit}` : String(chapterRead);
+
+  const lines = [i18n.t('ext_name')];
+  scrolling.forEach(entry => lines.push(i18n.t('bg_tooltip_scroll', tabLabel(entry), chapters)));
+  const deadline = data[CONSTANTS.SESSION_KEY];
+  if (scrolling.length && deadline > Date.now()) {
+    const time = new Date(deadline).toLocaleTimeString(i18n.t('language_code'), { hour: '2-digit', minute: '2-digit' });
+    lines.push(i18n.t('bg_tooltip_session', time));
+  }
+  mining.forEach(entry => {
+    const hits = entry.counters?.hitsLeft;
+    lines.push(hits != null
+      ? i18n.t('bg_tooltip_mine_hits', tabLabel(entry), hits)
+      : i18n.t('bg_tooltip_mine', tabLabel(entry)));
+  });
+  farming.forEach(entry => lines.push(i18n.t('bg_tooltip_farm', tabLabel(entry))));
+  stale.forEach(entry => lines.push(i18n.t('bg_tooltip_stale', tabLabel(entry))));
+  if (error) lines.push(i18n.t('bg_tooltip_error', error));
+  if (lines.length === 1) lines.push(i18n.t('bg_tooltip_idle'));
+
+  const colors = CONSTANTS.BADGE_COLORS;
+  let text = '';
+  let color = colors.SCROLL;
+
+  if (error) {
+    text = '!';
+    color = colors.ERROR;
+  } else if (stale.length) {
+    text = '?';
+    color = colors.STALE;
+  } else if (scrolling.length) {
+    text = badgeChapters(chapterRead, chapterLimit);
+    color = colors.SCROLL;
+  } else if (mining.length) {
+    const hits = mining[0].counters?.hitsLeft;
+    text = hits != null ? compactNumber(hits) : i18n.t('badge_mine');
+    color = colors.MINE;
+  } else if (farming.length) {
+    text = i18n.t('badge_farm');
+    color = colors.FARM;
+  }
+
+  return {
+    text: text.slice(0, CONSTANTS.BADGE_MAX_LENGTH),
+    color,
+    title: lines.join('\n'),
+    running: scrolling.length + mining.length + farming.length > 0
+  };
+}
+
+/**
+ * Включает периодическую проверку молчащих вкладок, пока что-то запущено
+ * (service worker без сообщений засыпает, таймеры в нем не живут)
+ * @param {boolean} running - Есть запущенные функции
+ * @returns {Promise<void>}
+ */
+async function syncStaleAlarm(running) {
+  if (!chrome.alarms) return;
+
+  const existing = await chrome.alarms.get(CONSTANTS.STALE_ALARM);
+  if (running && !existing) {
+    await chrome.alarms.create(CONSTANTS.STALE_ALARM, {
+      periodInMinutes: CONSTANTS.STALE_CHECK_MINUTES
+    });
+  } else if (!running && existing) {
+    await chrome.alarms.clear(CONSTANTS.STALE_ALARM);
+  }
+}
+
+/**
+ * Проверка по будильнику: опрашивает молчащие вкладки и обновляет значок
+ * @returns {Promise<void>}
+ */
+async function checkStaleTabs() {
+  await loadRegistry();
+
+  const silent = Object.keys(registryStore.tabs)
+    .filter(tabId => protocol.getStaleFeatures(registryStore.tabs[tabId]).length);
+  for (const tabId of silent) {
+    await probeTab(Number(tabId));
+  }
+
+  await updateBadge();
+}
+
+/**
+ * Обновляет значок расширения по текущему состоянию
+ * @returns {Promise<void>}
+ */
+async function updateBadge() {
+  if (!chrome.action?.setBadgeText) return;
+
+  const data = await settings.read(BADGE_KEYS);
+  await i18n.ready();
+  const { text, color, title, running } = computeBadge(data);
+
+  await chrome.action.setBadgeText({ text });
+  await chrome.action.setBadgeBackgroundColor({ color });
+  await chrome.action.setTitle({ title });
+  await syncStaleAlarm(running);
+}
+
+/**
+ * Планирует обновление значка (изменения хранилища приходят пачками)
+ */
+function scheduleBadgeUpdate() {
+  clearTimeout(badgeState.timer);
+  badgeState.timer = setTimeout(() => {
+    updateBadge().catch(err => logger.warn('Ошибка обновления значка:', err));
+  }, CONSTANTS.BADGE_DELAY);
+}
+
+// ==================== СРОК СЕССИИ ====================
+
+/**
+ * Ставит будильник на срок сессии автопрокрутки (или снимает, если срока нет).
+ * Вкладка сама следит за сроком, пока крутит страницу; будильник нужен
+ * для приостановленных и замороженных браузером вкладок и переживает
+ * перезапуск service worker
+ * @returns {Promise<void>}
+ */
+async function syncSessionAlarm() {
+  if (!chrome.alarms) return;
+
+  const { [CONSTANTS.SESSION_KEY]: deadline } = await settings.read([CONSTANTS.SESSION_KEY]);
+  if (deadline > Date.now()) {
+    await chrome.alarms.create(CONSTANTS.SESSION_ALARM, { when: deadline });
+  } else {
+    await chrome.alarms.clear(CONSTANTS.SESSION_ALARM);
+  }
+}
+
+/**
+ * Срок сессии истек: вкладки с автопрокруткой останавливаются
+ * (или дочитывают главу - решает вкладка по sessionFinishChapter)
+ * @returns {Promise<void>}
+ */
+async function endScrollSessions() {
+  await loadRegistry();
+
+  const scrolling = Object.keys(registryStore.tabs)
+    .filter(tabId => registryStore.tabs[tabId].features?.autoScroll);
+
+  for (const tabId of scrolling) {
+    const tab = await chromeAsync.tabs.get(Number(tabId));
+    if (tab) await sendToTab(tab, { action: 'endSession', tabId: tab.id });
+  }
+  logger.info(`Срок сессии автопрокрутки истек, вкладок: ${scrolling.length}`);
+}
+
+// ==================== УВЕДОМЛЕНИЯ ====================
+
+/**
+ * Показывает уведомление о событии вкладки, если оно включено в настройках.
+ * ID уведомления содержит tabId, чтобы клик работал и после перезапуска
+ * service worker
+ * @param {string} event - Значение из protocol.EVENTS
+ * @param {string} text - Текст
+ * @param {Object} [tab] - Вкладка-источник
+ * @returns {Promise<boolean>} - true, если уведомление показано
+ */
+async function showNotification(event, text, tab) {
+  if (!chrome.notifications) return false;
+
+  const { notifications } = await settings.read(['notifications']);
+  if (!notifications[event]) return false;
+
+  // Заголовок по событию: notification_<событие> в _locales
+  await i18n.ready();
+  const title = i18n.t(`notification_${event}`);
+
+  const id = `${CONSTANTS.NOTIFICATION_PREFIX}${tab?.id ?? 'none'}-${Date.now()}`;
+  await chromeAsync.notifications.create(id, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL(CONSTANTS.NOTIFICATION_ICON),
+    title,
+    message: text || title,
+    contextMessage: tab?.title || ''
+  });
+
+  return true;
+}
+
+/**
+ * Переключает на вкладку, из которой пришло уведомление
+ * @param {string} notificationId - ID уведомления
+ * @returns {Promise<void>}
+ */
+async function handleNotificationClick(notificationId) {
+  if (!notificationId.startsWith(CONSTANTS.NOTIFICATION_PREFIX)) return;
+
+  chrome.notifications.clear(notificationId);
+
+  const tabId = parseInt(notificationId.slice(CONSTANTS.NOTIFICATION_PREFIX.length), 10);
+  if (!Number.isInteger(tabId)) return;
+
+  const tab = await chromeAsync.tabs.update(tabId, { active: true });
+  if (tab) {
+    await chromeAsync.windows.focus(tab.windowId);
+  }
+}
+
 // ==================== РЕГИСТРАЦИЯ КВИЗ-СКРИПТА ====================
 
 /**
@@ -143,54 +672,29 @@ async function initQuizRegistration() {
 
 // ==================== ВАЛИДАЦИЯ ====================
 
-/**
- * Валидирует сообщение
- * @param {Object} msg - Сообщение для валидации
- * @returns {Object} - {valid: boolean, error?: string}
- */
-function validateMessage(msg) {
-  if (!msg || typeof msg.action !== 'string') {
-    return { 
-      valid: false, 
-      error: CONSTANTS.ERROR_MESSAGES.INVALID_MESSAGE 
-    };
-  }
-  return { valid: true };
-}
-
 /**
  * Валидирует URL вкладки
  * @param {string} url - URL для проверки
- * @returns {Object} - {valid: boolean, error?: string}
+ * @returns {Object} - {valid: true} или {valid: false, response}
  */
 function validateTabUrl(url) {
   try {
     const urlObj = new URL(url);
     if (!CONSTANTS.DOMAIN_PATTERN.test(urlObj.hostname)) {
-      return { 
-        valid: false, 
-        error: CONSTANTS.ERROR_MESSAGES.WRONG_DOMAIN 
+      return {
+        valid: false,
+        response: protocol.fail(ERROR_CODES.WRONG_DOMAIN)
       };
     }
     return { valid: true };
   } catch (err) {
-    return { 
-      valid: false, 
-      error: CONSTANTS.ERROR_MESSAGES.INVALID_URL 
+    return {
+      valid: false,
+      response: protocol.fail(ERROR_CODES.INVALID_URL)
     };
   }
 }
 
-/**
- * Безопасная нормализация скорости прокрутки
- * @param {*} speed - Значение скорости
- * @returns {number} - Безопасное значение
- */
-function normalizeSpeed(speed) {
-  const num = Number(speed);
-  return Number.isFinite(num) ? Math.max(1, Math.floor(num)) : 50;
-}
-
 // ==================== ОБРАБОТЧИКИ ДЕЙСТВИЙ ====================
 
 /**
@@ -200,22 +704,19 @@ function normalizeSpeed(speed) {
  */
 async function handleSetQuiz(msg) {
   try {
-    const enabled = Boolean(msg.enabled);
+    const enabled = msg.enabled;
     await chromeAsync.storage.set({ quizHighlight: enabled });
-    
+
     if (enabled) {
       await registerQuizContentScript();
     } else {
       await unregisterQuizContentScript();
     }
-    
-    return { success: true };
+
+    return protocol.ok();
   } catch (err) {
     logger.error('Ошибка переключения квиза:', err);
-    return { 
-      success: false, 
-      error: err?.message || CONSTANTS.ERROR_MESSAGES.QUIZ_TOGGLE_ERROR 
-    };
+    return protocol.failFromError(err, ERROR_CODES.QUIZ_TOGGLE_ERROR);
   }
 }
 
@@ -225,58 +726,373 @@ async function handleSetQuiz(msg) {
  * @returns {Promise<Object>} - Результат операции
  */
 async function handleUpdateSpeed(msg) {
-  const safeSpeed = normalizeSpeed(msg.speed);
+  const safeSpeed = settings.normalize('scrollSpeed', msg.speed);
   await chromeAsync.storage.set({ scrollSpeed: safeSpeed });
-  return { success: true };
+  return protocol.ok();
 }
 
 /**
- * Обрабатывает стандартные действия (пересылка в content script)
+ * Обрабатывает действие applyProfile
+ * Настройки профиля пишутся одной записью, content scripts всех вкладок
+ * mangabuff получают их через одно событие хранилища
  * @param {Object} msg - Сообщение с параметрами
  * @returns {Promise<Object>} - Результат операции
  */
-async function handleStandardAction(msg) {
-  // Валидация действия
-  if (!CONSTANTS.VALID_ACTIONS.has(msg.action)) {
-    return { 
-      success: false, 
-      error: CONSTANTS.ERROR_MESSAGES.UNKNOWN_ACTION 
-    };
+async function handleApplyProfile(msg) {
+  const applied = await profiles.apply(msg.profileId);
+  if (!applied) {
+    return protocol.fail(ERROR_CODES.PROFILE_NOT_FOUND);
+  }
+
+  // Регистрация квиз-скрипта зависит от quizHighlight профиля
+  await initQuizRegistration();
+
+  logger.info('Применен профиль:', msg.profileId);
+  return protocol.ok({ profileId: msg.profileId });
+}
+
+/**
+ * Обрабатывает действие appendLog
+ * @param {Object} msg - Сообщение с записями
+ * @param {Object} sender - Отправитель (tabId берется из него)
+ * @returns {Promise<Object>} - Результат операции
+ */
+async function handleAppendLog(msg, sender) {
+  await appendLogEntries(msg.entries, sender?.tab?.id);
+  return protocol.ok();
+}
+
+/**
+ * Обрабатывает действие getLog: записи журнала для просмотра в options.
+ * Заодно сохраняет буфер, пока service worker жив
+ * @returns {Promise<Object>} - Результат с записями
+ */
+async function handleGetLog() {
+  await loadLogBuffer();
+  await persistLog();
+  return protocol.ok({ entries: logStore.buffer });
+}
+
+/**
+ * Обрабатывает действие clearLog
+ * @returns {Promise<Object>} - Результат операции
+ */
+async function handleClearLog() {
+  await loadLogBuffer();
+  logStore.buffer = [];
+  logStore.dirty = false;
+
+  await storage.set({ [log.STORAGE_KEY]: [] });
+  return protocol.ok();
+}
+
+/**
+ * Обрабатывает действие writeSync: пачка записей в sync из другого контекста
+ * встает в общую очередь с лимитом частоты
+ * @param {Object} msg - Сообщение со значениями
+ * @returns {Promise<Object>} - Результат операции
+ */
+async function handleWriteSync(msg) {
+  const ok = await storage.acceptSync(msg.values);
+  return ok ? protocol.ok() : protocol.fail(ERROR_CODES.STORAGE_ERROR);
+}
+
+/**
+ * Обрабатывает действие registerTab (content script при загрузке страницы)
+ * Функции вкладки сохраняются при переходе на следующую главу в той же вкладке
+ * @param {Object} msg - Сообщение с параметрами
+ * @param {Object} sender - Отправитель (вкладка)
+ * @returns {Promise<Object>} - {tabId, features} для восстановления
+ */
+async function handleRegisterTab(msg, sender) {
+  const tab = sender?.tab;
+  if (tab?.id == null) {
+    return protocol.fail(ERROR_CODES.NOT_A_TAB);
   }
 
-  // Получение активной вкладки
-  const tabs = await chromeAsync.tabs.query({ 
-    active: true, 
-    currentWindow: true 
+  const entry = await updateRegistryEntry(tab.id, {
+    url: tab.url || '',
+    title: (msg.title || tab.title || '').slice(0, CONSTANTS.MAX_TITLE_LENGTH),
+    page: msg.page,
+    lastSeen: Date.now()
   });
-  
-  const tab = tabs?.[0];
-  if (!tab) {
-    return { 
-      success: false, 
-      error: CONSTANTS.ERROR_MESSAGES.NO_ACTIVE_TAB 
-    };
+
+  logger.debug('Вкладка зарегистрирована:', tab.id, msg.page);
+  return protocol.ok({ tabId: tab.id, features: entry.features });
+}
+
+/**
+ * Обрабатывает действие reportFeatures: вкладка запустила или остановила
+ * функцию, либо периодический пульс (protocol.HEARTBEAT)
+ * @param {Object} msg - Сообщение с флагами функций
+ * @param {Object} sender - Отправитель (вкладка)
+ * @returns {Promise<Object>} - Результат операции
+ */
+async function handleReportFeatures(msg, sender) {
+  const tab = sender?.tab;
+  if (tab?.id == null) {
+    return protocol.fail(ERROR_CODES.NOT_A_TAB);
+  }
+
+  const patch = { features: msg.features, lastSeen: Date.now() };
+  if (msg.page) patch.page = msg.page;
+  if (msg.counters) patch.counters = msg.counters;
+
+  await updateRegistryEntry(tab.id, patch);
+  return protocol.ok();
+}
+
+/**
+ * Обрабатывает действие checkTabs (popup при открытии):
+ * опрашивает вкладки, чтобы не показывать устаревшие индикаторы
+ * @returns {Promise<Object>} - {alive, silent}
+ */
+async function handleCheckTabs() {
+  return protocol.ok(await probeAllTabs());
+}
+
+/**
+ * Обрабатывает действие recordVisit: вкладка открыла главу или обновила
+ * время чтения (база истории в origin расширения, поэтому пишет background)
+ * @param {Object} msg - Сообщение с записью
+ * @param {Object} sender - Отправитель (вкладка)
+ * @returns {Promise<Object>} - Результат операции
+ */
+async function handleRecordVisit(msg, sender) {
+  if (sender?.tab?.id == null) {
+    return protocol.fail(ERROR_CODES.NOT_A_TAB);
   }
 
+  if (!(await visits.put(msg.visit))) {
+    return protocol.fail(ERROR_CODES.INVALID_PARAMS);
+  }
+  return protocol.ok();
+}
+
+/**
+ * Обрабатывает действие notify (событие во вкладке: задача завершилась или сломалась)
+ * @param {Object} msg - Сообщение с событием
+ * @param {Object} sender - Отправитель (вкладка)
+ * @returns {Promise<Object>} - {shown}
+ */
+async function handleNotify(msg, sender) {
+  if (!Object.values(protocol.EVENTS).includes(msg.event)) {
+    return protocol.fail(ERROR_CODES.INVALID_PARAMS, `${protocol.ERROR_MESSAGES.INVALID_PARAMS}: event`);
+  }
+
+  logger.info('Событие вкладки:', msg.event, msg.text || '');
+
+  try {
+    const shown = await showNotification(msg.event, msg.text, sender?.tab);
+    return protocol.ok({ shown });
+  } catch (err) {
+    logger.warn('Ошибка показа уведомления:', err);
+    return protocol.failFromError(err);
+  }
+}
+
+/**
+ * Обработчики действий, выполняемых в service worker
+ */
+const BACKGROUND_HANDLERS = {
+  setQuiz: handleSetQuiz,
+  updateSpeed: handleUpdateSpeed,
+  applyProfile: handleApplyProfile,
+  appendLog: handleAppendLog,
+  getLog: handleGetLog,
+  clearLog: handleClearLog,
+  writeSync: handleWriteSync,
+  registerTab: handleRegisterTab,
+  reportFeatures: handleReportFeatures,
+  checkTabs: handleCheckTabs,
+  recordVisit: handleRecordVisit,
+  notify: handleNotify
+};
+
+/**
+ * Отправляет действие в content script вкладки
+ * @param {Object} tab - Вкладка
+ * @param {Object} msg - Сообщение с параметрами
+ * @returns {Promise<Object>} - Результат операции
+ */
+async function sendToTab(tab, msg) {
   // Валидация URL
   const urlValidation = validateTabUrl(tab.url);
   if (!urlValidation.valid) {
-    return { success: false, error: urlValidation.error };
+    return urlValidation.response;
   }
 
   // Отправка сообщения в content script
   try {
     const response = await chromeAsync.tabs.sendMessage(tab.id, msg);
-    return response || { success: true };
+    return response || protocol.ok();
   } catch (err) {
     logger.error('Ошибка отправки в вкладку:', err);
-    return { 
-      success: false, 
-      error: err?.message || CONSTANTS.ERROR_MESSAGES.TAB_SEND_ERROR 
-    };
+    return protocol.failFromError(err, ERROR_CODES.TAB_SEND_ERROR);
   }
 }
 
+/**
+ * Рассылает действие во все зарегистрированные вкладки
+ * @param {Object} msg - Сообщение с параметрами
+ * @returns {Promise<Object>} - {results: {tabId: ответ}}, успех - если ответила хотя бы одна
+ */
+async function broadcastTabAction(msg) {
+  const results = {};
+
+  for (const tabId of await registeredTabIds()) {
+    const tab = await chromeAsync.tabs.get(tabId);
+    if (!tab) {
+      // Вкладка закрылась, а onRemoved не дошел (service worker спал)
+      await removeRegistryEntry(tabId);
+      continue;
+    }
+    results[tabId] = await sendToTab(tab, { ...msg, tabId });
+  }
+
+  const responses = Object.values(results);
+  if (!responses.length) {
+    return protocol.fail(ERROR_CODES.NO_REGISTERED_TABS);
+  }
+
+  const failed = responses.filter(response => !response?.success);
+  return failed.length === responses.length
+    ? { ...failed[0], results }
+    : protocol.ok({ results });
+}
+
+/**
+ * Пересылает действие в content script вкладки (msg.tabId или активной)
+ * или во все вкладки (msg.broadcast)
+ * @param {Object} msg - Сообщение с параметрами
+ * @returns {Promise<Object>} - Результат операции
+ */
+async function handleTabAction(msg) {
+  if (msg.broadcast) {
+    const { broadcast, ...single } = msg;
+    return broadcastTabAction(single);
+  }
+
+  // Указанная вкладка (список вкладок, страница настроек) или активная вкладка (popup)
+  const tab = msg.tabId != null
+    ? await chromeAsync.tabs.get(msg.tabId)
+    : (await chromeAsync.tabs.query({ active: true, currentWindow: true }))?.[0];
+
+  if (!tab) {
+    return protocol.fail(ERROR_CODES.NO_ACTIVE_TAB);
+  }
+
+  return sendToTab(tab, msg);
+}
+
+// ==================== ГОРЯЧИЕ КЛАВИШИ ====================
+
+/**
+ * Показывает короткое сообщение на странице вкладки
+ * (вкладки без content script молча пропускаются)
+ * @param {Object} tab - Вкладка
+ * @param {string} text - Текст
+ * @returns {Promise<void>}
+ */
+async function showFeedback(tab, text) {
+  if (!tab || !validateTabUrl(tab.url).valid) return;
+
+  try {
+    await chromeAsync.tabs.sendMessage(tab.id, { action: 'showFeedback', text });
+  } catch (err) {
+    logger.debug('Сообщение на странице не показано:', err?.message || err);
+  }
+}
+
+/**
+ * Переключает функцию во вкладке по ее записи в реестре
+ * @param {Object} tab - Активная вкладка
+ * @param {string} feature - Имя функции из protocol.FEATURES
+ * @returns {Promise<void>}
+ */
+async function toggleTabFeature(tab, feature) {
+  await loadRegistry();
+
+  const enabled = protocol.normalizeFeatures(registryStore.tabs[tab.id]?.features)[feature];
+  const { start, stop } = protocol.FEATURES[feature];
+  const msg = { action: enabled ? stop : start, tabId: tab.id };
+
+  if (msg.action === 'startScrolling') {
+    const { chapterLimit } = await settings.read(['chapterLimit']);
+    msg.chapterLimit = chapterLimit;
+  }
+
+  const response = await sendToTab(tab, msg);
+  await showFeedback(tab, response?.success
+    ? i18n.t('feedback_feature', i18n.t(`feature_${feature}`), i18n.t(enabled ? 'state_off' : 'state_on'))
+    : response?.error || protocol.ERROR_MESSAGES.GENERIC_ERROR
+  );
+}
+
+/**
+ * Меняет скорость прокрутки на шаг
+ * @param {Object} tab - Активная вкладка
+ * @param {number} direction - 1 или -1
+ * @returns {Promise<void>}
+ */
+async function stepScrollSpeed(tab, direction) {
+  const { scrollSpeed } = await settings.read(['scrollSpeed']);
+  const speed = settings.normalize('scrollSpeed', scrollSpeed + direction * CONSTANTS.SPEED_STEP);
+
+  // Отклик сразу: запись в sync идет с задержкой
+  await showFeedback(tab, i18n.t('feedback_speed', speed));
+  await handleUpdateSpeed({ speed });
+}
+
+/**
+ * Останавливает все функции во всех вкладках
+ * @param {Object} tab - Активная вкладка
+ * @returns {Promise<void>}
+ */
+async function stopEverything(tab) {
+  for (const { stop } of Object.values(protocol.FEATURES)) {
+    await broadcastTabAction({ action: stop });
+  }
+  await showFeedback(tab, i18n.t('feedback_stopped'));
+}
+
+/**
+ * Обработчики команд (manifest.commands, клавиши меняются
+ * на chrome://extensions/shortcuts)
+ */
+const COMMAND_HANDLERS = {
+  'toggle-scroll': tab => toggleTabFeature(tab, 'autoScroll'),
+  'speed-up': tab => stepScrollSpeed(tab, 1),
+  'speed-down': tab => stepScrollSpeed(tab, -1),
+  'toggle-farm': tab => toggleTabFeature(tab, 'farm'),
+  'toggle-mine': tab => toggleTabFeature(tab, 'mine'),
+  'stop-all': tab => stopEverything(tab)
+};
+
+/**
+ * Обрабатывает нажатие горячей клавиши
+ * @param {string} command - Имя команды
+ * @param {Object} [tab] - Активная вкладка
+ * @returns {Promise<void>}
+ */
+async function handleCommand(command, tab) {
+  const handler = COMMAND_HANDLERS[command];
+  if (!handler) return;
+
+  const target = tab || (await chromeAsync.tabs.query({ active: true, currentWindow: true }))?.[0];
+
+  // Переключение функций имеет смысл только на mangabuff
+  const needsTab = command.startsWith('toggle-');
+  if (needsTab && (!target || !validateTabUrl(target.url).valid)) {
+    logger.debug('Команда без вкладки mangabuff:', command);
+    return;
+  }
+
+  logger.debug('Команда:', command);
+  await i18n.ready();
+  await handler(target);
+}
+
 // ==================== ГЛАВНЫЙ ОБРАБОТЧИК СООБЩЕНИЙ ====================
 
 /**
@@ -285,46 +1101,126 @@ async function handleStandardAction(msg) {
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   (async () => {
     try {
-      // Валидация сообщения
-      const validation = validateMessage(msg);
+      // Валидация сообщения по протоколу
+      const validation = protocol.validateMessage(msg);
       if (!validation.valid) {
-        sendResponse({ success: false, error: validation.error });
+        sendResponse(validation.response);
         return;
       }
 
-      // Роутинг по типу действия
-      let result;
-      
-      if (msg.action === 'setQuiz') {
-        result = await handleSetQuiz(msg);
-      } else if (msg.action === 'updateSpeed') {
-        result = await handleUpdateSpeed(msg);
-      } else {
-        result = await handleStandardAction(msg);
-      }
+      // Роутинг по области обработки действия
+      const result = validation.spec.scope === protocol.SCOPES.BACKGROUND
+        ? await BACKGROUND_HANDLERS[msg.action](msg, sender)
+        : await handleTabAction(msg);
 
       sendResponse(result);
     } catch (err) {
       logger.error('Необработанная ошибка:', err);
-      sendResponse({ 
-        success: false, 
-        error: err?.message || CONSTANTS.ERROR_MESSAGES.GENERIC_ERROR 
-      });
+      sendResponse(protocol.failFromError(err));
     }
   })();
 
   return true; // Асинхронный ответ
 });
 
+// ==================== УСТАНОВКА И ОБНОВЛЕНИЕ ====================
+
+/**
+ * Применяет миграции настроек при установке/обновлении расширения
+ * @param {Object} details - Детали события onInstalled
+ * @returns {Promise<void>}
+ */
+async function handleInstalled(details) {
+  try {
+    const { from, to } = await settings.runMigrations();
+    if (from !== to) {
+      logger.info(`Схема настроек обновлена: ${from} -> ${to} (${details?.reason})`);
+    }
+  } catch (err) {
+    logger.error('Ошибка миграции настроек:', err);
+  }
+
+  await initQuizRegistration();
+}
+
 // ==================== ИНИЦИАЛИЗАЦИЯ ====================
 
+// Временные данные сессии доступны и content scripts
+chrome.storage.session.setAccessLevel({
+  accessLevel: 'TRUSTED_AND_UNTRUSTED_CONTEXTS'
+}).catch(err => logger.warn('Ошибка доступа к session storage:', err));
+
 // Регистрация обработчиков событий жизненного цикла
-chrome.runtime.onInstalled.addListener(initQuizRegistration);
+chrome.runtime.onInstalled.addListener(handleInstalled);
+
+// Значок расширения следует за реестром вкладок, прогрессом и ошибками
+storage.onChanged.addListener((changes) => {
+  if (BADGE_KEYS.some(key => key in changes)) scheduleBadgeUpdate();
+  if (CONSTANTS.SESSION_KEY in changes) {
+    syncSessionAlarm().catch(err => logger.warn('Ошибка будильника сессии:', err));
+  }
+});
+// Подсказка значка на языке интерфейса
+i18n.onChange(() => scheduleBadgeUpdate());
+scheduleBadgeUpdate();
+
+chrome.alarms?.onAlarm.addListener((alarm) => {
+  if (alarm.name === CONSTANTS.STALE_ALARM) {
+    checkStaleTabs().catch(err => logger.warn('Ошибка проверки вкладок:', err));
+  } else if (alarm.name === CONSTANTS.SESSION_ALARM) {
+    endScrollSessions().catch(err => logger.warn('Ошибка остановки сессии:', err));
+  }
+});
+
+// Клик по уведомлению - переход на вкладку
+chrome.notifications?.onClicked.addListener((notificationId) => {
+  handleNotificationClick(notificationId).catch(err =>
+    logger.warn('Ошибка перехода на вкладку:', err)
+  );
+});
+
+// Горячие клавиши
+chrome.commands?.onCommand.addListener((command, tab) => {
+  handleCommand(command, tab).catch(err =>
+    logger.error('Ошибка выполнения команды:', command, err)
+  );
+});
+
+// Реестр вкладок: закрытые вкладки и уход с mangabuff
+chrome.tabs.onRemoved.addListener(tabId => {
+  removeRegistryEntry(tabId).catch(err =>
+    logger.warn('Ошибка обновления реестра вкладок:', err)
+  );
+});
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  // URL чужих сайтов не виден без host-разрешения - он будет пустым
+  if (changeInfo.status !== 'loading' || validateTabUrl(tab?.url || '').valid) return;
+  removeRegistryEntry(tabId).catch(err =>
+    logger.warn('Ошибка обновления реестра вкладок:', err)
+  );
+});
 chrome.runtime.onStartup.addListener(initQuizRegistration);
 
+// Журнал сохраняется перед остановкой service worker
+chrome.runtime.onSuspend?.addListener(() => {
+  persistLog().catch(err =>
+    logger.warn('Ошибка сохранения журнала:', err)
+  );
+});
+
 // Немедленная инициализация
 initQuizRegistration().catch(err => 
   logger.error('Ошибка начальной инициализации:', err)
 );
 
-logger.info('Service Worker загружен');
\ No newline at end of file
+// Service worker мог быть остановлен: сверяем реестр с живыми вкладками
+recoverRegistry().catch(err =>
+  logger.warn('Ошибка восстановления реестра вкладок:', err)
+);
+
+// Будильник срока сессии по сохраненному сроку (после перезапуска браузера)
+syncSessionAlarm().catch(err =>
+  logger.warn('Ошибка будильника сессии:', err)
+);
+
+logger.info('Service Worker загружен');
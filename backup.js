@@ -0,0 +1,231 @@
+// backup.js - Экспорт и импорт настроек
+'use strict';
+
+/**
+ * @fileoverview Экспорт пользовательских настроек в JSON и импорт из него
+ * с проверкой по схеме, предпросмотром изменений и режимами merge/replace.
+ * Переносятся только ключи вида setting: состояние работы и данные сессии
+ * остаются на машине. Подключается после settings.js, storage.js и i18n.js
+ * и публикуется как globalThis.MBH.backup
+ */
+
+(() => {
+  const MBH = globalThis.MBH = globalThis.MBH || {};
+  const { settings, storage, i18n } = MBH;
+
+  // ==================== КОНСТАНТЫ ====================
+
+  const FORMAT = 'mangabuff-helper-config';
+
+  const MODES = Object.freeze({
+    MERGE: 'merge',
+    REPLACE: 'replace'
+  });
+
+  const CHANGES = Object.freeze({
+    ADDED: 'added',
+    CHANGED: 'changed',
+    RESET: 'reset'
+  });
+
+  // Максимальный размер импортируемого файла
+  const MAX_FILE_BYTES = 512 * 1024;
+
+  // ==================== УТИЛИТЫ ====================
+
+  /**
+   * Переносимые ключи (настройки без версии схемы)
+   * @returns {Array<string>}
+   */
+  function portableKeys() {
+    return settings.keysOf(settings.KINDS.SETTING)
+      .filter(key => key !== settings.VERSION_KEY);
+  }
+
+  /**
+   * Сравнивает значения по JSON (значения схемы - простые данные)
+   */
+  function isSame(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  // ==================== ЭКСПОРТ ====================
+
+  /**
+   * Собирает текущие настройки для экспорта
+   * @returns {Promise<Object>} - {format, schemaVersion, exportedAt, settings}
+   */
+  async function exportConfig() {
+    const keys = portableKeys();
+    const data = await settings.read(keys);
+
+    return {
+      format: FORMAT,
+      schemaVersion: settings.SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings: data
+    };
+  }
+
+  /**
+   * Имя файла экспорта
+   * @returns {string}
+   */
+  function fileName() {
+    const date = new Date().toISOString().slice(0, 10);
+    return `mangabuff-helper-${date}.json`;
+  }
+
+  // ==================== ИМПОРТ ====================
+
+  /**
+   * Прогоняет данные старой схемы через миграции в памяти
+   * @param {Object} data - Настройки из файла
+   * @param {number} from - Версия схемы файла
+   * @returns {Object}
+   */
+  function migrate(data, from) {
+    let current = { ...data };
+
+    for (const migration of settings.MIGRATIONS) {
+      if (migration.version <= from) continue;
+      const { set = {} } = migration.migrate(current) || {};
+      current = { ...current, ...set };
+    }
+
+    return current;
+  }
+
+  /**
+   * Разбирает и проверяет файл импорта по схеме
+   * @param {string} text - Содержимое файла
+   * @returns {Object} - {settings, schemaVersion, warnings}
+   * @throws {Error} - Файл не является экспортом настроек
+   */
+  function parseImport(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new Error(i18n.t('backup_error_empty'));
+    }
+    if (text.length > MAX_FILE_BYTES) {
+      throw new Error(i18n.t('backup_error_too_large'));
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      throw new Error(i18n.t('backup_error_json', err.message));
+    }
+
+    if (!parsed || typeof parsed !== 'object' || parsed.format !== FORMAT) {
+      throw new Error(i18n.t('backup_error_foreign'));
+    }
+    if (!parsed.settings || typeof parsed.settings !== 'object' || Array.isArray(parsed.settings)) {
+      throw new Error(i18n.t('backup_error_no_settings'));
+    }
+
+    const version = Number(parsed.schemaVersion);
+    if (!Number.isInteger(version) || version < 0) {
+      throw new Error(i18n.t('backup_error_version'));
+    }
+    if (version > settings.SCHEMA_VERSION) {
+      throw new Error(i18n.t('backup_error_newer', version, settings.SCHEMA_VERSION));
+    }
+
+    const source = migrate(parsed.settings, version);
+    const allowed = portableKeys();
+    const result = {};
+    const warnings = [];
+
+    for (const [key, value] of Object.entries(source)) {
+      if (!allowed.includes(key)) {
+        warnings.push(i18n.t('backup_warning_unknown_key', key));
+        continue;
+      }
+
+      // Сравниваем с исходным значением файла (миграции тоже могли его изменить)
+      const normalized = settings.normalize(key, value);
+      const original = key in parsed.settings ? parsed.settings[key] : value;
+      if (!isSame(normalized, original)) {
+        warnings.push(i18n.t('backup_warning_normalized', key));
+      }
+      result[key] = normalized;
+    }
+
+    if (!Object.keys(result).length) {
+      throw new Error(i18n.t('backup_error_unsupported'));
+    }
+
+    return { settings: result, schemaVersion: version, warnings };
+  }
+
+  // ==================== ПРЕДПРОСМОТР И ПРИМЕНЕНИЕ ====================
+
+  /**
+   * Значения, которые будут записаны при импорте
+   * merge - только ключи из файла, replace - все настройки
+   * (отсутствующие в файле сбрасываются к значениям по умолчанию)
+   * @param {Object} incoming - Настройки из parseImport
+   * @param {string} mode - Значение из MODES
+   * @returns {Object} - {key: value}
+   */
+  function plan(incoming, mode) {
+    if (mode !== MODES.REPLACE) return { ...incoming };
+
+    const result = {};
+    for (const key of portableKeys()) {
+      result[key] = key in incoming ? incoming[key] : settings.getDefault(key);
+    }
+    return result;
+  }
+
+  /**
+   * Список изменений для предпросмотра
+   * @param {Object} current - Текущие настройки
+   * @param {Object} incoming - Настройки из parseImport
+   * @param {string} mode - Значение из MODES
+   * @returns {Array<Object>} - [{key, type, from, to}]
+   */
+  function diff(current, incoming, mode) {
+    const planned = plan(incoming, mode);
+    const changes = [];
+
+    for (const [key, to] of Object.entries(planned)) {
+      const from = current[key];
+      if (isSame(from, to)) continue;
+
+      let type = CHANGES.CHANGED;
+      if (!(key in incoming)) type = CHANGES.RESET;
+      else if (isSame(from, settings.getDefault(key))) type = CHANGES.ADDED;
+
+      changes.push({ key, type, from, to });
+    }
+
+    return changes;
+  }
+
+  /**
+   * Применяет импорт
+   * @param {Object} incoming - Настройки из parseImport
+   * @param {string} mode - Значение из MODES
+   * @returns {Promise<boolean>} - false, если запись не удалась
+   */
+  function applyImport(incoming, mode) {
+    return storage.set(plan(incoming, mode));
+  }
+
+  // ==================== ЭКСПОРТ ====================
+
+  MBH.backup = Object.freeze({
+    FORMAT,
+    MODES,
+    CHANGES,
+    portableKeys,
+    exportConfig,
+    fileName,
+    parseImport,
+    plan,
+    diff,
+    applyImport
+  });
+})();
@@ -7,6 +7,9 @@
  */
 
 (() => {
+  const { protocol, settings, log, storage, i18n, overrides, queue, hud } = globalThis.MBH;
+  const { ERROR_CODES } = protocol;
+
   // ==================== КОНСТАНТЫ ====================
   
   const CONFIG = {
@@ -14,18 +17,37 @@
     FARM_INTERVAL: 700,
     MINE_INTERVAL_MIN: 200,
     
-    // Задержки
-    DEFAULT_GIFT_DELAY: 600,
-    DEFAULT_MINE_DELAY: 2000,
-    MIN_GIFT_DELAY: 50,
-    MIN_MINE_DELAY: 200,
-    
     // Лимиты
     MAX_BAG_CLICKS: 10,
     MAX_GIFT_ELEMENTS: 60,
     MAX_BAG_ELEMENTS: 40,
     SCROLL_BOTTOM_THRESHOLD: 50,
     
+    // Шаг прокрутки: не больше MAX_FRAME_DELTA мс за кадр (после паузы
+    // или зависания страница не прыгает); в скрытой вкладке rAF не работает,
+    // и при политике continue кадры идут по таймеру
+    MAX_FRAME_DELTA: 100,
+    HIDDEN_SCROLL_INTERVAL: 1000,
+    
+    // Конец главы: картинки проверяются не чаще CHAPTER_END_CHECK_INTERVAL мс,
+    // незагрузившиеся ждем не дольше IMAGE_WAIT_TIMEOUT мс
+    CHAPTER_END_CHECK_INTERVAL: 250,
+    IMAGE_WAIT_TIMEOUT: 30000,
+    
+    // Политики скрытой вкладки (настройка hiddenPolicy)
+    HIDDEN_POLICY: {
+      PAUSE: 'pause',
+      CONTINUE: 'continue',
+      STOP: 'stop'
+    },
+    
+    // Действия пользователя, приостанавливающие автопрокрутку (клавиатура - отдельно).
+    // Движение мыши не считается: указатель просто лежит над страницей
+    USER_ACTIVITY_EVENTS: ['wheel', 'touchstart', 'touchmove', 'pointerdown'],
+    
+    // Клавиши без своего действия на странице: модификаторы сочетаний
+    IGNORED_KEYS: ['Alt', 'AltGraph', 'Control', 'Meta', 'Shift', 'CapsLock'],
+    
     // Анимация движения мыши
     MOUSE_PATH_STEPS: 12,
     MOUSE_EXTRA_STEPS: 8,
@@ -41,36 +63,31 @@
     COMMENT_TEXTAREA_TIMEOUT: 5000,
     COMMENT_FALLBACK_WAIT: 4000,
     
-    // Регулярные выражения
-    REGEX: {
-      CHAPTER_PATH: /^\/manga\/[^/]+\/[^/]+\/\d+$/,
-      MINE_PATH: /\/mine(\?|$)/,
-      NEXT_CHAPTER: /след/i,
-      GIFT_TEXT: /подар|gift|event/i,
-      BAG_TEXT: /сумк|мешок|bag|pack/i,
-      MINE_BTN: /шахт|удар|копа/i,
-      COMMENT_BTN: /коммент|comment/i,
-      SEND_BTN: /отправ|send|отосл/i
-    },
+    // Сообщения на странице (горячие клавиши)
+    TOAST_ID: 'mbh-toast',
+    TOAST_DURATION: 1600,
+    TOAST_LONG_DURATION: 4000,
     
-    // Селекторы
-    SELECTORS: {
-      GIFT: '.event-gift-ball',
-      BAG: '.event-bag',
-      MINE_BTN: '.main-mine__game-tap',
-      MINE_HITS: '.main-mine__game-hits-left',
-      NEXT_CHAPTER: 'a.button.button--primary',
-      COMMENT_TEXTAREA: '.comments__send-form textarea, textarea[name="comment"], .comments textarea',
-      COMMENT_SEND: '.comments__send-btn, .button--primary.comments__send-btn, .comments__send-form button[type="submit"]',
-      COMMENT_CLOSE: '.comments__close-form-btn'
-    }
+    // Панель на странице
+    HUD_SPEED_DEBOUNCE: 150,
+    HUD_REFRESH_INTERVAL: 1000,
+    
+    // Регулярные выражения (REGEX) и селекторы (SELECTORS):
+    // значения по умолчанию и пользовательские переопределения из overrides.js
+    ...overrides.resolve('content')
   };
 
+  // Флаги функций (autoScroll, farmActive, mineActive) у каждой вкладки свои
+  // и хранятся в реестре вкладок background, а не в storage
   const STORAGE_KEYS = [
-    'autoScroll', 'scrollSpeed', 'chapterLimit', 'chapterRead',
-    'farmActive', 'mineActive', 'currentChapterUrl',
-    'giftClickDelay', 'mineClickDelay',
-    CONFIG.AUTO_COMMENT_KEY, CONFIG.AUTO_COMMENT_STATE_KEY
+    'scrollSpeed', 'chapterLimit', 'chapterRead', 'currentChapterUrl', 'chapterRange',
+    'scrollPauseOnInput', 'scrollResumeDelay', 'scrollHoldSpace', 'hiddenPolicy',
+    'chapterEndDwell',
+    'sessionMinutes', 'sessionStopAt', 'sessionFinishChapter', 'sessionDeadline',
+    'giftClickDelay', 'mineClickDelay', overrides.STORAGE_KEY,
+    CONFIG.AUTO_COMMENT_KEY, CONFIG.AUTO_COMMENT_STATE_KEY,
+    queue.STORAGE_KEY,
+    hud.STORAGE_KEY, hud.POSITION_KEY
   ];
 
   // ==================== СОСТОЯНИЕ ====================
@@ -78,58 +95,101 @@
   const state = {
     // Прокрутка
     autoScroll: false,
-    scrollSpeed: 50,
+    scrollSpeed: settings.getDefault('scrollSpeed'),
     scrollRAF: null,
+    scrollTimer: null,
     lastRafTs: null,
     
+    // Ожидание в конце главы ({reachedAt, settledAt, checkedAt}, null - не в конце)
+    chapterEndDwell: settings.getDefault('chapterEndDwell'),
+    chapterEnd: null,
+    
+    // Поведение задач в скрытой вкладке
+    hiddenPolicy: settings.getDefault('hiddenPolicy'),
+    
+    // Пауза прокрутки, пока пользователь сам работает со страницей
+    scrollPauseOnInput: settings.getDefault('scrollPauseOnInput'),
+    scrollResumeDelay: settings.getDefault('scrollResumeDelay'),
+    scrollHoldSpace: settings.getDefault('scrollHoldSpace'),
+    userPaused: false,
+    spaceHeld: false,
+    resumeTimer: null,
+    
     // Счетчики глав
     chapterLimit: 0,
     chapterRead: 0,
     
+    // Диапазон глав ({slug, from, to, status}, см. settings.js)
+    chapterRange: settings.getDefault('chapterRange'),
+    
+    // Очередь чтения ({active, pending, entries}, см. queue.js)
+    readingQueue: queue.normalize(),
+    
+    // Срок сессии автопрокрутки (sessionEnding - время вышло, дочитываем главу)
+    sessionMinutes: settings.getDefault('sessionMinutes'),
+    sessionStopAt: settings.getDefault('sessionStopAt'),
+    sessionFinishChapter: settings.getDefault('sessionFinishChapter'),
+    sessionDeadline: 0,
+    sessionEnding: false,
+    
     // Фарм
     farmActive: false,
     farmInterval: null,
-    giftClickDelay: CONFIG.DEFAULT_GIFT_DELAY,
+    giftClickDelay: settings.getDefault('giftClickDelay'),
     
     // Шахта
     mineActive: false,
     mineInterval: null,
-    mineClickDelay: CONFIG.DEFAULT_MINE_DELAY,
+    hitsLeft: null,
+    mineClickDelay: settings.getDefault('mineClickDelay'),
     
     // Автокомментирование
-    autoCommentSettings: {
-      enabled: false,
-      interval: 2,
-      totalComments: 5,
-      commentsList: []
-    },
-    autoCommentState: {
-      posted: 0
-    },
+    autoCommentSettings: settings.getDefault(CONFIG.AUTO_COMMENT_KEY),
+    autoCommentState: settings.getDefault(CONFIG.AUTO_COMMENT_STATE_KEY),
+    
+    // Панель на странице
+    hudEnabled: false,
+    hudPosition: settings.getDefault(hud.POSITION_KEY),
+    hudTimer: null,
+    hudSpeedTimer: null,
     
     // Трекинг кликов
     clickedElements: new WeakSet(),
-    bagClickCounts: new WeakMap()
+    bagClickCounts: new WeakMap(),
+
+    // Регистрация в реестре вкладок (Promise) и пульс
+    registration: null,
+    heartbeatTimer: null,
+
+    // Посещение главы для истории чтения (см. visits.js) и начало
+    // текущего отрезка времени, когда вкладка видна
+    visit: null,
+    visitShownAt: null
   };
 
   // ==================== УТИЛИТЫ ====================
   
   const chromeAsync = {
+    // Хранилище через общий слой (sync/local/session по схеме)
     storage: {
-      get: (keys) => new Promise(resolve => 
-        chrome.storage.sync.get(keys, resolve)
-      ),
-      set: (obj) => new Promise(resolve => 
-        chrome.storage.sync.set(obj, resolve)
-      )
+      get: (keys) => storage.get(keys),
+      set: (obj) => storage.set(obj)
+    },
+    runtime: {
+      // null, если background недоступен (расширение обновлено)
+      sendMessage: (msg) => new Promise(resolve => {
+        try {
+          chrome.runtime.sendMessage(msg, resp => {
+            resolve(chrome.runtime.lastError ? null : resp);
+          });
+        } catch (err) {
+          resolve(null);
+        }
+      })
     }
   };
 
-  const logger = {
-    info: (...args) => console.log('[MBH][content]', ...args),
-    warn: (...args) => console.warn('[MBH][content]', ...args),
-    error: (...args) => console.error('[MBH][content]', ...args)
-  };
+  const logger = log.createLogger('content');
 
   /**
    * Безопасная отмена requestAnimationFrame
@@ -189,16 +249,41 @@
    * Проверяет, является ли текущая страница страницей главы
    */
   function isChapterPage() {
+    return parseChapterUrl() !== null;
+  }
+
+  /**
+   * Разбирает адрес главы: /manga/<манга>/[<том>/]<глава>
+   * @returns {Object|null} - {slug, volume, chapter} или null не на странице главы
+   */
+  function parseChapterUrl(href = location.href) {
     try {
-      const url = new URL(location.href);
-      const parts = url.pathname.split('/').filter(Boolean);
-      
-      if (parts.length < 3 || parts[0] !== 'manga') return false;
-      
-      const lastPart = parts[parts.length - 1];
-      return !isNaN(Number(lastPart));
+      const parts = new URL(href).pathname.split('/').filter(Boolean);
+      if (parts.length < 3 || parts[0] !== 'manga') return null;
+
+      const chapter = Number(parts[parts.length - 1]);
+      if (isNaN(chapter)) return null;
+
+      return {
+        slug: parts[1],
+        volume: parts.length > 3 ? parts[parts.length - 2] : '',
+        chapter
+      };
     } catch (err) {
-      return false;
+      return null;
+    }
+  }
+
+  /**
+   * Манга, к которой относится страница: /manga/<манга>[/...]
+   * @returns {string|null}
+   */
+  function parseMangaSlug(href = location.href) {
+    try {
+      const parts = new URL(href).pathname.split('/').filter(Boolean);
+      return parts[0] === 'manga' && parts[1] ? parts[1] : null;
+    } catch (err) {
+      return null;
     }
   }
 
@@ -297,25 +382,37 @@
    */
   async function loadStateFromStorage(callback) {
     try {
-      const data = await chromeAsync.storage.get(STORAGE_KEYS);
-
-      // Обновление состояния
-      state.autoScroll = Boolean(data.autoScroll);
-      state.scrollSpeed = Math.max(Number(data.scrollSpeed) || 50, 1);
-      state.chapterLimit = Math.max(Number(data.chapterLimit) || 0, 0);
-      state.chapterRead = Math.max(Number(data.chapterRead) || 0, 0);
-      state.farmActive = Boolean(data.farmActive);
-      state.mineActive = Boolean(data.mineActive);
-      state.giftClickDelay = Math.max(Number(data.giftClickDelay) || CONFIG.DEFAULT_GIFT_DELAY, CONFIG.MIN_GIFT_DELAY);
-      state.mineClickDelay = Math.max(Number(data.mineClickDelay) || CONFIG.DEFAULT_MINE_DELAY, CONFIG.MIN_MINE_DELAY);
+      const raw = await chromeAsync.storage.get(STORAGE_KEYS);
+      const data = settings.normalizeAll(raw, STORAGE_KEYS);
+
+      // Обновление состояния (значения уже проверены схемой)
+      state.scrollSpeed = data.scrollSpeed;
+      state.scrollPauseOnInput = data.scrollPauseOnInput;
+      state.scrollResumeDelay = data.scrollResumeDelay;
+      state.scrollHoldSpace = data.scrollHoldSpace;
+      state.hiddenPolicy = data.hiddenPolicy;
+      state.chapterEndDwell = data.chapterEndDwell;
+      state.chapterLimit = data.chapterLimit;
+      state.chapterRead = data.chapterRead;
+      state.chapterRange = data.chapterRange;
+      state.readingQueue = queue.normalize(data[queue.STORAGE_KEY]);
+      state.sessionMinutes = data.sessionMinutes;
+      state.sessionStopAt = data.sessionStopAt;
+      state.sessionFinishChapter = data.sessionFinishChapter;
+      state.sessionDeadline = data.sessionDeadline;
+      state.giftClickDelay = data.giftClickDelay;
+      state.mineClickDelay = data.mineClickDelay;
+
+      // Пользовательские селекторы и паттерны
+      Object.assign(CONFIG, overrides.resolve('content', data[overrides.STORAGE_KEY]));
 
       // Автокомментирование
-      if (data[CONFIG.AUTO_COMMENT_KEY]) {
-        Object.assign(state.autoCommentSettings, data[CONFIG.AUTO_COMMENT_KEY]);
-      }
-      if (data[CONFIG.AUTO_COMMENT_STATE_KEY]) {
-        Object.assign(state.autoCommentState, data[CONFIG.AUTO_COMMENT_STATE_KEY]);
-      }
+      Object.assign(state.autoCommentSettings, data[CONFIG.AUTO_COMMENT_KEY]);
+      Object.assign(state.autoCommentState, data[CONFIG.AUTO_COMMENT_STATE_KEY]);
+
+      // Панель на странице
+      state.hudEnabled = data[hud.STORAGE_KEY];
+      state.hudPosition = data[hud.POSITION_KEY];
 
       syncAllFeatures();
       
@@ -327,6 +424,185 @@
     }
   }
 
+  // ==================== РЕЕСТР ВКЛАДОК ====================
+
+  /**
+   * Тип текущей страницы для реестра вкладок
+   */
+  function getPageType() {
+    if (isChapterPage()) return 'chapter';
+    if (isMinePage()) return 'mine';
+    return 'other';
+  }
+
+  /**
+   * Флаги функций вкладки в формате протокола
+   */
+  function getFeatures() {
+    return protocol.normalizeFeatures({
+      autoScroll: state.autoScroll,
+      farm: state.farmActive,
+      mine: state.mineActive
+    });
+  }
+
+  /**
+   * Счетчики вкладки для значка расширения
+   */
+  function getCounters() {
+    return { hitsLeft: state.hitsLeft };
+  }
+
+  /**
+   * Регистрирует вкладку в background и восстанавливает ее функции
+   * (прокрутка продолжается после перехода на следующую главу)
+   */
+  async function registerTab() {
+    const response = await chromeAsync.runtime.sendMessage({
+      action: 'registerTab',
+      page: getPageType(),
+      title: document.title
+    });
+
+    if (!response?.success) {
+      logger.warn('Вкладка не зарегистрирована:', response?.error || 'нет ответа');
+      return;
+    }
+
+    const features = protocol.normalizeFeatures(response.features);
+    state.autoScroll = features.autoScroll;
+    state.farmActive = features.farm;
+    state.mineActive = features.mine;
+
+    syncAllFeatures();
+  }
+
+  /**
+   * Сообщает background текущие флаги функций вкладки
+   */
+  function reportFeatures() {
+    // Панель на странице показывает те же флаги
+    refreshHud();
+
+    return chromeAsync.runtime.sendMessage({
+      action: 'reportFeatures',
+      features: getFeatures(),
+      counters: getCounters(),
+      page: getPageType()
+    });
+  }
+
+  /**
+   * Пульс: пока во вкладке что-то запущено, она периодически подтверждает
+   * это background (иначе popup покажет функцию как «нет ответа»)
+   */
+  function startHeartbeat() {
+    if (state.heartbeatTimer) return;
+
+    state.heartbeatTimer = setInterval(() => {
+      const features = getFeatures();
+      if (Object.values(features).some(Boolean)) reportFeatures();
+    }, protocol.HEARTBEAT.INTERVAL);
+  }
+
+  /**
+   * Сообщает background о событии (завершение или сбой задачи)
+   * для уведомления, если оно включено в настройках
+   */
+  function notifyEvent(event, text) {
+    return chromeAsync.runtime.sendMessage({ action: 'notify', event, text });
+  }
+
+  // ==================== ИСТОРИЯ ЧТЕНИЯ ====================
+
+  /**
+   * Начинает запись посещения главы (после регистрации вкладки,
+   * когда известно, идет ли автопрокрутка)
+   */
+  function startVisit() {
+    const chapter = parseChapterUrl();
+    if (!chapter) return;
+
+    const now = Date.now();
+    state.visit = {
+      id: crypto.randomUUID(),
+      ...chapter,
+      title: document.title,
+      url: location.href,
+      startedAt: now,
+      endedAt: now,
+      timeSpent: 0,
+      autoScroll: state.autoScroll,
+      scrolled: 0
+    };
+    state.visitShownAt = document.hidden ? null : now;
+
+    saveVisit();
+  }
+
+  /**
+   * Добавляет к посещению время, пока вкладка была видна
+   */
+  function trackVisitTime() {
+    if (!state.visit) return;
+
+    const now = Date.now();
+    if (state.visitShownAt != null) {
+      state.visit.timeSpent += now - state.visitShownAt;
+    }
+    state.visitShownAt = document.hidden ? null : now;
+    state.visit.endedAt = now;
+  }
+
+  /**
+   * Отправляет посещение в историю (запись с тем же id обновляется)
+   */
+  function saveVisit() {
+    if (!state.visit) return null;
+
+    trackVisitTime();
+    return chromeAsync.runtime.sendMessage({ action: 'recordVisit', visit: { ...state.visit } });
+  }
+
+  // ==================== СООБЩЕНИЯ НА СТРАНИЦЕ ====================
+
+  /**
+   * Показывает короткое сообщение поверх страницы
+   * (отклик на горячие клавиши и панель, popup при этом закрыт)
+   */
+  function showToast(text, duration = CONFIG.TOAST_DURATION) {
+    let toast = document.getElementById(CONFIG.TOAST_ID);
+
+    if (!toast) {
+      toast = document.createElement('div');
+      toast.id = CONFIG.TOAST_ID;
+      Object.assign(toast.style, {
+        position: 'fixed',
+        left: '50%',
+        bottom: '32px',
+        transform: 'translateX(-50%)',
+        zIndex: '2147483647',
+        padding: '8px 14px',
+        borderRadius: '8px',
+        background: 'rgba(30, 30, 30, 0.88)',
+        color: '#fff',
+        font: '13px/1.4 sans-serif',
+        pointerEvents: 'none',
+        transition: 'opacity 0.2s',
+        opacity: '0'
+      });
+      (document.body || document.documentElement).appendChild(toast);
+    }
+
+    toast.textContent = text;
+    toast.style.opacity = '1';
+
+    clearTimeout(toast._timeout);
+    toast._timeout = setTimeout(() => {
+      toast.style.opacity = '0';
+    }, duration);
+  }
+
   // ==================== ИМИТАЦИЯ ЧЕЛОВЕЧЕСКОГО ПОВЕДЕНИЯ ====================
   
   /**
@@ -366,7 +642,7 @@
     
     state.clickedElements.add(element);
 
-    const baseDelay = Math.max(CONFIG.MIN_GIFT_DELAY, state.giftClickDelay);
+    const baseDelay = state.giftClickDelay;
     
     // Фазы реакции человека
     const noticeDelay = Math.floor(baseDelay * (0.25 + Math.random() * 0.6));
@@ -457,50 +733,602 @@
    * Запускает плавную автопрокрутку
    */
   function startSmoothScroll() {
-    if (!state.autoScroll || !isChapterPage()) return;
+    if (!state.autoScroll || state.userPaused || isPausedWhileHidden('autoScroll') ||
+        !isChapterPage()) return;
 
     state.lastRafTs = null;
+    state.chapterEnd = null;
 
     function scrollLoop(timestamp) {
+      if (isSessionExpired()) {
+        endSession().catch(err =>
+          logger.warn('Ошибка завершения сессии:', err)
+        );
+      }
+
       if (!state.autoScroll) {
-        safeCancelRAF(state.scrollRAF);
+        cancelScrollFrame();
         return;
       }
 
       if (!state.lastRafTs) state.lastRafTs = timestamp;
       
-      const deltaTime = timestamp - state.lastRafTs;
+      // Кадр в скрытой вкладке длится HIDDEN_SCROLL_INTERVAL, в видимой - не больше MAX_FRAME_DELTA
+      const maxDelta = document.hidden ? CONFIG.HIDDEN_SCROLL_INTERVAL : CONFIG.MAX_FRAME_DELTA;
+      const deltaTime = Math.min(timestamp - state.lastRafTs, maxDelta);
       state.lastRafTs = timestamp;
 
       const scrollDelta = Math.max(state.scrollSpeed * (deltaTime / 1000), 1);
+      const scrollBefore = window.scrollY;
       window.scrollBy(0, scrollDelta);
+      if (state.visit) state.visit.scrolled += Math.max(window.scrollY - scrollBefore, 0);
+
+      // Конец загруженного содержимого еще не конец главы:
+      // подгружающиеся картинки удлиняют страницу
+      if (isAtPageBottom()) {
+        if (isChapterFinished(timestamp)) {
+          finishChapter();
+          return;
+        }
+      } else {
+        state.chapterEnd = null;
+      }
 
-      // Проверка достижения конца страницы
-      if (document.body && 
-          window.innerHeight + window.scrollY >= 
-          document.body.offsetHeight - CONFIG.SCROLL_BOTTOM_THRESHOLD) {
-        goToNextChapter();
-        return;
+      requestScrollFrame(scrollLoop);
+    }
+
+    cancelScrollFrame();
+    requestScrollFrame(scrollLoop);
+  }
+
+  /**
+   * Прокручено ли до конца страницы
+   */
+  function isAtPageBottom() {
+    return Boolean(document.body) &&
+      window.innerHeight + window.scrollY >=
+      document.body.offsetHeight - CONFIG.SCROLL_BOTTOM_THRESHOLD;
+  }
+
+  /**
+   * Картинка главы еще грузится (в том числе ленивая, которой пока не подставили адрес).
+   * Ошибка загрузки тоже завершает ожидание - complete становится true
+   */
+  function isImagePending(img) {
+    if (!img.complete) return true;
+
+    const src = img.getAttribute('src');
+    return img.hasAttribute('data-src') && (!src || src.startsWith('data:'));
+  }
+
+  /**
+   * Дочитана ли глава: картинки загрузились или упали (но ждем не дольше
+   * IMAGE_WAIT_TIMEOUT), после чего прошло chapterEndDwell мс на последней странице
+   */
+  function isChapterFinished(now) {
+    if (!state.chapterEnd) {
+      state.chapterEnd = { reachedAt: now, settledAt: null, checkedAt: -Infinity };
+    }
+    const end = state.chapterEnd;
+
+    if (now - end.checkedAt >= CONFIG.CHAPTER_END_CHECK_INTERVAL) {
+      end.checkedAt = now;
+
+      const pending = Array.from(document.querySelectorAll(CONFIG.SELECTORS.READER_IMAGE))
+        .filter(isImagePending).length;
+      const timedOut = now - end.reachedAt >= CONFIG.IMAGE_WAIT_TIMEOUT;
+
+      if (pending && !timedOut) {
+        end.settledAt = null;
+      } else if (end.settledAt == null) {
+        end.settledAt = now;
+        if (pending) logger.warn('Не дождались картинок главы:', pending);
       }
+    }
 
-      state.scrollRAF = requestAnimationFrame(scrollLoop);
+    return end.settledAt != null && now - end.settledAt >= state.chapterEndDwell;
+  }
+
+  /**
+   * Планирует кадр прокрутки: rAF в видимой вкладке, таймер в скрытой
+   */
+  function requestScrollFrame(callback) {
+    if (document.hidden) {
+      state.scrollTimer = setTimeout(() => callback(performance.now()), CONFIG.HIDDEN_SCROLL_INTERVAL);
+    } else {
+      state.scrollRAF = requestAnimationFrame(callback);
     }
+  }
 
+  /**
+   * Отменяет запланированный кадр прокрутки
+   */
+  function cancelScrollFrame() {
     safeCancelRAF(state.scrollRAF);
-    state.scrollRAF = requestAnimationFrame(scrollLoop);
+    state.scrollRAF = null;
+    clearTimeout(state.scrollTimer);
+    state.scrollTimer = null;
   }
 
   /**
    * Останавливает автопрокрутку
    */
   function stopSmoothScroll() {
-    safeCancelRAF(state.scrollRAF);
-    state.scrollRAF = null;
+    cancelScrollFrame();
     state.lastRafTs = null;
   }
 
   /**
-   * Переходит к следующей главе
+   * Включает автопрокрутку во вкладке (popup, горячие клавиши, панель)
+   * @returns {Promise<Object>} - Ответ протокола
+   */
+  async function startScrolling(chapterLimit, { mode = null } = {}) {
+    if (!isChapterPage()) {
+      return protocol.fail(ERROR_CODES.NOT_CHAPTER_PAGE);
+    }
+
+    // Явный запуск снимает паузу пользователя и начинает новую сессию
+    clearUserPause();
+    state.autoScroll = true;
+    state.sessionEnding = false;
+    state.sessionDeadline = computeSessionDeadline(Date.now());
+    if (state.visit) state.visit.autoScroll = true;
+    if (typeof chapterLimit === 'number') {
+      state.chapterLimit = chapterLimit;
+    }
+
+    const { currentChapterUrl } = await chromeAsync.storage.get(['currentChapterUrl']);
+    // Обычный запуск выходит из режимов диапазона и очереди (mode: range или queue)
+    state.chapterRange = { ...state.chapterRange, status: mode === 'range' ? 'active' : 'off' };
+    if (state.readingQueue.active !== (mode === 'queue')) {
+      await queue.setActive(mode === 'queue');
+    }
+
+    const updates = {
+      chapterLimit: state.chapterLimit,
+      chapterRange: state.chapterRange,
+      sessionDeadline: state.sessionDeadline
+    };
+
+    if (currentChapterUrl !== location.href) {
+      updates.currentChapterUrl = location.href;
+    }
+
+    await chromeAsync.storage.set(updates);
+    await reportFeatures();
+    syncAllFeatures();
+    return protocol.ok();
+  }
+
+  /**
+   * Выключает автопрокрутку во вкладке
+   * @returns {Promise<Object>} - Ответ протокола
+   */
+  async function stopScrolling() {
+    state.autoScroll = false;
+    state.sessionEnding = false;
+    clearUserPause();
+    if (state.chapterRange.status !== 'off') await setRangeStatus('off');
+    if (state.readingQueue.active) await queue.setActive(false);
+    await reportFeatures();
+    stopSmoothScroll();
+    return protocol.ok();
+  }
+
+  // ==================== ДИАПАЗОН ГЛАВ ====================
+
+  /**
+   * Сохраняет диапазон глав с новым статусом
+   * @param {string} status - off, pending или active
+   * @param {Object} [range] - {slug, from, to} (по умолчанию текущий)
+   */
+  function setRangeStatus(status, range = state.chapterRange) {
+    state.chapterRange = { ...range, status };
+    return chromeAsync.storage.set({ chapterRange: state.chapterRange });
+  }
+
+  /**
+   * Читается ли диапазон манги, к которой относится глава
+   */
+  function isRangeActive(chapter = parseChapterUrl()) {
+    const { status, slug } = state.chapterRange;
+    return status === 'active' && chapter?.slug === slug;
+  }
+
+  /**
+   * Открыта последняя глава диапазона (или уже следующая за ней)
+   */
+  function isRangeEnd(chapter = parseChapterUrl()) {
+    return isRangeActive(chapter) && chapter.chapter >= state.chapterRange.to;
+  }
+
+  /**
+   * Ищет адрес главы манги: сначала среди ссылок страницы,
+   * затем в списке глав на странице манги
+   * @param {string} slug - Манга
+   * @param {number|null} chapter - Номер главы (null - первая глава тайтла)
+   * @returns {Promise<string|null>}
+   */
+  async function findChapterUrl(slug, chapter) {
+    const find = (doc) => {
+      const chapters = Array.from(doc.querySelectorAll(CONFIG.SELECTORS.CHAPTER_LINK))
+        .map(link => new URL(link.getAttribute('href') || '', location.origin).href)
+        .map(href => ({ href, parsed: parseChapterUrl(href) }))
+        .filter(({ parsed }) => parsed?.slug === slug);
+
+      if (chapter != null) {
+        return chapters.find(({ parsed }) => parsed.chapter === chapter)?.href;
+      }
+      return chapters.sort((a, b) => a.parsed.chapter - b.parsed.chapter)[0]?.href;
+    };
+
+    // Первая глава - только по полному списку глав
+    const onPage = chapter != null && find(document);
+    if (onPage) return onPage;
+
+    try {
+      const response = await fetch(`${location.origin}/manga/${slug}`, { credentials: 'include' });
+      if (!response.ok) return null;
+
+      const html = await response.text();
+      return find(new DOMParser().parseFromString(html, 'text/html')) || null;
+    } catch (err) {
+      logger.warn('Ошибка загрузки списка глав:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Запускает чтение глав from..to текущей манги: переходит на начальную главу,
+   * прокрутка включается уже на ней
+   * @returns {Promise<Object>} - Ответ протокола
+   */
+  async function startRange(from, to) {
+    const slug = parseMangaSlug();
+    if (!slug) {
+      return protocol.fail(ERROR_CODES.NOT_MANGA_PAGE);
+    }
+    if (to < from) {
+      return protocol.fail(ERROR_CODES.INVALID_PARAMS);
+    }
+
+    const range = { slug, from, to };
+
+    if (parseChapterUrl()?.chapter === from) {
+      state.chapterRange = { ...range, status: 'off' };
+      return startScrolling(undefined, { mode: 'range' });
+    }
+
+    const url = await findChapterUrl(slug, from);
+    if (!url) {
+      return protocol.fail(ERROR_CODES.CHAPTER_NOT_FOUND);
+    }
+
+    if (state.autoScroll) await stopScrolling();
+    await setRangeStatus('pending', range);
+    logger.info(`Диапазон глав ${from}-${to}: переход на начальную главу`);
+    location.assign(url);
+    return protocol.ok();
+  }
+
+  /**
+   * Завершает запуск диапазона после перехода на начальную главу
+   * (на любой другой странице незавершенный запуск отменяется)
+   */
+  async function resumeRange() {
+    const chapter = parseChapterUrl();
+    const { slug, from } = state.chapterRange;
+
+    if (chapter?.slug === slug && chapter.chapter === from) {
+      await startScrolling(undefined, { mode: 'range' });
+    } else {
+      await setRangeStatus('off');
+    }
+  }
+
+  /**
+   * Останавливает прокрутку после последней главы диапазона
+   * @returns {Promise<Object>} - Ответ протокола
+   */
+  async function finishRange() {
+    const { from, to } = state.chapterRange;
+    const response = await stopScrolling();
+    notifyEvent(protocol.EVENTS.CHAPTER_LIMIT, i18n.t('content_range_done', from, to));
+    return response;
+  }
+
+  // ==================== ОЧЕРЕДЬ ЧТЕНИЯ ====================
+
+  /**
+   * Читаемая запись очереди, если очередь включена
+   */
+  function currentQueueEntry() {
+    const { active, entries } = state.readingQueue;
+    return active ? entries.find(entry => entry.status === queue.STATUSES.READING) || null : null;
+  }
+
+  /**
+   * Относится ли глава к читаемой записи очереди
+   */
+  function isQueueActive(chapter = parseChapterUrl()) {
+    return Boolean(chapter) && currentQueueEntry()?.slug === chapter.slug;
+  }
+
+  /**
+   * Засчитывает дочитанную главу записи очереди
+   * @returns {Promise<boolean>} - true, если прочитан лимит глав тайтла
+   */
+  async function countQueueChapter() {
+    const entry = currentQueueEntry();
+    const updated = await queue.track(entry.id, {
+      read: entry.read + 1,
+      lastChapter: parseChapterUrl().chapter
+    });
+    return updated.limit > 0 && updated.read >= updated.limit;
+  }
+
+  /**
+   * Открывает главу записи очереди: сохраненную главу продолжения или начальную.
+   * Записи, главу которых найти не удалось, пропускаются
+   * @param {Object} entry - Запись
+   * @param {boolean} starting - Запуск очереди (иначе смена тайтла во время прокрутки)
+   * @returns {Promise<Object>} - Ответ протокола
+   */
+  async function openQueueTitle(entry, starting) {
+    for (; entry; entry = await queue.advance()) {
+      const url = entry.url || await findChapterUrl(entry.slug, entry.start || null);
+      if (!url) {
+        logger.warn(`Очередь: глава не найдена, пропуск ${entry.slug}`);
+        continue;
+      }
+
+      if (starting && url === location.href) {
+        return startScrolling(undefined, { mode: 'queue' });
+      }
+
+      // При запуске прокрутка включится на открытой главе (resumeQueue),
+      // при смене тайтла автопрокрутка вкладки и так включена
+      if (starting) await queue.setActive(true, { pending: true });
+      logger.info(`Очередь: переход к ${entry.slug}`);
+      location.assign(url);
+      return protocol.ok();
+    }
+
+    return starting ? protocol.fail(ERROR_CODES.QUEUE_EMPTY) : finishQueue();
+  }
+
+  /**
+   * Запускает очередь с читаемой или первой ожидающей записи
+   * @returns {Promise<Object>} - Ответ протокола
+   */
+  async function startQueue() {
+    if (state.autoScroll) await stopScrolling();
+
+    const entry = await queue.begin();
+    if (!entry) {
+      return protocol.fail(ERROR_CODES.QUEUE_EMPTY);
+    }
+    return openQueueTitle(entry, true);
+  }
+
+  /**
+   * Завершает запуск очереди после перехода на главу записи
+   * (на любой другой странице незавершенный запуск отменяется)
+   */
+  async function resumeQueue() {
+    if (isQueueActive()) {
+      await queue.setActive(true);
+      await startScrolling(undefined, { mode: 'queue' });
+    } else {
+      await queue.setActive(false);
+    }
+  }
+
+  /**
+   * Тайтл закончился или прочитан его лимит: переход к следующей записи
+   * @returns {Promise<Object>} - Ответ протокола
+   */
+  async function nextQueueTitle() {
+    return openQueueTitle(await queue.advance(), false);
+  }
+
+  /**
+   * Останавливает прокрутку после последней записи очереди
+   * @returns {Promise<Object>} - Ответ протокола
+   */
+  async function finishQueue() {
+    const response = await stopScrolling();
+    notifyEvent(protocol.EVENTS.QUEUE_DONE, i18n.t('content_queue_done'));
+    return response;
+  }
+
+  // ==================== СРОК СЕССИИ ====================
+
+  /**
+   * Срок сессии, начатой в now: через sessionMinutes или в sessionStopAt
+   * (ближайшее наступление этого времени), что раньше
+   * @returns {number} - мс с эпохи, 0 - без срока
+   */
+  function computeSessionDeadline(now) {
+    const deadlines = [];
+
+    if (state.sessionMinutes > 0) {
+      deadlines.push(now + state.sessionMinutes * 60000);
+    }
+
+    if (state.sessionStopAt) {
+      const [hours, minutes] = state.sessionStopAt.split(':').map(Number);
+      const stopAt = new Date(now);
+      stopAt.setHours(hours, minutes, 0, 0);
+      if (stopAt.getTime() <= now) stopAt.setDate(stopAt.getDate() + 1);
+      deadlines.push(stopAt.getTime());
+    }
+
+    return deadlines.length ? Math.min(...deadlines) : 0;
+  }
+
+  /**
+   * Истек ли срок сессии
+   */
+  function isSessionExpired() {
+    return state.sessionDeadline > 0 && Date.now() >= state.sessionDeadline;
+  }
+
+  /**
+   * Завершает сессию: сразу или, если включено sessionFinishChapter,
+   * в конце открытой главы. Вызывается из цикла прокрутки и по будильнику background
+   * @returns {Promise<Object>} - Ответ протокола
+   */
+  async function endSession() {
+    if (!state.autoScroll || state.sessionEnding) return protocol.ok();
+
+    // Срок истек до открытия этой главы - предыдущая уже дочитана
+    const finishChapter = state.sessionFinishChapter && isChapterPage() &&
+      state.sessionDeadline > performance.timeOrigin;
+
+    if (!finishChapter) return finishSession();
+
+    state.sessionEnding = true;
+    logger.info('Срок сессии истек, дочитываем главу');
+    showToast(i18n.t('content_session_finishing'), CONFIG.TOAST_LONG_DURATION);
+    return protocol.ok();
+  }
+
+  /**
+   * Останавливает прокрутку по сроку сессии
+   * @returns {Promise<Object>} - Ответ протокола
+   */
+  async function finishSession() {
+    const response = await stopScrolling();
+    notifyEvent(protocol.EVENTS.SESSION_END, i18n.t('content_session_end'));
+    return response;
+  }
+
+  // ==================== ПАУЗА ПРИ ДЕЙСТВИЯХ ПОЛЬЗОВАТЕЛЯ ====================
+
+  /**
+   * Приостанавливает прокрутку (автопрокрутка во вкладке остается включенной)
+   * @param {number|null} resumeAfter - Через сколько мс продолжить (null - по команде)
+   */
+  function pauseForUser(resumeAfter) {
+    clearTimeout(state.resumeTimer);
+    state.resumeTimer = null;
+
+    if (!state.userPaused) {
+      state.userPaused = true;
+      stopSmoothScroll();
+      logger.debug('Прокрутка приостановлена пользователем');
+    }
+
+    if (resumeAfter != null) {
+      state.resumeTimer = setTimeout(resumeAfterUser, resumeAfter);
+    }
+  }
+
+  /**
+   * Продолжает прокрутку после паузы (пока держат Пробел - не продолжает)
+   */
+  function resumeAfterUser() {
+    clearTimeout(state.resumeTimer);
+    state.resumeTimer = null;
+
+    if (!state.userPaused || state.spaceHeld) return;
+
+    state.userPaused = false;
+    logger.debug('Прокрутка продолжена');
+    startSmoothScroll();
+  }
+
+  /**
+   * Сбрасывает паузу пользователя (запуск, остановка, смена страницы)
+   */
+  function clearUserPause() {
+    clearTimeout(state.resumeTimer);
+    state.resumeTimer = null;
+    state.userPaused = false;
+    state.spaceHeld = false;
+  }
+
+  /**
+   * Событие от пользователя на странице, а не от расширения
+   * (синтетические события фарма и действия в панели не считаются)
+   */
+  function isUserEvent(e) {
+    return e.isTrusted && !hud.isOwnEvent(e);
+  }
+
+  /**
+   * Ввод текста - Пробел там нельзя перехватывать
+   */
+  function isTypingTarget(target) {
+    return Boolean(target?.closest?.('input, textarea, select, [contenteditable=""], [contenteditable="true"]'));
+  }
+
+  /**
+   * Горячие клавиши браузера и расширения (commands в manifest - сочетания
+   * с Alt/Ctrl/Meta) и одиночные модификаторы чтение не прерывают
+   */
+  function isShortcutKey(e) {
+    return e.altKey || e.ctrlKey || e.metaKey || CONFIG.IGNORED_KEYS.includes(e.key);
+  }
+
+  /**
+   * Колесо, касание, клик или клавиатура приостанавливают прокрутку
+   * до истечения scrollResumeDelay после последнего действия
+   */
+  function handleUserActivity(e) {
+    if (!state.autoScroll || !state.scrollPauseOnInput || !isUserEvent(e)) return;
+    pauseForUser(state.scrollResumeDelay);
+  }
+
+  /**
+   * Удержание Пробела - пауза до отпускания
+   */
+  function handleKeyDown(e) {
+    const holdSpace = state.autoScroll && state.scrollHoldSpace &&
+      e.code === 'Space' && !isTypingTarget(e.target) && isUserEvent(e);
+
+    if (!holdSpace) {
+      if (!isShortcutKey(e)) handleUserActivity(e);
+      return;
+    }
+
+    // Иначе браузер прокрутит страницу на экран
+    e.preventDefault();
+    state.spaceHeld = true;
+    pauseForUser(null);
+  }
+
+  /**
+   * Отпускание Пробела (или потеря фокуса окном, когда keyup не придет)
+   */
+  function handleSpaceRelease(e) {
+    if (!state.spaceHeld || (e.type === 'keyup' && e.code !== 'Space')) return;
+
+    state.spaceHeld = false;
+    resumeAfterUser();
+  }
+
+  /**
+   * Проверяет, превышен ли лимит глав (0 - без ограничения)
+   */
+  function isChapterLimitExceeded(chapterRead, chapterLimit) {
+    return chapterLimit > 0 && chapterRead > chapterLimit;
+  }
+
+  /**
+   * Глава дочитана: остановка по сроку сессии или диапазону,
+   * смена тайтла очереди или переход к следующей главе
+   */
+  async function finishChapter() {
+    if (state.sessionEnding) return finishSession();
+    if (isRangeEnd()) return finishRange();
+    if (isQueueActive() && await countQueueChapter()) return nextQueueTitle();
+    return goToNextChapter();
+  }
+
+  /**
+   * Переходит к следующей главе (в конце тайтла - к следующему тайтлу очереди)
    */
   function goToNextChapter() {
     const nextButton = Array.from(
@@ -512,10 +1340,13 @@
 
     if (nextButton) {
       nextButton.click();
+    } else if (isQueueActive()) {
+      nextQueueTitle();
     } else {
       state.autoScroll = false;
-      chromeAsync.storage.set({ autoScroll: false });
+      reportFeatures();
       stopSmoothScroll();
+      notifyEvent(protocol.EVENTS.NO_NEXT_CHAPTER, i18n.t('content_no_next_chapter'));
     }
   }
 
@@ -544,6 +1375,28 @@
     });
   }
 
+  /**
+   * Запускает фарм ивента во вкладке
+   * @returns {Promise<Object>} - Ответ протокола
+   */
+  async function startFarm() {
+    state.farmActive = true;
+    await reportFeatures();
+    syncAllFeatures();
+    return protocol.ok();
+  }
+
+  /**
+   * Останавливает фарм ивента во вкладке
+   * @returns {Promise<Object>} - Ответ протокола
+   */
+  async function stopFarm() {
+    state.farmActive = false;
+    await reportFeatures();
+    syncAllFeatures();
+    return protocol.ok();
+  }
+
   // ==================== ФАРМ ШАХТЫ ====================
   
   /**
@@ -572,8 +1425,12 @@
     if (!state.mineActive) return;
 
     const hitsLeft = getHitsLeft();
+    const hitsChanged = hitsLeft !== state.hitsLeft;
+    state.hitsLeft = hitsLeft;
     
     if (hitsLeft > 0) {
+      // Остаток ударов показывается на значке расширения
+      if (hitsChanged) reportFeatures();
       clickMineButton();
     } else {
       // Останавливаем, если удары закончились
@@ -584,8 +1441,35 @@
         state.mineInterval = null;
       }
       
-      chromeAsync.storage.set({ mineActive: false });
+      reportFeatures();
+      notifyEvent(protocol.EVENTS.MINE_DONE, i18n.t('content_mine_stopped'));
+    }
+  }
+
+  /**
+   * Запускает фарм шахты во вкладке
+   * @returns {Promise<Object>} - Ответ протокола
+   */
+  async function startMine() {
+    if (!isMinePage()) {
+      return protocol.fail(ERROR_CODES.NOT_MINE_PAGE);
     }
+
+    state.mineActive = true;
+    await reportFeatures();
+    syncAllFeatures();
+    return protocol.ok();
+  }
+
+  /**
+   * Останавливает фарм шахты во вкладке
+   * @returns {Promise<Object>} - Ответ протокола
+   */
+  async function stopMine() {
+    state.mineActive = false;
+    await reportFeatures();
+    syncAllFeatures();
+    return protocol.ok();
   }
 
   // ==================== АВТОКОММЕНТИРОВАНИЕ ====================
@@ -597,6 +1481,52 @@
     return 2 + ((Math.max(1, totalComments) - 1) * Math.max(1, interval));
   }
 
+  /**
+   * Сколько глав осталось прочитать до следующего комментария
+   * (null - все комментарии уже оставлены)
+   */
+  function chaptersUntilComment(chapterRead, interval, total, posted) {
+    if (posted >= total) return null;
+
+    const step = Math.max(1, interval);
+    const first = Math.max(2, chapterRead + 1);
+    const rest = (first - 2) % step;
+    return (rest ? first + step - rest : first) - chapterRead;
+  }
+
+  /**
+   * Хватит ли лимита глав на все комментарии (та же проверка, что при запуске из popup)
+   */
+  function checkCommentPlan() {
+    const { enabled, interval, totalComments: total } = state.autoCommentSettings;
+    if (!enabled || state.chapterLimit === 0) return true;
+
+    const needed = computeNeededChapters(interval, total);
+    if (state.chapterLimit >= needed) return true;
+
+    showToast(i18n.t('comments_not_enough_chapters', total, interval, needed), CONFIG.TOAST_LONG_DURATION);
+    return false;
+  }
+
+  /**
+   * Проверяет, нужно ли оставлять комментарий на главе с данным номером
+   * (первая глава пропускается, далее каждая interval-я, пока не исчерпан total)
+   */
+  function shouldCommentOnChapter(chapterIndex, interval, total, posted) {
+    if (!chapterIndex || chapterIndex === 1) return false;
+
+    const offset = chapterIndex - 2;
+    return offset >= 0 && (offset % interval === 0) && posted < total;
+  }
+
+  /**
+   * Сохраняет ошибку автокомментирования (ее показывают popup и уведомление)
+   */
+  async function saveCommentError(error) {
+    await chromeAsync.storage.set({ lastAutoCommentError: error });
+    notifyEvent(protocol.EVENTS.COMMENT_ERROR, error);
+  }
+
   /**
    * Отправляет комментарий на странице главы
    */
@@ -645,8 +1575,8 @@
       }
 
       if (!commentButton) {
-        const error = 'Кнопка комментариев не найдена';
-        await chromeAsync.storage.set({ lastAutoCommentError: error });
+        const error = i18n.t('content_comment_button_missing');
+        await saveCommentError(error);
         logger.warn(error);
         return false;
       }
@@ -660,8 +1590,8 @@
       ).catch(() => null);
 
       if (!textarea) {
-        const error = 'Textarea комментария не найдена';
-        await chromeAsync.storage.set({ lastAutoCommentError: error });
+        const error = i18n.t('content_comment_textarea_missing');
+        await saveCommentError(error);
         logger.warn(error);
         return false;
       }
@@ -685,8 +1615,8 @@
       }
 
       if (!sendButton) {
-        const error = 'Кнопка отправки не найдена';
-        await chromeAsync.storage.set({ lastAutoCommentError: error });
+        const error = i18n.t('content_comment_send_missing');
+        await saveCommentError(error);
         logger.warn(error);
         return false;
       }
@@ -703,8 +1633,8 @@
       
       return true;
     } catch (err) {
-      const error = `Ошибка postComment: ${err?.message || err}`;
-      await chromeAsync.storage.set({ lastAutoCommentError: error });
+      const error = i18n.t('content_comment_failed', err?.message || err);
+      await saveCommentError(error);
       logger.error('postComment error:', err);
       return false;
     }
@@ -716,16 +1646,12 @@
   async function handleChapterRead(chapterIndex) {
     try {
       if (!state.autoCommentSettings?.enabled) return;
-      if (!chapterIndex || chapterIndex === 1) return; // Пропуск первой главы
 
-      const interval = Math.max(1, Number(state.autoCommentSettings.interval) || 1);
-      const total = Math.max(1, Number(state.autoCommentSettings.totalComments) || 1);
-      const posted = Number(state.autoCommentState.posted) || 0;
-      
-      const offset = chapterIndex - 2;
+      const { interval, totalComments: total } = state.autoCommentSettings;
+      const { posted } = state.autoCommentState;
 
       // Проверка: нужно ли оставлять комментарий на этой главе
-      if (offset >= 0 && (offset % interval === 0) && posted < total) {
+      if (shouldCommentOnChapter(chapterIndex, interval, total, posted)) {
         const textList = Array.isArray(state.autoCommentSettings.commentsList) && 
                         state.autoCommentSettings.commentsList.length 
           ? state.autoCommentSettings.commentsList 
@@ -735,17 +1661,12 @@
           ? textList[Math.floor(Math.random() * textList.length)]
           : 'Спасибо за главу!';
 
-        // Пауза автопрокрутки на время отправки
+        // Пауза автопрокрутки на время отправки (в реестре вкладка остается активной)
         const wasAutoScrolling = state.autoScroll;
         
-        try {
-          if (wasAutoScrolling) {
-            await chromeAsync.storage.set({ autoScroll: false });
-            state.autoScroll = false;
-            stopSmoothScroll();
-          }
-        } catch (err) {
-          logger.warn('Ошибка паузы автопрокрутки:', err);
+        if (wasAutoScrolling) {
+          state.autoScroll = false;
+          stopSmoothScroll();
         }
 
         // Отправка комментария
@@ -760,14 +1681,9 @@
         }
 
         // Возобновление автопрокрутки
-        try {
-          if (wasAutoScrolling) {
-            await chromeAsync.storage.set({ autoScroll: true });
-            state.autoScroll = true;
-            if (isChapterPage()) startSmoothScroll();
-          }
-        } catch (err) {
-          logger.warn('Ошибка возобновления автопрокрутки:', err);
+        if (wasAutoScrolling) {
+          state.autoScroll = true;
+          if (isChapterPage()) startSmoothScroll();
         }
 
         // Обновление счетчика
@@ -785,37 +1701,169 @@
 
   // ==================== СИНХРОНИЗАЦИЯ ====================
   
+  /**
+   * Приостановлена ли функция, пока вкладка скрыта (политика pause)
+   */
+  function isPausedWhileHidden(feature) {
+    return document.hidden && state.hiddenPolicy[feature] === CONFIG.HIDDEN_POLICY.PAUSE;
+  }
+
+  /**
+   * Выключает функции с политикой stop, когда вкладка скрывается
+   */
+  async function stopHiddenFeatures() {
+    const stops = { autoScroll: stopScrolling, farm: stopFarm, mine: stopMine };
+    const features = getFeatures();
+
+    for (const [feature, stop] of Object.entries(stops)) {
+      if (features[feature] && state.hiddenPolicy[feature] === CONFIG.HIDDEN_POLICY.STOP) {
+        await stop();
+        logger.info('Вкладка скрыта, функция остановлена:', feature);
+      }
+    }
+  }
+
   /**
    * Синхронизирует все активные функции
+   * (в скрытой вкладке - с учетом политики hiddenPolicy)
    */
   function syncAllFeatures() {
     // Автопрокрутка
-    if (state.autoScroll && isChapterPage()) {
+    if (state.autoScroll && isChapterPage() && !isPausedWhileHidden('autoScroll')) {
       startSmoothScroll();
     } else {
       stopSmoothScroll();
+      if (!state.autoScroll) clearUserPause();
     }
 
     // Фарм подарков
-    if (state.farmActive && !state.farmInterval) {
+    const farmRuns = state.farmActive && !isPausedWhileHidden('farm');
+    if (farmRuns && !state.farmInterval) {
       state.farmInterval = setInterval(farmOnce, CONFIG.FARM_INTERVAL);
     }
-    if (!state.farmActive && state.farmInterval) {
+    if (!farmRuns && state.farmInterval) {
       clearInterval(state.farmInterval);
       state.farmInterval = null;
     }
 
     // Фарм шахты
-    if (state.mineActive && isMinePage() && !state.mineInterval) {
+    const mineRuns = state.mineActive && isMinePage() && !isPausedWhileHidden('mine');
+    if (mineRuns && !state.mineInterval) {
       state.mineInterval = setInterval(
         mineTick, 
         Math.max(CONFIG.MINE_INTERVAL_MIN, state.mineClickDelay)
       );
     }
-    if ((!state.mineActive || !isMinePage()) && state.mineInterval) {
+    if (!mineRuns && state.mineInterval) {
       clearInterval(state.mineInterval);
       state.mineInterval = null;
     }
+
+    syncHud();
+  }
+
+  // ==================== ПАНЕЛЬ НА СТРАНИЦЕ ====================
+
+  /**
+   * Показания панели из состояния вкладки
+   */
+  function getHudView() {
+    const { enabled, interval, totalComments } = state.autoCommentSettings;
+
+    return {
+      autoScroll: state.autoScroll,
+      scrollSpeed: state.scrollSpeed,
+      chapterRead: state.chapterRead,
+      chapterLimit: state.chapterLimit,
+      commentIn: enabled
+        ? chaptersUntilComment(state.chapterRead, interval, totalComments, state.autoCommentState.posted)
+        : null,
+      mineActive: state.mineActive,
+      hitsLeft: isMinePage() ? getHitsLeft() : null
+    };
+  }
+
+  /**
+   * Обновляет показания панели, если она на странице
+   */
+  function refreshHud() {
+    if (hud.isMounted()) hud.update(getHudView());
+  }
+
+  /**
+   * Действия панели идут тем же путем, что и команды из popup
+   */
+  const hudHandlers = {
+    async onToggleScroll() {
+      if (state.autoScroll) {
+        await stopScrolling();
+        return;
+      }
+      if (!checkCommentPlan()) return;
+
+      const response = await startScrolling();
+      if (!response.success) showToast(response.error);
+    },
+
+    onSpeed(speed) {
+      state.scrollSpeed = speed;
+
+      clearTimeout(state.hudSpeedTimer);
+      state.hudSpeedTimer = setTimeout(() => {
+        chromeAsync.storage.set({ scrollSpeed: speed });
+      }, CONFIG.HUD_SPEED_DEBOUNCE);
+    },
+
+    async onToggleMine() {
+      const response = state.mineActive ? await stopMine() : await startMine();
+      if (!response.success) showToast(response.error);
+    },
+
+    onMove(position) {
+      state.hudPosition = position;
+      chromeAsync.storage.set({ [hud.POSITION_KEY]: position });
+    },
+
+    async onClose() {
+      await chromeAsync.storage.set({ [hud.STORAGE_KEY]: false });
+      showToast(i18n.t('hud_hidden'), CONFIG.TOAST_LONG_DURATION);
+    }
+  };
+
+  /**
+   * Показывает панель на странице главы или шахты
+   */
+  function mountHud() {
+    if (!hud.mount({ page: getPageType(), position: state.hudPosition, handlers: hudHandlers })) return;
+
+    // Остаток ударов меняет сайт, а не расширение - опрашиваем, пока панель видна
+    if (isMinePage() && !state.hudTimer) {
+      state.hudTimer = setInterval(refreshHud, CONFIG.HUD_REFRESH_INTERVAL);
+    }
+  }
+
+  /**
+   * Убирает панель со страницы
+   */
+  function unmountHud() {
+    hud.unmount();
+
+    if (state.hudTimer) {
+      clearInterval(state.hudTimer);
+      state.hudTimer = null;
+    }
+  }
+
+  /**
+   * Показывает или убирает панель по настройке и типу страницы
+   */
+  function syncHud() {
+    const wanted = state.hudEnabled && hud.PAGES.includes(getPageType());
+
+    if (wanted && !hud.isMounted()) mountHud();
+    if (!wanted && hud.isMounted()) unmountHud();
+
+    refreshHud();
   }
 
   // ==================== ОБРАБОТЧИКИ СООБЩЕНИЙ ====================
@@ -825,137 +1873,94 @@
    */
   chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     (async () => {
-      if (!msg?.action) {
-        sendResponse({ success: false, error: 'Неверное сообщение' });
+      const validation = protocol.validateMessage(msg);
+      if (!validation.valid) {
+        sendResponse(validation.response);
+        return;
+      }
+
+      if (!protocol.isScope(msg.action, protocol.SCOPES.TAB)) {
+        sendResponse(protocol.fail(ERROR_CODES.UNKNOWN_ACTION));
         return;
       }
 
       try {
         switch (msg.action) {
           case 'startScrolling': {
-            if (!isChapterPage()) {
-              sendResponse({ 
-                success: false, 
-                error: 'Только на странице главы!' 
-              });
-              return;
-            }
-
-            state.autoScroll = true;
-            if (typeof msg.chapterLimit === 'number') {
-              state.chapterLimit = msg.chapterLimit;
-            }
-
-            const { currentChapterUrl } = await chromeAsync.storage.get(['currentChapterUrl']);
-            const updates = { 
-              autoScroll: true, 
-              chapterLimit: state.chapterLimit 
-            };
+            sendResponse(await startScrolling(msg.chapterLimit));
+            break;
+          }
 
-            if (currentChapterUrl !== location.href) {
-              updates.currentChapterUrl = location.href;
-            }
+          case 'stopScrolling': {
+            sendResponse(await stopScrolling());
+            break;
+          }
 
-            await chromeAsync.storage.set(updates);
-            syncAllFeatures();
-            sendResponse({ success: true });
+          case 'startRange': {
+            sendResponse(await startRange(msg.from, msg.to));
             break;
           }
 
-          case 'stopScrolling': {
-            state.autoScroll = false;
-            await chromeAsync.storage.set({ autoScroll: false });
-            stopSmoothScroll();
-            sendResponse({ success: true });
+          case 'startQueue': {
+            sendResponse(await startQueue());
             break;
           }
 
-          case 'updateSpeed': {
-            const speed = Math.max(Number(msg.speed) || 50, 1);
-            state.scrollSpeed = speed;
-            await chromeAsync.storage.set({ scrollSpeed: speed });
-            
-            if (state.autoScroll) {
-              stopSmoothScroll();
-              startSmoothScroll();
-            }
-            
-            sendResponse({ success: true });
+          case 'endSession': {
+            sendResponse(await endSession());
             break;
           }
 
           case 'startFarm': {
-            state.farmActive = true;
-            await chromeAsync.storage.set({ farmActive: true });
-            
-            if (!state.farmInterval) {
-              state.farmInterval = setInterval(farmOnce, CONFIG.FARM_INTERVAL);
-            }
-            
-            sendResponse({ success: true });
+            sendResponse(await startFarm());
             break;
           }
 
           case 'stopFarm': {
-            state.farmActive = false;
-            await chromeAsync.storage.set({ farmActive: false });
-            
-            if (state.farmInterval) {
-              clearInterval(state.farmInterval);
-              state.farmInterval = null;
-            }
-            
-            sendResponse({ success: true });
+            sendResponse(await stopFarm());
             break;
           }
 
           case 'startMine': {
-            if (!isMinePage()) {
-              sendResponse({ 
-                success: false, 
-                error: 'Только на странице Шахты!' 
-              });
-              return;
-            }
-
-            state.mineActive = true;
-            await chromeAsync.storage.set({ mineActive: true });
-            
-            if (!state.mineInterval) {
-              state.mineInterval = setInterval(
-                mineTick, 
-                Math.max(CONFIG.MINE_INTERVAL_MIN, state.mineClickDelay)
-              );
-            }
-            
-            sendResponse({ success: true });
+            sendResponse(await startMine());
             break;
           }
 
           case 'stopMine': {
-            state.mineActive = false;
-            await chromeAsync.storage.set({ mineActive: false });
-            
-            if (state.mineInterval) {
-              clearInterval(state.mineInterval);
-              state.mineInterval = null;
-            }
-            
-            sendResponse({ success: true });
+            sendResponse(await stopMine());
+            break;
+          }
+
+          case 'getStatus': {
+            sendResponse(protocol.ok({
+              features: getFeatures(),
+              counters: getCounters(),
+              page: getPageType()
+            }));
+            break;
+          }
+
+          case 'showFeedback': {
+            showToast(msg.text);
+            sendResponse(protocol.ok());
+            break;
+          }
+
+          case 'probeSelectors': {
+            const { [overrides.STORAGE_KEY]: saved } = await settings.read([overrides.STORAGE_KEY]);
+            const draft = msg.overrides
+              ? settings.normalize(overrides.STORAGE_KEY, msg.overrides)
+              : saved;
+
+            sendResponse(protocol.ok({ results: overrides.probe(draft) }));
             break;
           }
 
           default:
-            sendResponse({ 
-              success: false, 
-              error: 'Неизвестное действие' 
-            });
+            sendResponse(protocol.fail(ERROR_CODES.UNKNOWN_ACTION));
         }
       } catch (err) {
-        sendResponse({ 
-          success: false, 
-          error: err?.message || 'Ошибка' 
-        });
+        sendResponse(protocol.failFromError(err));
       }
     })();
 
@@ -967,7 +1972,7 @@
   /**
    * Реагирует на изменения в chrome.storage
    */
-  chrome.storage.onChanged.addListener((changes) => {
+  storage.onChanged.addListener((changes) => {
     const relevantKeys = STORAGE_KEYS;
     const hasRelevantChanges = Object.keys(changes).some(key => 
       relevantKeys.includes(key)
@@ -988,37 +1993,101 @@
     // Обновление настроек автокомментирования
     if (changes[CONFIG.AUTO_COMMENT_KEY]) {
       Object.assign(
-        state.autoCommentSettings, 
-        changes[CONFIG.AUTO_COMMENT_KEY].newValue || {}
+        state.autoCommentSettings,
+        settings.normalize(CONFIG.AUTO_COMMENT_KEY, changes[CONFIG.AUTO_COMMENT_KEY].newValue)
       );
     }
 
     if (changes[CONFIG.AUTO_COMMENT_STATE_KEY]) {
       Object.assign(
-        state.autoCommentState, 
-        changes[CONFIG.AUTO_COMMENT_STATE_KEY].newValue || {}
+        state.autoCommentState,
+        settings.normalize(CONFIG.AUTO_COMMENT_STATE_KEY, changes[CONFIG.AUTO_COMMENT_STATE_KEY].newValue)
       );
     }
   });
 
   // ==================== ИНИЦИАЛИЗАЦИЯ ====================
+
+  /**
+   * Действия пользователя слушаем на фазе перехвата: сайт может
+   * останавливать всплытие своих событий
+   */
+  CONFIG.USER_ACTIVITY_EVENTS.forEach(type => {
+    window.addEventListener(type, handleUserActivity, { capture: true, passive: true });
+  });
+  window.addEventListener('keydown', handleKeyDown, true);
+  window.addEventListener('keyup', handleSpaceRelease, true);
+  window.addEventListener('blur', handleSpaceRelease);
+
+  /**
+   * Подписи панели берутся при создании - после загрузки
+   * или смены языка создаем ее заново
+   */
+  function remountHud() {
+    if (!hud.isMounted()) return;
+    unmountHud();
+    syncHud();
+  }
+
+  i18n.onChange(remountHud);
+
+  /**
+   * Смена видимости вкладки: политика hiddenPolicy для каждой задачи,
+   * переход прокрутки между rAF и таймером (startSmoothScroll сбрасывает
+   * отсчет времени, и после возврата страница не прыгает)
+   */
+  document.addEventListener('visibilitychange', async () => {
+    // Время чтения в истории считается, только пока вкладка видна
+    if (document.hidden) {
+      saveVisit();
+      await stopHiddenFeatures();
+      syncAllFeatures();
+      return;
+    }
+
+    trackVisitTime();
+    syncAllFeatures();
+
+    // Троттлинг таймеров фоновой вкладки задерживает пульс -
+    // подтверждаем состояние сразу при возврате на вкладку
+    if (Object.values(getFeatures()).some(Boolean)) {
+      reportFeatures();
+    }
+  });
   
   /**
-   * Инициализация при загрузке страницы
+   * Уход со страницы (в том числе переход на следующую главу) завершает посещение
    */
-  window.addEventListener('load', () => {
+  window.addEventListener('pagehide', () => saveVisit());
+
+  /**
+   * Инициализация при загрузке страницы: продолжение запуска диапазона или
+   * очереди, счетчик глав и переход очереди на следующий тайтл
+   */
+  async function initPage() {
+    // Флаги функций вкладки приходят из реестра
+    await state.registration;
+
     loadStateFromStorage(async () => {
+      // Переход на начальную главу диапазона
+      if (state.chapterRange.status === 'pending') {
+        await resumeRange();
+        return;
+      }
+      // Переход на главу первой записи очереди
+      if (state.readingQueue.pending) {
+        await resumeQueue();
+        return;
+      }
+
       if (state.autoScroll && isChapterPage()) {
-        const data = await chromeAsync.storage.get([
-          'currentChapterUrl', 
-          'chapterRead', 
-          'chapterLimit'
-        ]);
-
-        const { 
-          currentChapterUrl = null, 
-          chapterRead: storedRead = 0, 
-          chapterLimit: storedLimit = 0 
+        const keys = ['currentChapterUrl', 'chapterRead', 'chapterLimit'];
+        const data = settings.normalizeAll(await chromeAsync.storage.get(keys), keys);
+
+        const {
+          currentChapterUrl,
+          chapterRead: storedRead,
+          chapterLimit: storedLimit
         } = data;
 
         const updates = {};
@@ -1026,15 +2095,24 @@
 
         // Инкремент счетчика при новой главе
         if (currentChapterUrl !== location.href) {
-          newRead = (typeof storedRead === 'number' ? storedRead : 0) + 1;
+          newRead = storedRead + 1;
           updates.chapterRead = newRead;
           updates.currentChapterUrl = location.href;
         }
 
-        // Проверка лимита глав
-        if (storedLimit > 0 && newRead > storedLimit) {
+        // Очередь продолжит тайтл с этой главы
+        if (isQueueActive()) {
+          await queue.track(currentQueueEntry().id, { url: location.href });
+        }
+
+        // Проверка лимита глав (в режиме диапазона конец задает номер главы:
+        // после последней главы диапазона могла открыться следующая)
+        if (isRangeActive()) {
+          if (parseChapterUrl().chapter > state.chapterRange.to) finishRange();
+        } else if (isChapterLimitExceeded(newRead, storedLimit)) {
           state.autoScroll = false;
-          updates.autoScroll = false;
+          reportFeatures();
+          notifyEvent(protocol.EVENTS.CHAPTER_LIMIT, i18n.t('content_chapters_read', storedLimit));
         }
 
         if (Object.keys(updates).length) {
@@ -1048,10 +2126,77 @@
         }
       }
     });
-  });
+  }
+
+  /**
+   * Контентные скрипты выполняются на document_idle - часто уже после
+   * события load: тогда инициализация запускается сразу
+   */
+  if (document.readyState === 'complete') {
+    initPage();
+  } else {
+    window.addEventListener('load', initPage, { once: true });
+  }
+
+  // ==================== ПУБЛИЧНЫЙ API ====================
+
+  /**
+   * Экспортируем состояние и автоматизации для отладки и тестового окружения
+   */
+  globalThis.MBH.content = {
+    CONFIG,
+    state,
+    isChapterPage,
+    isMinePage,
+    parseChapterUrl,
+    parseMangaSlug,
+    getFeatures,
+    registerTab,
+    reportFeatures,
+    startHeartbeat,
+    showToast,
+    notifyEvent,
+    saveVisit,
+    loadStateFromStorage,
+    syncAllFeatures,
+    startSmoothScroll,
+    stopSmoothScroll,
+    startScrolling,
+    stopScrolling,
+    startRange,
+    finishRange,
+    startQueue,
+    nextQueueTitle,
+    finishChapter,
+    computeSessionDeadline,
+    endSession,
+    pauseForUser,
+    resumeAfterUser,
+    goToNextChapter,
+    isChapterFinished,
+    isChapterLimitExceeded,
+    farmOnce,
+    startFarm,
+    stopFarm,
+    getHitsLeft,
+    mineTick,
+    startMine,
+    stopMine,
+    computeNeededChapters,
+    chaptersUntilComment,
+    shouldCommentOnChapter,
+    postComment,
+    handleChapterRead,
+    isPausedWhileHidden,
+    syncHud
+  };
 
-  // Начальная загрузка состояния
+  // Начальная загрузка состояния, языка и регистрация вкладки
   loadStateFromStorage();
+  i18n.ready().then(remountHud);
+  state.registration = registerTab();
+  state.registration.then(startVisit);
+  startHeartbeat();
 
   logger.info('Content script загружен');
 })();
\ No newline at end of file
@@ -0,0 +1,346 @@
+// hud.js - Панель управления на странице
+'use strict';
+
+/**
+ * @fileoverview Перетаскиваемая панель поверх страниц главы и шахты:
+ * пуск/пауза прокрутки, скорость, счетчики глав и комментариев, удары шахты.
+ * Панель только отображает переданное состояние и вызывает обработчики -
+ * запуском функций и хранилищем занимается content.js.
+ * Разметка живет в Shadow DOM, чтобы стили сайта ее не задевали.
+ * Подключается после i18n.js и публикуется как globalThis.MBH.hud
+ */
+
+(() => {
+  const MBH = globalThis.MBH = globalThis.MBH || {};
+  const { settings, i18n } = MBH;
+
+  // ==================== КОНСТАНТЫ ====================
+
+  const STORAGE_KEY = 'hudEnabled';
+  const POSITION_KEY = 'hudPosition';
+
+  // Страницы, на которых панель показывается
+  const PAGES = Object.freeze(['chapter', 'mine']);
+
+  const CONFIG = {
+    HOST_ID: 'mbh-hud',
+    // Минимальный отступ от края окна при перетаскивании, px
+    EDGE_MARGIN: 4
+  };
+
+  const STYLE = `
+    :host { all: initial; }
+    .hud {
+      position: fixed;
+      z-index: 2147483646;
+      min-width: 190px;
+      padding: 0 0 8px;
+      border-radius: 10px;
+      background: rgba(30, 30, 30, 0.9);
+      color: #fff;
+      font: 12px/1.4 sans-serif;
+      box-shadow: 0 4px 16px rgba(0, 0, 0, 0.35);
+      user-select: none;
+    }
+    .head {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      padding: 4px 6px 4px 10px;
+      cursor: move;
+      touch-action: none;
+      opacity: 0.8;
+    }
+    .row { display: flex; align-items: center; gap: 8px; padding: 3px 10px; }
+    .row[hidden] { display: none; }
+    button {
+      font: inherit;
+      color: inherit;
+      background: rgba(255, 255, 255, 0.14);
+      border: 0;
+      border-radius: 6px;
+      padding: 4px 10px;
+      cursor: pointer;
+    }
+    button:hover { background: rgba(255, 255, 255, 0.24); }
+    button.active { background: #2e7d32; }
+    .close { background: none; padding: 0 4px; font-size: 14px; }
+    input[type="range"] { flex: 1; min-width: 0; margin: 0; }
+    .value { min-width: 58px; text-align: right; white-space: nowrap; }
+  `;
+
+  // ==================== СОСТОЯНИЕ ====================
+
+  const state = {
+    host: null,
+    root: null,
+    page: null,
+    elements: {},
+    handlers: {},
+    position: null,
+    drag: null
+  };
+
+  // ==================== ПОЛОЖЕНИЕ ====================
+
+  /**
+   * Ограничивает положение размерами окна
+   * @param {Object} position - {right, bottom} в px от правого нижнего угла
+   * @returns {Object}
+   */
+  function clampPosition(position) {
+    const panel = state.elements.panel;
+    const maxRight = Math.max(0, window.innerWidth - panel.offsetWidth - CONFIG.EDGE_MARGIN);
+    const maxBottom = Math.max(0, window.innerHeight - panel.offsetHeight - CONFIG.EDGE_MARGIN);
+
+    return {
+      right: Math.round(Math.min(Math.max(position.right, 0), maxRight)),
+      bottom: Math.round(Math.min(Math.max(position.bottom, 0), maxBottom))
+    };
+  }
+
+  /**
+   * Ставит панель в положение (с учетом размеров окна)
+   * @param {Object} position - {right, bottom}
+   */
+  function applyPosition(position) {
+    state.position = clampPosition(position);
+    state.elements.panel.style.right = `${state.position.right}px`;
+    state.elements.panel.style.bottom = `${state.position.bottom}px`;
+  }
+
+  /**
+   * Перетаскивание за заголовок; новое положение сообщается один раз в конце
+   * @param {HTMLElement} handle - Заголовок панели
+   */
+  function bindDrag(handle) {
+    handle.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0 || e.target.closest('button')) return;
+
+      state.drag = { x: e.clientX, y: e.clientY, origin: { ...state.position } };
+      handle.setPointerCapture(e.pointerId);
+      e.preventDefault();
+    });
+
+    handle.addEventListener('pointermove', (e) => {
+      if (!state.drag) return;
+
+      const { x, y, origin } = state.drag;
+      applyPosition({
+        right: origin.right - (e.clientX - x),
+        bottom: origin.bottom - (e.clientY - y)
+      });
+    });
+
+    const finish = () => {
+      if (!state.drag) return;
+      state.drag = null;
+      state.handlers.onMove?.({ ...state.position });
+    };
+
+    handle.addEventListener('pointerup', finish);
+    handle.addEventListener('pointercancel', finish);
+  }
+
+  /**
+   * При изменении размеров окна панель не должна уходить за край
+   */
+  function handleResize() {
+    if (state.host) applyPosition(state.position);
+  }
+
+  // ==================== РАЗМЕТКА ====================
+
+  /**
+   * Создает элемент с классом и текстом
+   * @param {string} tag - Имя тега
+   * @param {string} [className] - Класс
+   * @param {string} [text] - Текст
+   * @returns {HTMLElement}
+   */
+  function el(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text != null) element.textContent = text;
+    return element;
+  }
+
+  /**
+   * Строки управления прокруткой (страница главы)
+   * @param {HTMLElement} panel - Контейнер панели
+   */
+  function buildChapterRows(panel) {
+    const { elements, handlers } = state;
+    const { min, max } = settings.SCHEMA.scrollSpeed;
+
+    const controls = el('div', 'row');
+    elements.scrollButton = el('button');
+    elements.scrollButton.addEventListener('click', () => handlers.onToggleScroll?.());
+    controls.append(elements.scrollButton, el('span', '', i18n.t('feature_autoScroll')));
+
+    const speed = el('div', 'row');
+    elements.speedRange = el('input');
+    Object.assign(elements.speedRange, { type: 'range', min, max, step: 1 });
+    elements.speedRange.title = i18n.t('hud_speed');
+    elements.speedValue = el('span', 'value');
+    elements.speedRange.addEventListener('input', () => {
+      const speed = settings.normalize('scrollSpeed', elements.speedRange.value);
+      elements.speedValue.textContent = `${speed} ${i18n.t('unit_px_per_s')}`;
+      handlers.onSpeed?.(speed);
+    });
+    speed.append(elements.speedRange, elements.speedValue);
+
+    elements.chapters = el('div', 'row');
+    elements.comment = el('div', 'row');
+
+    panel.append(controls, speed, elements.chapters, elements.comment);
+  }
+
+  /**
+   * Строки управления шахтой (страница шахты)
+   * @param {HTMLElement} panel - Контейнер панели
+   */
+  function buildMineRows(panel) {
+    const { elements, handlers } = state;
+
+    elements.hits = el('div', 'row');
+
+    const controls = el('div', 'row');
+    elements.mineButton = el('button');
+    elements.mineButton.addEventListener('click', () => handlers.onToggleMine?.());
+    controls.append(elements.mineButton);
+
+    panel.append(elements.hits, controls);
+  }
+
+  // ==================== ПУБЛИЧНЫЕ ФУНКЦИИ ====================
+
+  /**
+   * Показывает панель (повторный вызов пересоздает ее, например после смены языка)
+   * @param {Object} options - Параметры
+   * @param {string} options.page - Тип страницы из PAGES
+   * @param {Object} options.position - {right, bottom}
+   * @param {Object} options.handlers - onToggleScroll, onSpeed(speed),
+   *   onToggleMine, onMove(position), onClose
+   * @returns {boolean} - false, если на этой странице панели нет
+   */
+  function mount({ page, position, handlers = {} }) {
+    unmount();
+    if (!PAGES.includes(page)) return false;
+
+    state.page = page;
+    state.handlers = handlers;
+    state.elements = {};
+
+    const host = el('div');
+    host.id = CONFIG.HOST_ID;
+    const root = host.attachShadow({ mode: 'open' });
+
+    const panel = el('div', 'hud');
+    const head = el('div', 'head');
+    const close = el('button', 'close', '×');
+    close.title = i18n.t('hud_close');
+    close.addEventListener('click', () => handlers.onClose?.());
+    head.append(el('span', '', i18n.t('ext_name')), close);
+    panel.append(head);
+
+    state.elements.panel = panel;
+    if (page === 'chapter') {
+      buildChapterRows(panel);
+    } else {
+      buildMineRows(panel);
+    }
+
+    root.append(el('style', '', STYLE), panel);
+    (document.body || document.documentElement).appendChild(host);
+
+    state.host = host;
+    state.root = root;
+
+    bindDrag(head);
+    applyPosition(position || settings.getDefault(POSITION_KEY));
+    window.addEventListener('resize', handleResize);
+    return true;
+  }
+
+  /**
+   * Убирает панель со страницы
+   */
+  function unmount() {
+    if (!state.host) return;
+
+    window.removeEventListener('resize', handleResize);
+    state.host.remove();
+    state.host = null;
+    state.root = null;
+    state.page = null;
+    state.elements = {};
+    state.drag = null;
+  }
+
+  /**
+   * Показана ли панель
+   * @returns {boolean}
+   */
+  function isMounted() {
+    return Boolean(state.host);
+  }
+
+  /**
+   * Произошло ли событие внутри панели
+   * (на уровне документа события Shadow DOM приходят от элемента-хоста)
+   * @param {Event} event - Событие
+   * @returns {boolean}
+   */
+  function isOwnEvent(event) {
+    return Boolean(state.host) && event.composedPath().includes(state.host);
+  }
+
+  /**
+   * Обновляет показания панели
+   * @param {Object} view - autoScroll, scrollSpeed, chapterRead, chapterLimit,
+   *   commentIn (глав до комментария или null), mineActive, hitsLeft
+   */
+  function update(view) {
+    if (!state.host) return;
+    const { elements } = state;
+
+    if (state.page === 'chapter') {
+      elements.scrollButton.textContent = view.autoScroll ? '⏸' : '▶';
+      elements.scrollButton.title = i18n.t(view.autoScroll ? 'hud_pause' : 'hud_play');
+      elements.scrollButton.classList.toggle('active', view.autoScroll);
+
+      // Ползунок, который сейчас двигают, не перебиваем
+      if (state.root.activeElement !== elements.speedRange) {
+        elements.speedRange.value = view.scrollSpeed;
+        elements.speedValue.textContent = `${view.scrollSpeed} ${i18n.t('unit_px_per_s')}`;
+      }
+
+      elements.chapters.textContent = i18n.t('hud_chapters',
+        view.chapterRead, view.chapterLimit > 0 ? view.chapterLimit : '∞');
+
+      elements.comment.hidden = view.commentIn == null;
+      if (view.commentIn != null) {
+        elements.comment.textContent = i18n.t('hud_comment_in', view.commentIn);
+      }
+      return;
+    }
+
+    elements.hits.textContent = i18n.t('hud_hits', view.hitsLeft ?? '—');
+    elements.mineButton.textContent = i18n.t(view.mineActive ? 'stop' : 'popup_start_mine');
+    elements.mineButton.classList.toggle('active', view.mineActive);
+  }
+
+  // ==================== ЭКСПОРТ ====================
+
+  MBH.hud = Object.freeze({
+    STORAGE_KEY,
+    POSITION_KEY,
+    PAGES,
+    mount,
+    unmount,
+    isMounted,
+    isOwnEvent,
+    update
+  });
+})();
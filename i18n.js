@@ -0,0 +1,196 @@
+// i18n.js - Локализация интерфейса
+'use strict';
+
+/**
+ * @fileoverview Строки интерфейса Mangabuff Helper
+ * Каталоги лежат в _locales/<язык>/messages.json (формат chrome.i18n).
+ * По умолчанию язык берется из браузера; настройка language выбирает
+ * каталог явно - тогда он загружается из пакета расширения.
+ * Подключается после storage.js и публикуется как globalThis.MBH.i18n
+ */
+
+(() => {
+  const MBH = globalThis.MBH = globalThis.MBH || {};
+  const { settings } = MBH;
+
+  // ==================== КОНСТАНТЫ ====================
+
+  const STORAGE_KEY = 'language';
+  const AUTO = 'auto';
+  const LANGUAGES = Object.freeze([...settings.SCHEMA[STORAGE_KEY].values]);
+
+  // Атрибут разметки -> свойство элемента, в которое пишется перевод
+  const ATTRIBUTES = Object.freeze({
+    'data-i18n': 'textContent',
+    'data-i18n-title': 'title',
+    'data-i18n-placeholder': 'placeholder'
+  });
+
+  const CONFIG = {
+    CATALOG_PATH: '_locales/{lang}/messages.json',
+    MAX_SUBSTITUTIONS: 9
+  };
+
+  // ==================== СОСТОЯНИЕ ====================
+
+  const state = {
+    language: AUTO,
+    catalog: null,
+    ready: null,
+    listeners: []
+  };
+
+  // ==================== КАТАЛОГИ ====================
+
+  /**
+   * Загружает каталог языка из пакета расширения
+   * (имена сообщений и подстановок в chrome.i18n нечувствительны к регистру)
+   * @param {string} language - Язык из LANGUAGES, кроме auto
+   * @returns {Promise<Object>} - {имя: {message, placeholders}}
+   */
+  async function loadCatalog(language) {
+    const url = chrome.runtime.getURL(CONFIG.CATALOG_PATH.replace('{lang}', language));
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const catalog = {};
+    for (const [name, entry] of Object.entries(await response.json())) {
+      const placeholders = {};
+      for (const [key, placeholder] of Object.entries(entry.placeholders || {})) {
+        placeholders[key.toLowerCase()] = placeholder.content;
+      }
+      catalog[name.toLowerCase()] = { message: String(entry.message), placeholders };
+    }
+    return catalog;
+  }
+
+  /**
+   * Переключает язык (при ошибке загрузки остается язык браузера)
+   * @param {string} language - Значение настройки
+   * @returns {Promise<void>}
+   */
+  async function applyLanguage(language) {
+    let catalog = null;
+
+    if (language !== AUTO) {
+      try {
+        catalog = await loadCatalog(language);
+      } catch (err) {
+        MBH.log?.createLogger('i18n').warn(`Каталог ${language} не загружен:`, err);
+      }
+    }
+
+    state.language = catalog ? language : AUTO;
+    state.catalog = catalog;
+  }
+
+  /**
+   * Загружает выбранный язык и подписывается на смену настройки
+   * (хранилище подключается раньше, но нужно не во всех контекстах, поэтому лениво)
+   * @returns {Promise<void>}
+   */
+  function ready() {
+    if (state.ready) return state.ready;
+
+    const { storage } = MBH;
+    if (!storage) return Promise.resolve();
+
+    storage.onChanged.addListener((changes) => {
+      if (!changes[STORAGE_KEY]) return;
+
+      const language = settings.normalize(STORAGE_KEY, changes[STORAGE_KEY].newValue);
+      state.ready = applyLanguage(language).then(() => {
+        state.listeners.forEach(listener => listener(state.language));
+      });
+    });
+
+    state.ready = settings.read([STORAGE_KEY])
+      .then(data => applyLanguage(data[STORAGE_KEY]))
+      .catch(() => {});
+
+    return state.ready;
+  }
+
+  /**
+   * Подписка на смену языка
+   * @param {Function} listener - (language) => void
+   */
+  function onChange(listener) {
+    ready();
+    state.listeners.push(listener);
+  }
+
+  // ==================== ПЕРЕВОД ====================
+
+  /**
+   * Подставляет значения в сообщение по правилам chrome.i18n:
+   * $ИМЯ$ - подстановка из placeholders, $1..$9 - аргументы, $$ - знак доллара
+   * @param {Object} entry - {message, placeholders}
+   * @param {Array<string>} subs - Аргументы
+   * @returns {string}
+   */
+  function format(entry, subs) {
+    return entry.message
+      .replace(/\$([a-z0-9_@]+)\$/gi, (match, name) => entry.placeholders[name.toLowerCase()] ?? match)
+      .replace(/\$\$|\$([1-9])/g, (match, index) => index ? (subs[index - 1] ?? '') : '$');
+  }
+
+  /**
+   * Возвращает строку интерфейса на текущем языке
+   * @param {string} name - Имя сообщения из messages.json
+   * @param {...*} subs - Значения подстановок ($1..$9)
+   * @returns {string} - Перевод или имя сообщения, если его нет в каталогах
+   */
+  function t(name, ...subs) {
+    ready();
+
+    const values = subs.slice(0, CONFIG.MAX_SUBSTITUTIONS).map(String);
+    const entry = state.catalog?.[name.toLowerCase()];
+    if (entry) return format(entry, values);
+
+    try {
+      const text = chrome.i18n.getMessage(name, values);
+      if (text) return text;
+    } catch (err) {
+      // Контекст расширения недоступен (расширение обновлено)
+    }
+    return name;
+  }
+
+  /**
+   * Переводит разметку по атрибутам data-i18n, data-i18n-title, data-i18n-placeholder
+   * @param {ParentNode} [root=document] - Корень поиска
+   */
+  function localize(root = document) {
+    for (const [attribute, property] of Object.entries(ATTRIBUTES)) {
+      root.querySelectorAll(`[${attribute}]`).forEach(el => {
+        el[property] = t(el.getAttribute(attribute));
+      });
+    }
+
+    if (root === document) {
+      document.documentElement.lang = t('language_code');
+    }
+  }
+
+  /**
+   * Выбранный язык (auto - язык браузера)
+   * @returns {string}
+   */
+  function language() {
+    return state.language;
+  }
+
+  // ==================== ЭКСПОРТ ====================
+
+  MBH.i18n = Object.freeze({
+    STORAGE_KEY,
+    AUTO,
+    LANGUAGES,
+    ready,
+    onChange,
+    t,
+    localize,
+    language
+  });
+})();
@@ -18,9 +18,17 @@
   // ==================== КОНФИГУРАЦИЯ ====================
   
   const CONFIG = {
-    DEBUG: false,
     MESSAGE_SOURCE: 'quiz-helper',
     MESSAGE_TYPE: 'CORRECT',
+    LOG_TYPE: 'LOG',
+    CONNECT_TYPE: 'CONNECT',
+    HELLO_TYPE: 'HELLO',
+    
+    // Атрибут документа с ключом канала от qh_content.js
+    CHANNEL_ATTRIBUTE: 'data-qh-channel',
+    
+    // Сообщения, ждущие подключения qh_content.js
+    MAX_PENDING_MESSAGES: 50,
     
     // Паттерны для поиска правильных ответов в данных
     PATTERNS: {
@@ -37,28 +45,120 @@
     SOCKETIO_PREFIX: '42'
   };
 
+  // ==================== ПОДКЛЮЧЕНИЕ В ТЕСТАХ ====================
+  
+  /**
+   * В Node (tests/) файл подключается как модуль: наружу только чистые функции
+   * извлечения, перехват не ставится. На странице ничего не публикуется
+   */
+  if (typeof window === 'undefined' && typeof module === 'object' && module?.exports) {
+    module.exports = { extractCorrectInfo, parseSocketMessage };
+    return;
+  }
+
+  // ==================== КАНАЛ СВЯЗИ ====================
+  
+  /**
+   * Ответы и журнал уходят в qh_content.js через MessageChannel, а не через
+   * window.postMessage, который сайт может читать и подделывать.
+   * Порт передается через window вместе с ключом, который qh_content.js
+   * кладет в атрибут документа: порт без ключа он не примет. Если
+   * qh_content.js загрузился позже, он просит порт сообщением HELLO
+   */
+  const channel = {
+    // Порт, получение которого подтвердил qh_content.js
+    port: null,
+    pending: []
+  };
+
+  /**
+   * Создает канал и передает второй порт в window
+   */
+  function connect() {
+    // Без ключа qh_content.js еще не загрузился - порт отправим по его HELLO
+    const token = document.documentElement?.getAttribute(CONFIG.CHANNEL_ATTRIBUTE);
+    if (!token) return;
+
+    const { port1, port2 } = new MessageChannel();
+
+    // qh_content.js подтверждает получение порта - после этого шлем накопленное
+    port1.onmessage = () => {
+      if (channel.port) return;
+      channel.port = port1;
+      channel.pending.splice(0).forEach(message => port1.postMessage(message));
+    };
+
+    window.postMessage({ source: CONFIG.MESSAGE_SOURCE, type: CONFIG.CONNECT_TYPE, token }, '*', [port2]);
+  }
+
+  /**
+   * Отправляет сообщение в qh_content.js (до подключения - в очередь)
+   * @param {Object} message - {type, ...}
+   */
+  function send(message) {
+    const data = { source: CONFIG.MESSAGE_SOURCE, ...message };
+
+    if (channel.port) {
+      channel.port.postMessage(data);
+      return;
+    }
+    if (channel.pending.length < CONFIG.MAX_PENDING_MESSAGES) {
+      channel.pending.push(data);
+    }
+  }
+
+  window.addEventListener('message', (event) => {
+    const message = event.data;
+    if (event.source !== window || channel.port) return;
+    if (message?.source === CONFIG.MESSAGE_SOURCE && message.type === CONFIG.HELLO_TYPE) {
+      connect();
+    }
+  });
+
+  connect();
+
   // ==================== УТИЛИТЫ ====================
   
-  const logger = {
-    debug: (...args) => {
-      if (CONFIG.DEBUG) console.debug('[QH][inject]', ...args);
-    },
-    warn: (...args) => {
-      if (CONFIG.DEBUG) console.warn('[QH][inject]', ...args);
+  /**
+   * Пересылает запись журнала в qh_content.js (фильтрация debug - там)
+   * @param {string} level - Уровень
+   * @param {Array} args - Аргументы логгера
+   */
+  function forwardLog(level, args) {
+    try {
+      send({
+        type: CONFIG.LOG_TYPE,
+        level,
+        args: args.map(arg => {
+          if (typeof arg === 'string') return arg;
+          if (arg instanceof Error) return `${arg.name}: ${arg.message}`;
+          try {
+            return JSON.stringify(arg) ?? String(arg);
+          } catch (err) {
+            return String(arg);
+          }
+        })
+      });
+    } catch (err) {
+      // Журнал не должен ломать перехват
     }
+  }
+
+  const logger = {
+    debug: (...args) => forwardLog('debug', args),
+    warn: (...args) => forwardLog('warn', args)
   };
 
   /**
-   * Отправляет сообщение в qh_content.js через postMessage
+   * Отправляет правильный ответ в qh_content.js
    * @param {Object} info - Информация о правильном ответе
    */
   function postCorrectAnswer(info) {
     try {
-      window.postMessage({
-        source: CONFIG.MESSAGE_SOURCE,
+      send({
         type: CONFIG.MESSAGE_TYPE,
         payload: info
-      }, '*');
+      });
       
       logger.debug('Найден правильный ответ:', info);
     } catch (err) {
@@ -126,6 +226,48 @@
     return null;
   }
 
+  /**
+   * Парсит сообщение WebSocket/Socket.io
+   * @param {*} data - Данные сообщения
+   * @returns {Array<Object>} - Найденные {correctText, correctToken}
+   */
+  function parseSocketMessage(data) {
+    if (typeof data !== 'string') return [];
+
+    const found = [];
+
+    // Обработка Socket.io формата (42["event", {...}])
+    if (data.startsWith(CONFIG.SOCKETIO_PREFIX) && data.includes('[')) {
+      try {
+        const jsonPart = data.slice(data.indexOf('['));
+        const array = JSON.parse(jsonPart);
+
+        for (const item of array) {
+          if (item && typeof item === 'object') {
+            const info = extractCorrectInfo(item);
+            if (info) found.push(info);
+          }
+        }
+      } catch (err) {
+        // Игнорируем ошибки парсинга
+      }
+      return found;
+    }
+
+    // Обработка обычного JSON
+    if (data.startsWith('{') || data.startsWith('[')) {
+      try {
+        const parsedData = JSON.parse(data);
+        const info = extractCorrectInfo(parsedData);
+        if (info) found.push(info);
+      } catch (err) {
+        // Игнорируем ошибки парсинга
+      }
+    }
+
+    return found;
+  }
+
   // ==================== ПЕРЕХВАТ FETCH ====================
   
   /**
@@ -235,7 +377,7 @@
           // Перехват входящих сообщений
           this.addEventListener?.('message', (event) => {
             try {
-              parseSocketMessage(event.data);
+              parseSocketMessage(event.data).forEach(postCorrectAnswer);
             } catch (err) {
               // Игнорируем ошибки парсинга
             }
@@ -257,43 +399,6 @@
     } catch (err) {
       logger.warn('Ошибка перехвата WebSocket:', err);
     }
-
-    /**
-     * Парсит сообщение WebSocket/Socket.io
-     * @param {*} data - Данные сообщения
-     */
-    function parseSocketMessage(data) {
-      if (typeof data !== 'string') return;
-
-      // Обработка Socket.io формата (42["event", {...}])
-      if (data.startsWith(CONFIG.SOCKETIO_PREFIX) && data.includes('[')) {
-        try {
-          const jsonPart = data.slice(data.indexOf('['));
-          const array = JSON.parse(jsonPart);
-
-          for (const item of array) {
-            if (item && typeof item === 'object') {
-              const info = extractCorrectInfo(item);
-              if (info) postCorrectAnswer(info);
-            }
-          }
-        } catch (err) {
-          // Игнорируем ошибки парсинга
-        }
-        return;
-      }
-
-      // Обработка обычного JSON
-      if (data.startsWith('{') || data.startsWith('[')) {
-        try {
-          const parsedData = JSON.parse(data);
-          const info = extractCorrectInfo(parsedData);
-          if (info) postCorrectAnswer(info);
-        } catch (err) {
-          // Игнорируем ошибки парсинга
-        }
-      }
-    }
   })();
 
   logger.debug('Скрипт инициализирован');
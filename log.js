@@ -0,0 +1,276 @@
+// log.js - Диагностический журнал
+'use strict';
+
+/**
+ * @fileoverview Общий журнал Mangabuff Helper
+ * Логгеры всех скриптов пишут в консоль с префиксом [MBH][контекст]
+ * и отправляют записи в кольцевой буфер, который ведет background
+ * (единственный писатель; буфер сохраняется в local под ключом diagnosticLog
+ * изредка, options получает записи действием getLog).
+ * Записи debug собираются только при включенной настройке debugLogging.
+ * Подключается после settings.js и публикуется как globalThis.MBH.log
+ */
+
+(() => {
+  const MBH = globalThis.MBH = globalThis.MBH || {};
+  const { settings } = MBH;
+
+  // ==================== КОНСТАНТЫ ====================
+
+  const STORAGE_KEY = 'diagnosticLog';
+  const DEBUG_KEY = 'debugLogging';
+
+  // Уровни по возрастанию важности
+  const LEVELS = Object.freeze(['debug', 'info', 'warn', 'error']);
+
+  const CONSOLE_METHODS = {
+    debug: 'debug',
+    info: 'log',
+    warn: 'warn',
+    error: 'error'
+  };
+
+  const CONFIG = {
+    MAX_ENTRIES: settings.SCHEMA[STORAGE_KEY].maxItems,
+    MAX_MESSAGE_LENGTH: 1000,
+    MAX_ARG_LENGTH: 300,
+    MAX_CONTEXT_LENGTH: 20,
+    FLUSH_DELAY: 1000
+  };
+
+  // ==================== СОСТОЯНИЕ ====================
+
+  const state = {
+    queue: [],
+    flushTimer: null,
+    debug: false,
+    debugReady: null,
+    sink: null
+  };
+
+  // ==================== ФОРМАТИРОВАНИЕ ====================
+
+  /**
+   * Превращает аргумент логгера в строку
+   * @param {*} arg - Аргумент
+   * @returns {string}
+   */
+  function formatArg(arg) {
+    if (typeof arg === 'string') return arg;
+    if (arg instanceof Error) return `${arg.name}: ${arg.message}`;
+    if (typeof Element !== 'undefined' && arg instanceof Element) {
+      const id = arg.id ? `#${arg.id}` : '';
+      const cls = typeof arg.className === 'string' && arg.className
+        ? `.${arg.className.trim().split(/\s+/).join('.')}`
+        : '';
+      return `<${arg.tagName.toLowerCase()}${id}${cls}>`;
+    }
+
+    let text;
+    try {
+      text = JSON.stringify(arg);
+    } catch (err) {
+      text = undefined;
+    }
+    if (text === undefined) text = String(arg);
+
+    return text.length > CONFIG.MAX_ARG_LENGTH
+      ? `${text.slice(0, CONFIG.MAX_ARG_LENGTH)}…`
+      : text;
+  }
+
+  /**
+   * Собирает сообщение из аргументов логгера
+   * @param {Array} args - Аргументы
+   * @returns {string}
+   */
+  function formatMessage(args) {
+    return args.map(formatArg).join(' ').slice(0, CONFIG.MAX_MESSAGE_LENGTH);
+  }
+
+  /**
+   * Приводит запись к безопасному виду (записи приходят из content scripts)
+   * @param {Object} entry - Сырая запись
+   * @returns {Object|null} - {t, level, ctx, msg, tabId?} или null
+   */
+  function normalizeEntry(entry) {
+    if (!entry || typeof entry !== 'object') return null;
+    if (!LEVELS.includes(entry.level) || typeof entry.msg !== 'string') return null;
+
+    const result = {
+      t: Number.isFinite(entry.t) ? entry.t : Date.now(),
+      level: entry.level,
+      ctx: String(entry.ctx || '?').slice(0, CONFIG.MAX_CONTEXT_LENGTH),
+      msg: entry.msg.slice(0, CONFIG.MAX_MESSAGE_LENGTH)
+    };
+    if (Number.isInteger(entry.tabId)) result.tabId = entry.tabId;
+
+    return result;
+  }
+
+  /**
+   * Добавляет записи в кольцевой буфер
+   * @param {Array<Object>} buffer - Текущий буфер
+   * @param {Array<Object>} entries - Новые записи
+   * @returns {Array<Object>} - Последние MAX_ENTRIES записей
+   */
+  function append(buffer, entries) {
+    return [...buffer, ...entries].slice(-CONFIG.MAX_ENTRIES);
+  }
+
+  /**
+   * Текстовая строка записи (для просмотра и копирования)
+   * @param {Object} entry - Запись
+   * @returns {string}
+   */
+  function formatEntry(entry) {
+    const date = new Date(entry.t);
+    const pad = (n, len = 2) => String(n).padStart(len, '0');
+    const time = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+      `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.` +
+      `${pad(date.getMilliseconds(), 3)}`;
+    const source = entry.tabId != null ? `${entry.ctx}#${entry.tabId}` : entry.ctx;
+
+    return `${time} ${entry.level.toUpperCase().padEnd(5)} [${source}] ${entry.msg}`;
+  }
+
+  /**
+   * Фильтрует записи
+   * @param {Array<Object>} entries - Записи
+   * @param {Object} filter - {level?, ctx?, tabId?, text?}
+   * @returns {Array<Object>}
+   */
+  function filterEntries(entries, { level, ctx, tabId, text } = {}) {
+    const minLevel = level ? LEVELS.indexOf(level) : 0;
+    const needle = text ? text.toLowerCase() : '';
+
+    return entries.filter(entry =>
+      LEVELS.indexOf(entry.level) >= minLevel &&
+      (!ctx || entry.ctx === ctx) &&
+      (tabId == null || entry.tabId === tabId) &&
+      (!needle || entry.msg.toLowerCase().includes(needle))
+    );
+  }
+
+  // ==================== НАСТРОЙКА DEBUG ====================
+
+  /**
+   * Загружает флаг debugLogging и подписывается на его изменения
+   * (хранилище подключается после этого модуля, поэтому лениво)
+   * @returns {Promise<void>}
+   */
+  function loadDebugFlag() {
+    if (state.debugReady) return state.debugReady;
+
+    const { storage } = MBH;
+    if (!storage) return Promise.resolve();
+
+    storage.onChanged.addListener((changes) => {
+      if (changes[DEBUG_KEY]) {
+        state.debug = settings.normalize(DEBUG_KEY, changes[DEBUG_KEY].newValue);
+      }
+    });
+
+    state.debugReady = settings.read([DEBUG_KEY])
+      .then(data => { state.debug = data[DEBUG_KEY]; })
+      .catch(() => {});
+
+    return state.debugReady;
+  }
+
+  // ==================== ОТПРАВКА ====================
+
+  /**
+   * Получатель записей по умолчанию: background через протокол сообщений
+   * @param {Array<Object>} entries - Записи
+   */
+  function sendToBackground(entries) {
+    try {
+      chrome.runtime.sendMessage({ action: 'appendLog', entries }, () => {
+        // Ошибки отправки журнала не логируем (иначе рекурсия)
+        void chrome.runtime.lastError;
+      });
+    } catch (err) {
+      // Контекст расширения недоступен (расширение обновлено)
+    }
+  }
+
+  /**
+   * Назначает получателя записей (background пишет в буфер напрямую)
+   * @param {Function} sink - (entries) => void
+   */
+  function setSink(sink) {
+    state.sink = sink;
+  }
+
+  /**
+   * Отправляет накопленные записи
+   * @returns {Promise<void>}
+   */
+  async function flush() {
+    clearTimeout(state.flushTimer);
+    state.flushTimer = null;
+
+    await loadDebugFlag();
+
+    const entries = state.queue
+      .splice(0)
+      .filter(entry => state.debug || entry.level !== 'debug');
+    if (!entries.length) return;
+
+    (state.sink || sendToBackground)(entries);
+  }
+
+  /**
+   * Записывает сообщение
+   * @param {string} ctx - Контекст (bg, content, quiz, inject, ...)
+   * @param {string} level - Уровень из LEVELS
+   * @param {Array} args - Аргументы логгера
+   */
+  function write(ctx, level, args) {
+    loadDebugFlag();
+
+    if (level !== 'debug' || state.debug) {
+      console[CONSOLE_METHODS[level]](`[MBH][${ctx}]`, ...args);
+    }
+
+    state.queue.push({ t: Date.now(), level, ctx, msg: formatMessage(args) });
+
+    if (!state.flushTimer) {
+      state.flushTimer = setTimeout(flush, CONFIG.FLUSH_DELAY);
+    }
+  }
+
+  /**
+   * Создает логгер контекста
+   * @param {string} ctx - Контекст
+   * @returns {Object} - {debug, info, warn, error}
+   */
+  function createLogger(ctx) {
+    const logger = {};
+    LEVELS.forEach(level => {
+      logger[level] = (...args) => write(ctx, level, args);
+    });
+    return Object.freeze(logger);
+  }
+
+  // Отправляем остаток очереди при закрытии страницы
+  if (typeof addEventListener === 'function') {
+    addEventListener('pagehide', () => { flush(); });
+  }
+
+  // ==================== ЭКСПОРТ ====================
+
+  MBH.log = Object.freeze({
+    STORAGE_KEY,
+    DEBUG_KEY,
+    LEVELS,
+    createLogger,
+    setSink,
+    flush,
+    normalizeEntry,
+    append,
+    formatEntry,
+    filterEntries
+  });
+})();
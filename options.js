@@ -0,0 +1,1922 @@
+// options.js - Страница настроек
+'use strict';
+
+/**
+ * @fileoverview UI логика страницы настроек Mangabuff Helper
+ * Расширенные настройки: язык, задержки, лимиты, профили, селекторы, библиотека
+ * комментариев, история и статистика чтения, горячие клавиши, уведомления, экспорт/импорт, журнал
+ * и диагностика. Состояние общее с popup
+ * через слой хранилища
+ */
+
+// ==================== КОНСТАНТЫ ====================
+
+const { protocol, settings, log, storage, i18n, overrides, profiles, queue, backup, visits, stats } = globalThis.MBH;
+
+const CONFIG = {
+  // Панель по умолчанию (остальные открываются по #hash)
+  DEFAULT_PANEL: 'delays',
+
+  // Лимиты (диапазоны значений задает схема настроек)
+  LIMITS: {
+    MAX_COMMENTS: settings.SCHEMA.autoCommentSettings.fields.commentsList.maxItems
+  },
+
+  // Таймауты
+  TIMEOUTS: {
+    ERROR_DISPLAY: 3200,
+    SEARCH_DEBOUNCE: 200
+  },
+
+  // История чтения: сколько строк показывать (выгружаются все найденные)
+  VISITS_PAGE_SIZE: 200,
+  VISITS_FILE_PREFIX: 'mangabuff-helper-history',
+
+  // Графики статистики, px
+  CHART: {
+    PADDING_TOP: 14,
+    LABEL_HEIGHT: 18,
+    MIN_LABEL_GAP: 44,
+    BAR_FILL: 0.7,
+    FONT: '11px sans-serif'
+  },
+
+  // Числовые настройки панели "Задержки и лимиты" (подписи - имена сообщений _locales)
+  FIELDS: [
+    { key: 'scrollSpeed', labelKey: 'options_field_scroll_speed' },
+    { key: 'chapterLimit', labelKey: 'options_field_chapter_limit' },
+    { key: 'sessionMinutes', labelKey: 'options_field_session_minutes' },
+    { key: 'scrollResumeDelay', labelKey: 'options_field_resume_delay' },
+    { key: 'chapterEndDwell', labelKey: 'options_field_chapter_end_dwell' },
+    { key: 'giftClickDelay', labelKey: 'options_field_gift_delay' },
+    { key: 'mineClickDelay', labelKey: 'options_field_mine_delay' }
+  ],
+
+  // Переключатели панели "Задержки и лимиты" (id флажка -> ключ настройки)
+  TOGGLES: {
+    scrollPauseToggle: 'scrollPauseOnInput',
+    scrollHoldSpaceToggle: 'scrollHoldSpace',
+    sessionFinishChapterToggle: 'sessionFinishChapter'
+  },
+
+  // Поведение задач в скрытой вкладке (ключи настройки hiddenPolicy и значения)
+  HIDDEN_POLICY_LABELS: {
+    autoScroll: 'feature_autoScroll',
+    farm: 'feature_farm',
+    mine: 'feature_mine'
+  },
+  HIDDEN_POLICY_VALUES: {
+    pause: 'options_hidden_pause',
+    continue: 'options_hidden_continue',
+    stop: 'options_hidden_stop'
+  },
+
+  // Подписи единиц измерения
+  UNIT_LABELS: {
+    'px/s': 'unit_px_per_s',
+    ms: 'unit_ms',
+    s: 'unit_s',
+    min: 'unit_min',
+    chapters: 'unit_chapters'
+  },
+
+  // Подписи изменений в предпросмотре импорта
+  CHANGE_LABELS: {
+    [backup.CHANGES.ADDED]: 'options_change_added',
+    [backup.CHANGES.CHANGED]: 'options_change_changed',
+    [backup.CHANGES.RESET]: 'options_change_reset'
+  },
+  PREVIEW_MAX_LENGTH: 160,
+
+  // Период обновления открытой панели журнала: записи не приходят
+  // через storage.onChanged, background отдает их по запросу getLog
+  LOG_REFRESH_INTERVAL: 2000,
+
+  // Вкладки, на которых можно проверить селекторы
+  TAB_URL_PATTERN: 'https://mangabuff.ru/*',
+
+  // События уведомлений (ключи настройки notifications)
+  NOTIFICATION_LABELS: {
+    [protocol.EVENTS.MINE_DONE]: 'options_notify_mine_done',
+    [protocol.EVENTS.CHAPTER_LIMIT]: 'options_notify_chapter_limit',
+    [protocol.EVENTS.NO_NEXT_CHAPTER]: 'options_notify_no_next_chapter',
+    [protocol.EVENTS.SESSION_END]: 'options_notify_session_end',
+    [protocol.EVENTS.QUEUE_DONE]: 'options_notify_queue_done',
+    [protocol.EVENTS.COMMENT_ERROR]: 'options_notify_comment_error'
+  },
+
+  // Страница манги из очереди, которую еще не начинали читать
+  MANGA_URL: 'https://mangabuff.ru/manga/',
+
+  // Страница назначения горячих клавиш браузера
+  SHORTCUTS_URL: 'chrome://extensions/shortcuts',
+
+  // Ключи хранилища
+  STORAGE_KEYS: {
+    AUTO_COMMENT: 'autoCommentSettings',
+    AUTO_COMMENT_STATE: 'autoCommentState',
+    LAST_ERROR: 'lastAutoCommentError'
+  }
+};
+
+// ==================== УТИЛИТЫ ====================
+
+/**
+ * Быстрый querySelector
+ */
+const $ = (selector) => document.querySelector(selector);
+
+/**
+ * Промисифицированные Chrome API
+ */
+const chromeAsync = {
+  // Хранилище через общий слой (sync/local/session по схеме)
+  storage: {
+    get: (keys) => storage.get(keys),
+    set: (obj) => storage.set(obj)
+  },
+  tabs: {
+    query: (opts) => new Promise(resolve =>
+      chrome.tabs.query(opts, resolve)
+    ),
+    create: (opts) => new Promise(resolve =>
+      chrome.tabs.create(opts, resolve)
+    )
+  },
+  commands: {
+    getAll: () => new Promise(resolve =>
+      chrome.commands.getAll(resolve)
+    )
+  },
+  runtime: {
+    sendMessage: (msg) => new Promise(resolve =>
+      chrome.runtime.sendMessage(msg, resolve)
+    )
+  }
+};
+
+/**
+ * Читает настройки автокомментирования через схему
+ */
+async function readCommentSettings() {
+  const key = CONFIG.STORAGE_KEYS.AUTO_COMMENT;
+  const data = await settings.read([key]);
+  return data[key];
+}
+
+/**
+ * Шаг поля ввода для ключа схемы
+ */
+function fieldStep(key) {
+  const display = settings.SCHEMA[key].display;
+  return display ? Math.pow(10, -display.precision) : 1;
+}
+
+/**
+ * Форматирует значение ключа в единицах интерфейса
+ */
+function formatValue(key, value) {
+  const display = settings.SCHEMA[key].display;
+  const shown = settings.toDisplay(key, value);
+  return display ? shown.toFixed(display.precision) : String(shown);
+}
+
+/**
+ * Форматирует значение настройки для предпросмотра
+ */
+function formatPreview(key, value) {
+  const text = typeof value === 'number' && settings.SCHEMA[key]
+    ? formatValue(key, value)
+    : JSON.stringify(value);
+
+  return text.length > CONFIG.PREVIEW_MAX_LENGTH
+    ? `${text.slice(0, CONFIG.PREVIEW_MAX_LENGTH)}…`
+    : text;
+}
+
+/**
+ * Форматирует размер в байтах
+ */
+function formatBytes(bytes) {
+  if (bytes == null) return '—';
+  if (bytes < 1024) return i18n.t('bytes_b', bytes);
+  return i18n.t('bytes_kb', (bytes / 1024).toFixed(1));
+}
+
+/**
+ * Форматирует длительность: м:сс или ч:мм:сс
+ */
+function formatDuration(ms) {
+  const total = Math.round(ms / 1000);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor(total / 60) % 60;
+  const seconds = String(total % 60).padStart(2, '0');
+
+  return hours
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+}
+
+/**
+ * Скачивает текст как файл
+ */
+function downloadFile(text, type, fileName) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Добавляет в таблицу строку заголовков (подписи - имена сообщений _locales)
+ */
+function appendHeaderRow(table, keys) {
+  const row = table.createTHead().insertRow();
+  keys.forEach(key => {
+    const th = document.createElement('th');
+    th.textContent = i18n.t(key);
+    row.appendChild(th);
+  });
+  return row;
+}
+
+/**
+ * Добавляет пару "термин - значение" в список <dl>
+ */
+function appendFact(list, term, value) {
+  const dt = document.createElement('dt');
+  dt.textContent = term;
+
+  const dd = document.createElement('dd');
+  if (value instanceof Node) {
+    dd.appendChild(value);
+  } else {
+    dd.textContent = value;
+  }
+
+  list.appendChild(dt);
+  list.appendChild(dd);
+}
+
+// ==================== UI МЕНЕДЖЕР ====================
+
+class UIManager {
+  /**
+   * Показывает сообщение в нижней панели
+   */
+  static showError(message) {
+    const errorBar = $('#errorBar');
+    errorBar.textContent = message;
+    errorBar.classList.add('visible');
+
+    clearTimeout(errorBar._timeout);
+    errorBar._timeout = setTimeout(() => {
+      errorBar.classList.remove('visible');
+    }, CONFIG.TIMEOUTS.ERROR_DISPLAY);
+  }
+
+  /**
+   * Устанавливает тему
+   */
+  static setTheme(isDark) {
+    document.body.classList.toggle('dark', isDark);
+    $('#themeToggle').checked = isDark;
+  }
+
+  /**
+   * Открывает панель по имени (delays, selectors, ...)
+   */
+  static openPanel(name) {
+    const panel = $(`#${name}Panel`) ? name : CONFIG.DEFAULT_PANEL;
+
+    document.querySelectorAll('.section.active')
+      .forEach(el => el.classList.remove('active'));
+    $(`#${panel}Panel`).classList.add('active');
+
+    document.querySelectorAll('#optionsNav .menu-button').forEach(button => {
+      button.classList.toggle('active', button.dataset.panel === panel);
+    });
+
+    if (location.hash.slice(1) !== panel) {
+      history.replaceState(null, '', `#${panel}`);
+    }
+
+    PanelLoaders[panel]?.();
+  }
+
+  /**
+   * Имя открытой панели
+   */
+  static activePanel() {
+    return $('.section.active')?.id.replace(/Panel$/, '') || null;
+  }
+}
+
+// ==================== ЗАДЕРЖКИ И ЛИМИТЫ ====================
+
+class FieldsManager {
+  /**
+   * Рендерит числовые поля по схеме настроек
+   */
+  static render() {
+    const container = $('#delaysList');
+    container.innerHTML = '';
+
+    CONFIG.FIELDS.forEach(field => {
+      container.appendChild(this._createField(field));
+    });
+  }
+
+  /**
+   * Создает строку поля
+   */
+  static _createField({ key, labelKey }) {
+    const rule = settings.SCHEMA[key];
+    const { min, max } = settings.displayRange(key);
+    const unit = rule.display?.unit || rule.unit;
+
+    const row = document.createElement('div');
+    row.className = 'option-field';
+
+    const title = document.createElement('label');
+    title.htmlFor = `field-${key}`;
+    const unitLabel = unit ? ` ${CONFIG.UNIT_LABELS[unit] ? i18n.t(CONFIG.UNIT_LABELS[unit]) : unit}` : '';
+    title.textContent = `${i18n.t(labelKey)} (${min} — ${max}${unitLabel})`;
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.id = `field-${key}`;
+    input.dataset.key = key;
+    input.min = min;
+    input.max = max;
+    input.step = fieldStep(key);
+
+    input.addEventListener('change', async () => {
+      const value = settings.fromDisplay(key, input.value);
+      input.value = formatValue(key, value);
+      await chromeAsync.storage.set({ [key]: value });
+    });
+
+    row.appendChild(title);
+    row.appendChild(input);
+
+    return row;
+  }
+
+  /**
+   * Обновляет значения полей
+   */
+  static update(data) {
+    CONFIG.FIELDS.forEach(({ key }) => {
+      const input = $(`#field-${key}`);
+      if (input && document.activeElement !== input) {
+        input.value = formatValue(key, data[key]);
+      }
+    });
+
+    for (const [id, key] of Object.entries(CONFIG.TOGGLES)) {
+      $(`#${id}`).checked = data[key];
+    }
+
+    $('#sessionStopAtInput').value = data.sessionStopAt;
+  }
+}
+
+// ==================== СКРЫТАЯ ВКЛАДКА ====================
+
+class HiddenPolicyManager {
+  /**
+   * Рендерит выбор поведения для каждой задачи
+   */
+  static render() {
+    const container = $('#hiddenPolicyList');
+    container.innerHTML = '';
+
+    for (const [feature, labelKey] of Object.entries(CONFIG.HIDDEN_POLICY_LABELS)) {
+      const row = document.createElement('div');
+      row.className = 'option-field';
+
+      const label = document.createElement('label');
+      label.htmlFor = `hidden-${feature}`;
+      label.textContent = i18n.t(labelKey);
+
+      const select = document.createElement('select');
+      select.id = `hidden-${feature}`;
+      for (const [value, valueKey] of Object.entries(CONFIG.HIDDEN_POLICY_VALUES)) {
+        select.add(new Option(i18n.t(valueKey), value));
+      }
+      select.addEventListener('change', () => this.save());
+
+      row.append(label, select);
+      container.appendChild(row);
+    }
+  }
+
+  /**
+   * Сохраняет выбор
+   */
+  static async save() {
+    const value = {};
+    for (const feature of Object.keys(CONFIG.HIDDEN_POLICY_LABELS)) {
+      value[feature] = $(`#hidden-${feature}`).value;
+    }
+
+    await chromeAsync.storage.set({
+      hiddenPolicy: settings.normalize('hiddenPolicy', value)
+    });
+  }
+
+  /**
+   * Обновляет выбор
+   */
+  static update(policy) {
+    for (const [feature, value] of Object.entries(policy)) {
+      const select = $(`#hidden-${feature}`);
+      if (select) select.value = value;
+    }
+  }
+}
+
+// ==================== PROFILES МЕНЕДЖЕР ====================
+
+class ProfilesManager {
+  // Снимок последнего рендера (хранилище меняется и при чтении глав)
+  static signature = '';
+
+  /**
+   * Рендерит список профилей
+   */
+  static async render() {
+    const [{ profiles: list, activeId }, current] = await Promise.all([
+      profiles.load(),
+      profiles.snapshot()
+    ]);
+
+    const signature = JSON.stringify([list, activeId, current]);
+    if (signature === this.signature) return;
+    this.signature = signature;
+
+    const container = $('#profilesList');
+    container.innerHTML = '';
+
+    if (!list.length) {
+      const empty = document.createElement('div');
+      empty.className = 'small';
+      empty.textContent = i18n.t('options_no_profiles');
+      container.appendChild(empty);
+    }
+
+    list.forEach(profile => {
+      container.appendChild(this._createRow(profile, profile.id === activeId, current));
+    });
+  }
+
+  /**
+   * Краткое описание настроек профиля
+   */
+  static _summary(values) {
+    const comments = values.autoCommentSettings;
+    const onOff = enabled => i18n.t(enabled ? 'state_on' : 'state_off');
+    return [
+      i18n.t('options_summary_speed', formatValue('scrollSpeed', values.scrollSpeed)),
+      i18n.t('options_summary_chapters', values.chapterLimit || '∞'),
+      i18n.t('options_summary_gifts', formatValue('giftClickDelay', values.giftClickDelay)),
+      i18n.t('options_summary_mine', formatValue('mineClickDelay', values.mineClickDelay)),
+      i18n.t('options_summary_quiz', onOff(values.quizHighlight)),
+      i18n.t('options_summary_comments', comments.enabled
+        ? `${onOff(true)} (${comments.commentsList.length})`
+        : onOff(false))
+    ].join(' · ');
+  }
+
+  /**
+   * Создает карточку профиля
+   */
+  static _createRow(profile, isActive, current) {
+    const card = document.createElement('div');
+    card.className = `control-card profile-row${isActive ? ' active' : ''}`;
+
+    const header = document.createElement('div');
+    header.className = 'options-actions';
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.value = profile.name;
+    nameInput.maxLength = profiles.MAX_NAME_LENGTH;
+    header.appendChild(nameInput);
+
+    if (isActive) {
+      const badge = document.createElement('span');
+      badge.className = 'profile-badge';
+      badge.textContent = i18n.t(profiles.matches(profile, current) ? 'options_profile_active' : 'options_profile_modified');
+      header.appendChild(badge);
+    }
+
+    const summary = document.createElement('div');
+    summary.className = 'small';
+    summary.textContent = this._summary(profile.settings);
+
+    const actions = document.createElement('div');
+    actions.className = 'options-actions';
+
+    const buttons = [
+      ['apply', () => this.apply(profile.id)],
+      ['options_rename', () => this._run(profiles.rename(profile.id, nameInput.value), 'options_renamed')],
+      ['options_duplicate', () => this._run(profiles.duplicate(profile.id), 'options_duplicated')],
+      ['options_save_current', () => this._run(profiles.update(profile.id), 'options_profile_updated')],
+      ['delete', () => {
+        if (confirm(i18n.t('options_confirm_delete_profile', profile.name))) {
+          this._run(profiles.remove(profile.id), 'options_profile_deleted');
+        }
+      }]
+    ];
+
+    buttons.forEach(([labelKey, handler]) => {
+      const button = document.createElement('button');
+      button.textContent = i18n.t(labelKey);
+      button.addEventListener('click', handler);
+      actions.appendChild(button);
+    });
+
+    card.appendChild(header);
+    card.appendChild(summary);
+    card.appendChild(actions);
+
+    return card;
+  }
+
+  /**
+   * Выполняет операцию с профилями и показывает результат
+   */
+  static async _run(operation, successKey) {
+    try {
+      await operation;
+      UIManager.showError(i18n.t(successKey));
+    } catch (err) {
+      UIManager.showError(err.message);
+    }
+  }
+
+  /**
+   * Создает профиль из текущих настроек
+   */
+  static async create() {
+    const input = $('#newProfileName');
+
+    try {
+      await profiles.create(input.value);
+      input.value = '';
+      UIManager.showError(i18n.t('options_profile_created'));
+    } catch (err) {
+      UIManager.showError(err.message);
+    }
+  }
+
+  /**
+   * Применяет профиль во всех вкладках
+   */
+  static async apply(id) {
+    if (await ActionManager.request('applyProfile', { profileId: id })) {
+      UIManager.showError(i18n.t('options_profile_applied'));
+    }
+  }
+}
+
+// ==================== SELECTORS МЕНЕДЖЕР ====================
+
+class SelectorsManager {
+  /**
+   * Загружает сохраненные переопределения, вкладки и рендерит список
+   */
+  static async load() {
+    const data = await settings.read([overrides.STORAGE_KEY]);
+    this.render(data[overrides.STORAGE_KEY]);
+    await this.loadTabs();
+  }
+
+  /**
+   * Заполняет список вкладок mangabuff.ru для проверки
+   */
+  static async loadTabs() {
+    const select = $('#probeTabSelect');
+    const previous = select.value;
+    const tabs = await chromeAsync.tabs.query({ url: CONFIG.TAB_URL_PATTERN });
+
+    select.innerHTML = '';
+
+    if (!tabs?.length) {
+      const option = document.createElement('option');
+      option.value = '';
+      option.textContent = protocol.ERROR_MESSAGES.NO_REGISTERED_TABS;
+      select.appendChild(option);
+      select.disabled = true;
+      $('#probeSelectorsBtn').disabled = true;
+      return;
+    }
+
+    tabs.forEach(tab => {
+      const option = document.createElement('option');
+      option.value = tab.id;
+      option.textContent = tab.title || tab.url;
+      select.appendChild(option);
+    });
+
+    select.disabled = false;
+    $('#probeSelectorsBtn').disabled = false;
+
+    if (tabs.some(tab => String(tab.id) === previous)) {
+      select.value = previous;
+    }
+  }
+
+  /**
+   * Рендерит поля для всех элементов каталога
+   */
+  static render(saved) {
+    const container = $('#selectorsList');
+    container.innerHTML = '';
+
+    overrides.TARGETS.forEach(target => {
+      container.appendChild(this._createRow(target, saved[target.id] || ''));
+    });
+  }
+
+  /**
+   * Создает строку редактирования
+   */
+  static _createRow(target, value) {
+    const row = document.createElement('div');
+    row.className = 'selector-row';
+    row.dataset.id = target.id;
+
+    const label = document.createElement('label');
+    const title = document.createElement('span');
+    title.textContent = i18n.t(target.labelKey);
+    const count = document.createElement('span');
+    count.className = 'selector-count';
+    label.appendChild(title);
+    label.appendChild(count);
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = value;
+    input.placeholder = overrides.defaultText(target);
+    input.title = target.id;
+    input.addEventListener('input', () => row.classList.remove('invalid'));
+
+    row.appendChild(label);
+    row.appendChild(input);
+
+    return row;
+  }
+
+  /**
+   * Собирает черновик из полей и проверяет его
+   * @returns {Object|null} - {id: text} или null при ошибке
+   */
+  static _collect() {
+    const draft = {};
+    let firstError = null;
+
+    $('#selectorsList').querySelectorAll('.selector-row').forEach(row => {
+      const text = row.querySelector('input').value.trim();
+      if (!text) return;
+
+      const error = overrides.validate(row.dataset.id, text);
+      row.classList.toggle('invalid', Boolean(error));
+
+      if (error) {
+        firstError = firstError || `${row.querySelector('label span').textContent}: ${error}`;
+      } else {
+        draft[row.dataset.id] = text;
+      }
+    });
+
+    if (firstError) {
+      UIManager.showError(firstError);
+      return null;
+    }
+
+    return draft;
+  }
+
+  /**
+   * Сохраняет переопределения
+   */
+  static async save() {
+    const draft = this._collect();
+    if (!draft) return;
+
+    await chromeAsync.storage.set({
+      [overrides.STORAGE_KEY]: settings.normalize(overrides.STORAGE_KEY, draft)
+    });
+
+    UIManager.showError(i18n.t('saved'));
+  }
+
+  /**
+   * Сбрасывает все переопределения
+   */
+  static async reset() {
+    await chromeAsync.storage.set({
+      [overrides.STORAGE_KEY]: settings.getDefault(overrides.STORAGE_KEY)
+    });
+
+    this.render({});
+  }
+
+  /**
+   * Проверяет текущий черновик на выбранной вкладке
+   */
+  static async probe() {
+    const draft = this._collect();
+    if (!draft) return;
+
+    const tabId = Number($('#probeTabSelect').value);
+    const response = await ActionManager.request('probeSelectors', { overrides: draft, tabId });
+    if (!response) return;
+
+    $('#selectorsList').querySelectorAll('.selector-row').forEach(row => {
+      const result = response.results?.[row.dataset.id];
+      const count = row.querySelector('.selector-count');
+      if (!result) return;
+
+      count.textContent = result.error ? i18n.t('options_probe_error', result.error) : String(result.count);
+      count.classList.toggle('found', result.count > 0);
+      count.classList.toggle('missing', result.count === 0);
+    });
+  }
+}
+
+// ==================== COMMENTS МЕНЕДЖЕР ====================
+
+class CommentsManager {
+  /**
+   * Рендерит облако комментариев
+   */
+  static render(commentsList) {
+    const container = $('#commentsCloud');
+    container.innerHTML = '';
+
+    (commentsList || []).forEach((comment, index) => {
+      container.appendChild(this._createCommentCard(comment, index));
+    });
+
+    $('#commentsCount').textContent = (commentsList || []).length;
+  }
+
+  /**
+   * Создает карточку комментария
+   */
+  static _createCommentCard(comment, index) {
+    const card = document.createElement('div');
+    card.className = 'comment-item';
+
+    const textDiv = document.createElement('div');
+    textDiv.className = 'comment-text';
+    textDiv.textContent = comment;
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'comment-del';
+    deleteBtn.title = i18n.t('options_delete_comment');
+    deleteBtn.setAttribute('aria-label', deleteBtn.title);
+    deleteBtn.textContent = '✕';
+
+    deleteBtn.addEventListener('click', () => this._handleDelete(index));
+
+    card.appendChild(textDiv);
+    card.appendChild(deleteBtn);
+
+    return card;
+  }
+
+  /**
+   * Обрабатывает удаление комментария
+   */
+  static async _handleDelete(index) {
+    const commentSettings = await readCommentSettings();
+
+    if (index >= 0 && index < commentSettings.commentsList.length) {
+      commentSettings.commentsList.splice(index, 1);
+
+      await chromeAsync.storage.set({
+        [CONFIG.STORAGE_KEYS.AUTO_COMMENT]: commentSettings
+      });
+    }
+  }
+
+  /**
+   * Добавляет новый комментарий
+   */
+  static async add(text) {
+    if (!text?.trim()) return;
+
+    const commentSettings = await readCommentSettings();
+
+    if (commentSettings.commentsList.length >= CONFIG.LIMITS.MAX_COMMENTS) {
+      UIManager.showError(i18n.t('options_max_comments', CONFIG.LIMITS.MAX_COMMENTS));
+      return;
+    }
+
+    commentSettings.commentsList.push(text.trim());
+
+    await chromeAsync.storage.set({
+      [CONFIG.STORAGE_KEYS.AUTO_COMMENT]: commentSettings
+    });
+
+    $('#newCommentText').value = '';
+  }
+
+  /**
+   * Сохраняет настройки комментирования
+   */
+  static async save() {
+    const { commentsList } = await readCommentSettings();
+
+    const commentSettings = settings.normalize(CONFIG.STORAGE_KEYS.AUTO_COMMENT, {
+      enabled: $('#autoCommentEnable').checked,
+      interval: $('#commentInterval').value,
+      totalComments: $('#commentTotal').value,
+      commentsList
+    });
+
+    await chromeAsync.storage.set({
+      [CONFIG.STORAGE_KEYS.AUTO_COMMENT]: commentSettings
+    });
+
+    UIManager.showError(i18n.t('saved'));
+  }
+
+  /**
+   * Очищает все комментарии
+   */
+  static async clear() {
+    await chromeAsync.storage.set({
+      [CONFIG.STORAGE_KEYS.AUTO_COMMENT]: settings.getDefault(CONFIG.STORAGE_KEYS.AUTO_COMMENT),
+      [CONFIG.STORAGE_KEYS.AUTO_COMMENT_STATE]: settings.getDefault(CONFIG.STORAGE_KEYS.AUTO_COMMENT_STATE),
+      [CONFIG.STORAGE_KEYS.LAST_ERROR]: ''
+    });
+  }
+
+  /**
+   * Обновляет контролы комментирования
+   */
+  static update(commentSettings) {
+    $('#autoCommentEnable').checked = commentSettings.enabled;
+    $('#commentInterval').value = commentSettings.interval;
+    $('#commentTotal').value = commentSettings.totalComments;
+
+    this.render(commentSettings.commentsList);
+  }
+}
+
+// ==================== ИСТОРИЯ ====================
+
+class HistoryManager {
+  /**
+   * Рендерит прогресс текущего чтения
+   */
+  static update(data) {
+    const list = $('#historyList');
+    list.innerHTML = '';
+
+    const limit = data.chapterLimit;
+    appendFact(list, i18n.t('options_history_read'),
+      limit ? i18n.t('options_of_total', data.chapterRead, limit) : String(data.chapterRead));
+
+    const url = data.currentChapterUrl;
+    if (url) {
+      const link = document.createElement('a');
+      link.href = url;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = url;
+      appendFact(list, i18n.t('options_history_current'), link);
+    } else {
+      appendFact(list, i18n.t('options_history_current'), '—');
+    }
+
+    const commentSettings = data[CONFIG.STORAGE_KEYS.AUTO_COMMENT];
+    const { posted } = data[CONFIG.STORAGE_KEYS.AUTO_COMMENT_STATE];
+    appendFact(list, i18n.t('options_history_posted'),
+      i18n.t('options_of_total', posted, commentSettings.totalComments));
+  }
+
+  /**
+   * Сбрасывает прогресс чтения и комментирования
+   */
+  static async reset() {
+    await chromeAsync.storage.set({
+      chapterRead: settings.getDefault('chapterRead'),
+      currentChapterUrl: settings.getDefault('currentChapterUrl'),
+      [CONFIG.STORAGE_KEYS.AUTO_COMMENT_STATE]: settings.getDefault(CONFIG.STORAGE_KEYS.AUTO_COMMENT_STATE)
+    });
+
+    UIManager.showError(i18n.t('options_progress_reset'));
+  }
+}
+
+// ==================== ПРОЧИТАННЫЕ ГЛАВЫ ====================
+
+class VisitsManager {
+  // Найденные записи (их же выгружает экспорт)
+  static records = [];
+
+  /**
+   * Загружает историю из IndexedDB с учетом поиска и рендерит таблицу
+   */
+  static async render() {
+    try {
+      this.records = await visits.list({ query: $('#visitsSearch').value });
+    } catch (err) {
+      this.records = [];
+      UIManager.showError(i18n.t('options_visits_error', err?.message || err));
+    }
+
+    $('#visitsCount').textContent = this.records.length;
+
+    const table = $('#visitsTable');
+    table.innerHTML = '';
+
+    const head = appendHeaderRow(table, ['options_visits_started', 'options_visits_title',
+      'options_visits_chapter', 'options_visits_time', 'feature_short_autoScroll']);
+
+    const body = table.createTBody();
+    if (!this.records.length) {
+      const cell = body.insertRow().insertCell();
+      cell.colSpan = head.cells.length;
+      cell.textContent = i18n.t('options_visits_empty');
+    }
+
+    this.records.slice(0, CONFIG.VISITS_PAGE_SIZE).forEach(record => {
+      body.appendChild(this._createRow(record));
+    });
+
+    $('#visitsMore').textContent = this.records.length > CONFIG.VISITS_PAGE_SIZE
+      ? i18n.t('options_visits_more', CONFIG.VISITS_PAGE_SIZE, this.records.length)
+      : '';
+  }
+
+  /**
+   * Создает строку таблицы
+   */
+  static _createRow(record) {
+    const row = document.createElement('tr');
+
+    row.insertCell().textContent = new Date(record.startedAt).toLocaleString(i18n.t('language_code'));
+
+    const link = document.createElement('a');
+    link.href = record.url;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = record.title || record.url;
+    link.title = record.slug;
+    row.insertCell().appendChild(link);
+
+    const chapter = row.insertCell();
+    chapter.className = 'number';
+    chapter.textContent = record.volume ? `${record.volume} / ${record.chapter}` : record.chapter;
+
+    const time = row.insertCell();
+    time.className = 'number';
+    time.textContent = formatDuration(record.timeSpent);
+
+    row.insertCell().textContent = record.autoScroll ? '✓' : '';
+
+    return row;
+  }
+
+  /**
+   * Выгружает найденные записи в CSV или JSON
+   */
+  static exportTo(format) {
+    const date = new Date().toISOString().slice(0, 10);
+    const fileName = `${CONFIG.VISITS_FILE_PREFIX}-${date}.${format}`;
+
+    if (format === 'csv') {
+      downloadFile(visits.toCSV(this.records), 'text/csv', fileName);
+    } else {
+      downloadFile(visits.toJSON(this.records), 'application/json', fileName);
+    }
+  }
+
+  /**
+   * Очищает историю
+   */
+  static async clear() {
+    if (!confirm(i18n.t('options_confirm_clear_visits'))) return;
+
+    try {
+      await visits.clear();
+      UIManager.showError(i18n.t('options_visits_cleared'));
+    } catch (err) {
+      UIManager.showError(i18n.t('options_visits_error', err?.message || err));
+    }
+    this.render();
+  }
+}
+
+// ==================== ОЧЕРЕДЬ ЧТЕНИЯ ====================
+
+class QueueManager {
+  // Снимок последнего рендера (не перебиваем редактируемые поля без изменений)
+  static signature = '';
+
+  /**
+   * Рендерит таблицу очереди
+   */
+  static render({ entries }) {
+    const signature = JSON.stringify(entries);
+    if (signature === this.signature) return;
+    this.signature = signature;
+
+    const table = $('#queueTable');
+    table.innerHTML = '';
+
+    const head = appendHeaderRow(table, ['options_queue_title', 'options_queue_start',
+      'options_queue_limit', 'options_queue_progress', 'options_queue_actions']);
+
+    const body = table.createTBody();
+    if (!entries.length) {
+      const cell = body.insertRow().insertCell();
+      cell.colSpan = head.cells.length;
+      cell.textContent = i18n.t('options_queue_empty');
+    }
+
+    entries.forEach((entry, index) => {
+      body.appendChild(this._createRow(entry, index, entries.length));
+    });
+
+    $('#clearQueueDoneBtn').disabled = !entries.some(e => e.status === queue.STATUSES.DONE);
+  }
+
+  /**
+   * Создает строку записи: начальную главу и лимит можно править на месте
+   */
+  static _createRow(entry, index, total) {
+    const row = document.createElement('tr');
+
+    const link = document.createElement('a');
+    link.href = entry.url || `${CONFIG.MANGA_URL}${entry.slug}`;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = entry.slug;
+    row.insertCell().appendChild(link);
+
+    for (const field of ['start', 'limit']) {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = '0';
+      input.step = field === 'start' ? 'any' : '1';
+      input.style.width = '70px';
+      input.value = entry[field];
+      input.addEventListener('change', () => this._run(queue.update(entry.id, { [field]: input.value })));
+      row.insertCell().appendChild(input);
+    }
+
+    row.insertCell().textContent = queue.describe(entry);
+
+    const actions = row.insertCell();
+    actions.className = 'number';
+    const buttons = [
+      ['↑', 'options_queue_up', () => queue.move(entry.id, -1), index === 0],
+      ['↓', 'options_queue_down', () => queue.move(entry.id, 1), index === total - 1],
+      ['↺', 'options_queue_reset', () => queue.reset(entry.id), false],
+      ['✕', 'options_queue_remove', () => queue.remove(entry.id), false]
+    ];
+
+    for (const [text, titleKey, action, disabled] of buttons) {
+      const button = document.createElement('button');
+      button.textContent = text;
+      button.title = i18n.t(titleKey);
+      button.setAttribute('aria-label', button.title);
+      button.disabled = disabled;
+      button.onclick = () => this._run(action());
+      actions.appendChild(button);
+    }
+
+    return row;
+  }
+
+  /**
+   * Добавляет мангу из формы
+   */
+  static async add() {
+    const added = await this._run(queue.add({
+      source: $('#queueSourceInput').value,
+      start: $('#queueStartInput').value,
+      limit: $('#queueLimitInput').value
+    }));
+    if (!added) return;
+
+    for (const id of ['#queueSourceInput', '#queueStartInput', '#queueLimitInput']) {
+      $(id).value = '';
+    }
+  }
+
+  /**
+   * Убирает прочитанные записи
+   */
+  static clearDone() {
+    return this._run(queue.clearDone());
+  }
+
+  /**
+   * Ждет операцию очереди и показывает ее ошибку
+   * (таблица перерисуется по изменению хранилища)
+   * @returns {Promise<boolean>} - Успешна ли операция
+   */
+  static async _run(operation) {
+    try {
+      await operation;
+      return true;
+    } catch (err) {
+      UIManager.showError(err?.message || err);
+      return false;
+    }
+  }
+}
+
+// ==================== СТАТИСТИКА ====================
+
+class ChartRenderer {
+  /**
+   * Рисует столбчатую диаграмму (цвета берутся из переменных темы)
+   * @param {HTMLCanvasElement} canvas - Холст, размер задает CSS
+   * @param {Array<{date: Date, value: number}>} series - Ряд от старых к новым
+   * @param {Function} formatLabel - Подпись столбца по дате
+   */
+  static drawBars(canvas, series, formatLabel) {
+    const { PADDING_TOP, LABEL_HEIGHT, MIN_LABEL_GAP, BAR_FILL, FONT } = CONFIG.CHART;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    const ratio = window.devicePixelRatio || 1;
+
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.font = FONT;
+    ctx.textBaseline = 'top';
+
+    const style = getComputedStyle(document.body);
+    const color = (name) => style.getPropertyValue(name).trim();
+
+    const max = Math.max(1, ...series.map(point => point.value));
+    const plotHeight = height - PADDING_TOP - LABEL_HEIGHT;
+    const slot = width / series.length;
+    const barWidth = Math.max(1, slot * BAR_FILL);
+    // Подписываем каждый n-й столбец, считая от последнего, чтобы подписи не слипались
+    const labelEvery = Math.ceil(MIN_LABEL_GAP / slot);
+
+    series.forEach((point, i) => {
+      const x = i * slot + (slot - barWidth) / 2;
+      const barHeight = Math.max(point.value / max * plotHeight, 1);
+
+      ctx.fillStyle = color(point.value ? '--link-color' : '--sep');
+      ctx.fillRect(x, PADDING_TOP + plotHeight - barHeight, barWidth, barHeight);
+
+      if ((series.length - 1 - i) % labelEvery) return;
+
+      const label = formatLabel(point.date);
+      const half = ctx.measureText(label).width / 2;
+      ctx.fillStyle = color('--text-color');
+      ctx.fillText(label, Math.min(Math.max(x + barWidth / 2 - half, 0), width - half * 2),
+        height - LABEL_HEIGHT + 4);
+    });
+
+    // Масштаб: максимум над графиком
+    ctx.fillStyle = color('--inactive-color');
+    ctx.fillText(String(max), 0, 0);
+
+    canvas.onmousemove = (e) => {
+      const point = series[Math.floor(e.offsetX / slot)];
+      canvas.title = point ? `${formatLabel(point.date)}: ${point.value}` : '';
+    };
+  }
+}
+
+class StatsManager {
+  // Последняя сводка (для перерисовки при смене темы)
+  static summary = null;
+
+  /**
+   * Считает сводку по журналу и рендерит панель
+   */
+  static async render() {
+    let records = [];
+    try {
+      records = await visits.list();
+    } catch (err) {
+      UIManager.showError(i18n.t('options_visits_error', err?.message || err));
+    }
+
+    const { scrollSpeed } = await settings.read(['scrollSpeed']);
+    const summary = this.summary = stats.summarize(records);
+
+    const list = $('#statsSummary');
+    list.innerHTML = '';
+
+    appendFact(list, i18n.t('options_stats_chapters'), String(summary.chapters));
+    appendFact(list, i18n.t('options_stats_time'), formatDuration(summary.timeSpent));
+    appendFact(list, i18n.t('options_stats_average'),
+      summary.averageTime == null ? '—' : formatDuration(summary.averageTime));
+    appendFact(list, i18n.t('options_stats_speed'), summary.effectiveSpeed == null
+      ? '—'
+      : i18n.t('options_stats_speed_value', summary.effectiveSpeed, scrollSpeed));
+    appendFact(list, i18n.t('options_stats_streak'), i18n.t('options_stats_days', summary.streak.current));
+    appendFact(list, i18n.t('options_stats_longest'), i18n.t('options_stats_days', summary.streak.longest));
+
+    $('#statsDaysTitle').textContent = i18n.t('options_stats_per_day', summary.perDay.length);
+    $('#statsWeeksTitle').textContent = i18n.t('options_stats_per_week', summary.perWeek.length);
+    this.draw();
+
+    this._renderTop(summary.topTitles);
+  }
+
+  /**
+   * Перерисовывает графики последней сводки
+   */
+  static draw() {
+    if (!this.summary) return;
+
+    const format = (date) => date.toLocaleDateString(i18n.t('language_code'), { day: 'numeric', month: 'numeric' });
+    ChartRenderer.drawBars($('#statsDaysChart'), this.summary.perDay, format);
+    ChartRenderer.drawBars($('#statsWeeksChart'), this.summary.perWeek, format);
+  }
+
+  /**
+   * Таблица самых читаемых тайтлов (ссылка ведет на последнюю прочитанную главу)
+   */
+  static _renderTop(titles) {
+    const table = $('#statsTopTable');
+    table.innerHTML = '';
+
+    const head = appendHeaderRow(table, ['options_stats_title', 'options_stats_chapters',
+      'options_visits_time', 'options_stats_last_read']);
+
+    const body = table.createTBody();
+    if (!titles.length) {
+      const cell = body.insertRow().insertCell();
+      cell.colSpan = head.cells.length;
+      cell.textContent = i18n.t('options_visits_empty');
+    }
+
+    titles.forEach(title => {
+      const row = body.insertRow();
+
+      const link = document.createElement('a');
+      link.href = title.url;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = title.slug;
+      row.insertCell().appendChild(link);
+
+      const chapters = row.insertCell();
+      chapters.className = 'number';
+      chapters.textContent = title.chapters;
+
+      const time = row.insertCell();
+      time.className = 'number';
+      time.textContent = formatDuration(title.timeSpent);
+
+      row.insertCell().textContent = new Date(title.lastReadAt).toLocaleDateString(i18n.t('language_code'));
+    });
+  }
+}
+
+// ==================== ГОРЯЧИЕ КЛАВИШИ ====================
+
+class ShortcutsManager {
+  /**
+   * Рендерит команды и назначенные клавиши
+   */
+  static async render() {
+    const commands = await chromeAsync.commands.getAll();
+
+    const list = $('#shortcutsList');
+    list.innerHTML = '';
+
+    commands
+      .filter(command => command.description)
+      .forEach(command => {
+        appendFact(list, this._describe(command), command.shortcut || i18n.t('options_shortcut_unassigned'));
+      });
+  }
+
+  /**
+   * Описание команды на языке интерфейса
+   * (chrome.commands отдает описание на языке браузера)
+   */
+  static _describe(command) {
+    const key = `command_${command.name.replace(/-/g, '_')}`;
+    const text = i18n.t(key);
+    return text === key ? command.description : text;
+  }
+
+  /**
+   * Открывает страницу назначения клавиш
+   */
+  static edit() {
+    return chromeAsync.tabs.create({ url: CONFIG.SHORTCUTS_URL });
+  }
+}
+
+// ==================== УВЕДОМЛЕНИЯ ====================
+
+class NotificationsManager {
+  /**
+   * Рендерит переключатели событий
+   */
+  static render() {
+    const container = $('#notificationsList');
+    container.innerHTML = '';
+
+    for (const [event, labelKey] of Object.entries(CONFIG.NOTIFICATION_LABELS)) {
+      const group = document.createElement('div');
+      group.className = 'section-group';
+
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.id = `notify-${event}`;
+      checkbox.addEventListener('change', () => this.save());
+
+      label.append(checkbox, ` ${i18n.t(labelKey)}`);
+      group.appendChild(label);
+      container.appendChild(group);
+    }
+  }
+
+  /**
+   * Сохраняет переключатели
+   */
+  static async save() {
+    const value = {};
+    for (const event of Object.keys(CONFIG.NOTIFICATION_LABELS)) {
+      value[event] = $(`#notify-${event}`).checked;
+    }
+
+    await chromeAsync.storage.set({
+      notifications: settings.normalize('notifications', value)
+    });
+  }
+
+  /**
+   * Обновляет переключатели
+   */
+  static update(notifications) {
+    for (const [event, enabled] of Object.entries(notifications)) {
+      const checkbox = $(`#notify-${event}`);
+      if (checkbox) checkbox.checked = enabled;
+    }
+  }
+}
+
+// ==================== ЭКСПОРТ И ИМПОРТ ====================
+
+class BackupManager {
+  // Разобранный файл, ожидающий подтверждения
+  static pending = null;
+
+  /**
+   * Скачивает текущие настройки в JSON-файл
+   */
+  static async exportToFile() {
+    const data = await backup.exportConfig();
+    downloadFile(JSON.stringify(data, null, 2), 'application/json', backup.fileName());
+  }
+
+  /**
+   * Читает выбранный файл и показывает предпросмотр
+   */
+  static async load(file) {
+    if (!file) return;
+
+    try {
+      this.pending = { file: file.name, ...backup.parseImport(await file.text()) };
+    } catch (err) {
+      this.cancel();
+      UIManager.showError(err.message);
+      return;
+    }
+
+    await this.preview();
+  }
+
+  /**
+   * Выбранный режим импорта
+   */
+  static mode() {
+    return document.querySelector('input[name="importMode"]:checked')?.value || backup.MODES.MERGE;
+  }
+
+  /**
+   * Рендерит предупреждения и список изменений
+   */
+  static async preview() {
+    if (!this.pending) return;
+
+    const current = await settings.read(backup.portableKeys());
+    const changes = backup.diff(current, this.pending.settings, this.mode());
+
+    $('#importFileName').textContent = this.pending.file;
+
+    const warnings = $('#importWarnings');
+    warnings.innerHTML = '';
+    this.pending.warnings.forEach(text => {
+      const item = document.createElement('li');
+      item.textContent = text;
+      warnings.appendChild(item);
+    });
+
+    const body = $('#importDiff tbody');
+    body.innerHTML = '';
+
+    if (!changes.length) {
+      const row = body.insertRow();
+      const cell = row.insertCell();
+      cell.colSpan = 3;
+      cell.textContent = i18n.t('options_import_same');
+    }
+
+    changes.forEach(({ key, type, from, to }) => {
+      const row = body.insertRow();
+      row.className = type;
+
+      const name = row.insertCell();
+      name.textContent = key;
+      const label = document.createElement('span');
+      label.className = 'diff-type';
+      label.textContent = i18n.t(CONFIG.CHANGE_LABELS[type]);
+      name.appendChild(label);
+
+      row.insertCell().textContent = formatPreview(key, from);
+      row.insertCell().textContent = formatPreview(key, to);
+    });
+
+    $('#applyImportBtn').disabled = !changes.length;
+    $('#importPreview').hidden = false;
+  }
+
+  /**
+   * Применяет импорт в выбранном режиме
+   */
+  static async apply() {
+    if (!this.pending) return;
+
+    const ok = await backup.applyImport(this.pending.settings, this.mode());
+    this.cancel();
+
+    // Квиз-скрипт регистрирует background: импортированный quizHighlight
+    // применяем тем же действием, что и переключатель в popup
+    if (ok) {
+      const { quizHighlight } = await settings.read(['quizHighlight']);
+      await ActionManager.request('setQuiz', { enabled: quizHighlight });
+    }
+
+    UIManager.showError(i18n.t(ok ? 'options_import_done' : 'options_import_failed'));
+  }
+
+  /**
+   * Закрывает предпросмотр
+   */
+  static cancel() {
+    this.pending = null;
+    $('#importPreview').hidden = true;
+    $('#importFileInput').value = '';
+  }
+}
+
+// ==================== ЖУРНАЛ ====================
+
+class LogViewer {
+  // Записи, показанные после фильтрации (для копирования)
+  static shown = [];
+
+  /**
+   * Запрашивает журнал у background и показывает записи по фильтрам
+   */
+  static async render() {
+    const [data, response] = await Promise.all([
+      settings.read([log.DEBUG_KEY]),
+      ActionManager.request('getLog')
+    ]);
+    const entries = response?.entries || [];
+
+    $('#debugLoggingToggle').checked = data[log.DEBUG_KEY];
+    this._renderContexts(entries);
+
+    const tabText = $('#logTabFilter').value;
+    this.shown = log.filterEntries(entries, {
+      level: $('#logLevelFilter').value,
+      ctx: $('#logContextFilter').value,
+      tabId: tabText === '' ? null : Number(tabText),
+      text: $('#logSearch').value.trim()
+    });
+
+    $('#logCount').textContent = i18n.t('options_of_total', this.shown.length, entries.length);
+    $('#logView').textContent = this.shown.map(log.formatEntry).join('\n') || i18n.t('options_log_empty');
+  }
+
+  /**
+   * Обновляет список источников, сохраняя выбор
+   */
+  static _renderContexts(entries) {
+    const select = $('#logContextFilter');
+    const selected = select.value;
+    const contexts = [...new Set(entries.map(entry => entry.ctx))].sort();
+
+    select.innerHTML = '';
+    ['', ...contexts].forEach(ctx => {
+      const option = document.createElement('option');
+      option.value = ctx;
+      option.textContent = ctx || i18n.t('options_log_all_sources');
+      select.appendChild(option);
+    });
+
+    select.value = contexts.includes(selected) ? selected : '';
+  }
+
+  /**
+   * Копирует показанные записи как текст
+   */
+  static async copy() {
+    try {
+      await navigator.clipboard.writeText(this.shown.map(log.formatEntry).join('\n'));
+      UIManager.showError(i18n.t('options_copied'));
+    } catch (err) {
+      UIManager.showError(i18n.t('options_copy_failed', err.message));
+    }
+  }
+
+  /**
+   * Очищает журнал (буфер ведет background)
+   */
+  static async clear() {
+    if (await ActionManager.request('clearLog')) {
+      this.render();
+    }
+  }
+}
+
+// ==================== ДИАГНОСТИКА ====================
+
+class DiagnosticsManager {
+  /**
+   * Собирает и показывает диагностику
+   */
+  static async refresh() {
+    const keys = [settings.VERSION_KEY, CONFIG.STORAGE_KEYS.LAST_ERROR, storage.ERROR_KEY];
+    const [data, dump] = await Promise.all([settings.read(keys), chromeAsync.storage.get(null)]);
+
+    const list = $('#diagnosticsList');
+    list.innerHTML = '';
+
+    appendFact(list, i18n.t('options_diag_version'), chrome.runtime.getManifest().version);
+    appendFact(list, i18n.t('options_diag_schema'),
+      i18n.t('options_diag_schema_value', data[settings.VERSION_KEY], settings.SCHEMA_VERSION));
+
+    for (const area of Object.values(storage.AREAS)) {
+      const used = await storage.bytesInUse(area);
+      const quota = chrome.storage[area]?.QUOTA_BYTES;
+      appendFact(list, i18n.t('options_diag_storage', area),
+        quota ? i18n.t('options_of_total', formatBytes(used), formatBytes(quota)) : formatBytes(used));
+    }
+
+    appendFact(list, i18n.t('options_diag_storage_error'), data[storage.ERROR_KEY] || '—');
+    appendFact(list, i18n.t('options_diag_comment_error'), data[CONFIG.STORAGE_KEYS.LAST_ERROR] || '—');
+
+    // Журнал смотрится в своей панели
+    delete dump[log.STORAGE_KEY];
+    $('#storageDump').textContent = JSON.stringify(dump, null, 2);
+  }
+
+  /**
+   * Очищает сохраненные ошибки
+   */
+  static async clearErrors() {
+    await chromeAsync.storage.set({
+      [storage.ERROR_KEY]: '',
+      [CONFIG.STORAGE_KEYS.LAST_ERROR]: ''
+    });
+
+    this.refresh();
+  }
+}
+
+/**
+ * Загрузчики панелей, вызываемые при открытии
+ */
+const PanelLoaders = {
+  selectors: () => SelectorsManager.load(),
+  history: () => VisitsManager.render(),
+  stats: () => StatsManager.render(),
+  shortcuts: () => ShortcutsManager.render(),
+  log: () => LogViewer.render(),
+  diagnostics: () => DiagnosticsManager.refresh()
+};
+
+// ==================== STATUS МЕНЕДЖЕР ====================
+
+class StatusManager {
+  /**
+   * Синхронизирует состояние UI с хранилищем
+   */
+  static async sync() {
+    const keys = [
+      'theme', i18n.STORAGE_KEY,
+      ...CONFIG.FIELDS.map(field => field.key),
+      ...Object.values(CONFIG.TOGGLES),
+      'sessionStopAt',
+      'hiddenPolicy',
+      'chapterRead', 'currentChapterUrl',
+      CONFIG.STORAGE_KEYS.AUTO_COMMENT,
+      CONFIG.STORAGE_KEYS.AUTO_COMMENT_STATE,
+      'notifications',
+      queue.STORAGE_KEY
+    ];
+
+    const data = await settings.read(keys);
+
+    UIManager.setTheme(data.theme === 'dark');
+    $('#languageSelect').value = data[i18n.STORAGE_KEY];
+    FieldsManager.update(data);
+    HiddenPolicyManager.update(data.hiddenPolicy);
+    CommentsManager.update(data[CONFIG.STORAGE_KEYS.AUTO_COMMENT]);
+    HistoryManager.update(data);
+    QueueManager.render(queue.normalize(data[queue.STORAGE_KEY]));
+    NotificationsManager.update(data.notifications);
+    ProfilesManager.render();
+
+    const panel = UIManager.activePanel();
+    if (panel === 'diagnostics') DiagnosticsManager.refresh();
+    if (panel === 'log') LogViewer.render();
+  }
+}
+
+// ==================== ACTION МЕНЕДЖЕР ====================
+
+class ActionManager {
+  /**
+   * Отправляет действие и возвращает ответ (null при ошибке, ошибка уже показана)
+   */
+  static async request(action, params = {}) {
+    const message = { action, ...params };
+
+    // Проверка по протоколу до отправки
+    const validation = protocol.validateMessage(message);
+    if (!validation.valid) {
+      UIManager.showError(validation.response.error);
+      return null;
+    }
+
+    try {
+      const response = await chromeAsync.runtime.sendMessage(message);
+
+      if (response?.success) {
+        return response;
+      }
+
+      UIManager.showError(
+        response?.error || protocol.ERROR_MESSAGES.GENERIC_ERROR
+      );
+      return null;
+    } catch (err) {
+      UIManager.showError(
+        err?.message || protocol.ERROR_MESSAGES.CONNECTION_ERROR
+      );
+      return null;
+    }
+  }
+}
+
+// ==================== ОБРАБОТЧИКИ СОБЫТИЙ ====================
+
+class EventHandlers {
+  /**
+   * Инициализирует все обработчики
+   */
+  static init() {
+    this._initTheme();
+    this._initLanguage();
+    this._initNavigation();
+    this._initDelays();
+    this._initProfiles();
+    this._initSelectors();
+    this._initComments();
+    this._initQueue();
+    this._initHistory();
+    this._initShortcuts();
+    this._initBackup();
+    this._initLog();
+    this._initDiagnostics();
+
+    // Слушатель изменений хранилища (в т.ч. из popup)
+    storage.onChanged.addListener(() => StatusManager.sync());
+  }
+
+  /**
+   * Тема
+   */
+  static _initTheme() {
+    $('#themeToggle').addEventListener('change', async (e) => {
+      const isDark = e.target.checked;
+      UIManager.setTheme(isDark);
+      // Цвета графиков берутся из темы
+      if (UIManager.activePanel() === 'stats') StatsManager.draw();
+      await chromeAsync.storage.set({ theme: isDark ? 'dark' : 'light' });
+    });
+  }
+
+  /**
+   * Язык интерфейса (после загрузки каталога страница переводится заново)
+   */
+  static _initLanguage() {
+    $('#languageSelect').addEventListener('change', async (e) => {
+      await chromeAsync.storage.set({
+        [i18n.STORAGE_KEY]: settings.normalize(i18n.STORAGE_KEY, e.target.value)
+      });
+    });
+
+    i18n.onChange(() => {
+      i18n.localize();
+      FieldsManager.render();
+      HiddenPolicyManager.render();
+      NotificationsManager.render();
+      ProfilesManager.signature = '';
+      QueueManager.signature = '';
+      StatusManager.sync();
+      BackupManager.preview();
+      UIManager.openPanel(UIManager.activePanel());
+    });
+  }
+
+  /**
+   * Навигация по панелям
+   */
+  static _initNavigation() {
+    document.querySelectorAll('#optionsNav .menu-button').forEach(button => {
+      button.onclick = () => UIManager.openPanel(button.dataset.panel);
+    });
+
+    window.addEventListener('hashchange', () =>
+      UIManager.openPanel(location.hash.slice(1))
+    );
+  }
+
+  /**
+   * Переключатели панели "Задержки и лимиты" (числовые поля создает FieldsManager)
+   */
+  static _initDelays() {
+    for (const [id, key] of Object.entries(CONFIG.TOGGLES)) {
+      $(`#${id}`).addEventListener('change', async (e) => {
+        await chromeAsync.storage.set({ [key]: e.target.checked });
+      });
+    }
+
+    $('#sessionStopAtInput').addEventListener('change', async (e) => {
+      await chromeAsync.storage.set({ sessionStopAt: settings.normalize('sessionStopAt', e.target.value) });
+    });
+  }
+
+  /**
+   * Профили
+   */
+  static _initProfiles() {
+    $('#createProfileBtn').onclick = () => ProfilesManager.create();
+    $('#newProfileName').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') ProfilesManager.create();
+    });
+  }
+
+  /**
+   * Селекторы и паттерны
+   */
+  static _initSelectors() {
+    $('#probeSelectorsBtn').onclick = () => SelectorsManager.probe();
+    $('#saveSelectorsBtn').onclick = () => SelectorsManager.save();
+    $('#resetSelectorsBtn').onclick = () => SelectorsManager.reset();
+    $('#probeTabSelect').addEventListener('focus', () => SelectorsManager.loadTabs());
+  }
+
+  /**
+   * Библиотека комментариев
+   */
+  static _initComments() {
+    $('#addCommentBtn').onclick = () => {
+      CommentsManager.add($('#newCommentText').value);
+    };
+
+    $('#newCommentText').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') CommentsManager.add(e.target.value);
+    });
+
+    $('#saveCommentsBtn').onclick = () => CommentsManager.save();
+    $('#clearCommentsBtn').onclick = () => CommentsManager.clear();
+  }
+
+  /**
+   * Очередь чтения
+   */
+  static _initQueue() {
+    $('#addQueueBtn').onclick = () => QueueManager.add();
+    $('#queueSourceInput').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') QueueManager.add();
+    });
+
+    $('#clearQueueDoneBtn').onclick = () => QueueManager.clearDone();
+  }
+
+  /**
+   * История
+   */
+  static _initHistory() {
+    $('#resetProgressBtn').onclick = () => HistoryManager.reset();
+
+    let searchDebounce;
+    $('#visitsSearch').addEventListener('input', () => {
+      clearTimeout(searchDebounce);
+      searchDebounce = setTimeout(() => VisitsManager.render(), CONFIG.TIMEOUTS.SEARCH_DEBOUNCE);
+    });
+
+    $('#exportVisitsCsvBtn').onclick = () => VisitsManager.exportTo('csv');
+    $('#exportVisitsJsonBtn').onclick = () => VisitsManager.exportTo('json');
+    $('#clearVisitsBtn').onclick = () => VisitsManager.clear();
+  }
+
+  /**
+   * Горячие клавиши (после смены клавиш пользователь возвращается на вкладку)
+   */
+  static _initShortcuts() {
+    $('#editShortcutsBtn').onclick = () => ShortcutsManager.edit();
+    window.addEventListener('focus', () => {
+      if (UIManager.activePanel() === 'shortcuts') ShortcutsManager.render();
+    });
+  }
+
+  /**
+   * Экспорт и импорт
+   */
+  static _initBackup() {
+    $('#exportConfigBtn').onclick = () => BackupManager.exportToFile();
+    $('#importConfigBtn').onclick = () => $('#importFileInput').click();
+    $('#importFileInput').addEventListener('change', (e) =>
+      BackupManager.load(e.target.files[0])
+    );
+
+    document.querySelectorAll('input[name="importMode"]').forEach(radio => {
+      radio.addEventListener('change', () => BackupManager.preview());
+    });
+
+    $('#applyImportBtn').onclick = () => BackupManager.apply();
+    $('#cancelImportBtn').onclick = () => BackupManager.cancel();
+  }
+
+  /**
+   * Журнал
+   */
+  static _initLog() {
+    $('#debugLoggingToggle').addEventListener('change', async (e) => {
+      await chromeAsync.storage.set({ [log.DEBUG_KEY]: e.target.checked });
+    });
+
+    ['#logLevelFilter', '#logContextFilter', '#logTabFilter', '#logSearch'].forEach(selector => {
+      $(selector).addEventListener('input', () => LogViewer.render());
+    });
+
+    $('#copyLogBtn').onclick = () => LogViewer.copy();
+    $('#clearLogBtn').onclick = () => LogViewer.clear();
+
+    setInterval(() => {
+      if (UIManager.activePanel() === 'log' && !document.hidden) LogViewer.render();
+    }, CONFIG.LOG_REFRESH_INTERVAL);
+  }
+
+  /**
+   * Диагностика
+   */
+  static _initDiagnostics() {
+    $('#refreshDiagnosticsBtn').onclick = () => DiagnosticsManager.refresh();
+    $('#clearErrorsBtn').onclick = () => DiagnosticsManager.clearErrors();
+  }
+}
+
+// ==================== ИНИЦИАЛИЗАЦИЯ ====================
+
+document.addEventListener('DOMContentLoaded', async () => {
+  await i18n.ready();
+  i18n.localize();
+  FieldsManager.render();
+  HiddenPolicyManager.render();
+  NotificationsManager.render();
+  EventHandlers.init();
+  StatusManager.sync();
+  UIManager.openPanel(location.hash.slice(1));
+});
@@ -0,0 +1,257 @@
+// overrides.js - Пользовательские селекторы и паттерны
+'use strict';
+
+/**
+ * @fileoverview Каталог селекторов и регулярных выражений, которые можно
+ * переопределить из интерфейса расширения, и проверка их на странице.
+ * Значения по умолчанию живут здесь; content.js и qh_content.js получают
+ * итоговую конфигурацию через resolve(). Подключается после i18n.js
+ * и публикуется как globalThis.MBH.overrides
+ */
+
+(() => {
+  const MBH = globalThis.MBH = globalThis.MBH || {};
+  const { i18n } = MBH;
+
+  // ==================== КОНСТАНТЫ ====================
+
+  const STORAGE_KEY = 'selectorOverrides';
+
+  const TYPES = Object.freeze({
+    SELECTOR: 'selector',
+    REGEX: 'regex',
+    LIST: 'list'
+  });
+
+  const CONFIG = {
+    // Элементы, среди которых ищутся текстовые паттерны
+    TEXT_PROBE_SELECTOR: 'button, a, div, span',
+    MAX_TEXT_LENGTH: 200
+  };
+
+  /**
+   * Каталог переопределяемых значений.
+   * id: "<область>.<путь в CONFIG>", probe: как считать совпадения для regex (text/path),
+   * labelKey: имя подписи в _locales
+   */
+  const TARGETS = Object.freeze([
+    // content.js - селекторы
+    { id: 'content.SELECTORS.GIFT', type: TYPES.SELECTOR, labelKey: 'override_gift', default: '.event-gift-ball' },
+    { id: 'content.SELECTORS.BAG', type: TYPES.SELECTOR, labelKey: 'override_bag', default: '.event-bag' },
+    { id: 'content.SELECTORS.MINE_BTN', type: TYPES.SELECTOR, labelKey: 'override_mine_button', default: '.main-mine__game-tap' },
+    { id: 'content.SELECTORS.MINE_HITS', type: TYPES.SELECTOR, labelKey: 'override_mine_hits', default: '.main-mine__game-hits-left' },
+    { id: 'content.SELECTORS.NEXT_CHAPTER', type: TYPES.SELECTOR, labelKey: 'override_next_chapter', default: 'a.button.button--primary' },
+    { id: 'content.SELECTORS.CHAPTER_LINK', type: TYPES.SELECTOR, labelKey: 'override_chapter_link', default: 'a[href*="/manga/"]' },
+    { id: 'content.SELECTORS.READER_IMAGE', type: TYPES.SELECTOR, labelKey: 'override_reader_image', default: '.reader__pages img, .reader__item img' },
+    {
+      id: 'content.SELECTORS.COMMENT_TEXTAREA', type: TYPES.SELECTOR, labelKey: 'override_comment_textarea',
+      default: '.comments__send-form textarea, textarea[name="comment"], .comments textarea'
+    },
+    {
+      id: 'content.SELECTORS.COMMENT_SEND', type: TYPES.SELECTOR, labelKey: 'override_comment_send',
+      default: '.comments__send-btn, .button--primary.comments__send-btn, .comments__send-form button[type="submit"]'
+    },
+    { id: 'content.SELECTORS.COMMENT_CLOSE', type: TYPES.SELECTOR, labelKey: 'override_comment_close', default: '.comments__close-form-btn' },
+
+    // content.js - регулярные выражения
+    { id: 'content.REGEX.MINE_PATH', type: TYPES.REGEX, probe: 'path', labelKey: 'override_mine_path', default: /\/mine(\?|$)/ },
+    { id: 'content.REGEX.NEXT_CHAPTER', type: TYPES.REGEX, probe: 'text', labelKey: 'override_next_chapter_text', default: /след/i },
+    { id: 'content.REGEX.GIFT_TEXT', type: TYPES.REGEX, probe: 'text', labelKey: 'override_gift_text', default: /подар|gift|event/i },
+    { id: 'content.REGEX.BAG_TEXT', type: TYPES.REGEX, probe: 'text', labelKey: 'override_bag_text', default: /сумк|мешок|bag|pack/i },
+    { id: 'content.REGEX.MINE_BTN', type: TYPES.REGEX, probe: 'text', labelKey: 'override_mine_button_text', default: /шахт|удар|копа/i },
+    { id: 'content.REGEX.COMMENT_BTN', type: TYPES.REGEX, probe: 'text', labelKey: 'override_comment_button_text', default: /коммент|comment/i },
+    { id: 'content.REGEX.SEND_BTN', type: TYPES.REGEX, probe: 'text', labelKey: 'override_send_button_text', default: /отправ|send|отосл/i },
+
+    // qh_content.js - квиз
+    {
+      id: 'quiz.ANSWER_SELECTORS', type: TYPES.SELECTOR, labelKey: 'override_quiz_answers',
+      default: 'button, a, li, [role="button"], .btn, .answer, .option, .list-group-item, .quiz__answer, .quiz-answer'
+    },
+    {
+      id: 'quiz.TOKEN_ATTRIBUTES', type: TYPES.LIST, labelKey: 'override_quiz_token_attributes',
+      default: ['data-token', 'data-id', 'data-answer-id', 'data-key', 'data-value']
+    }
+  ]);
+
+  const TARGETS_BY_ID = Object.freeze(
+    Object.fromEntries(TARGETS.map(target => [target.id, target]))
+  );
+
+  // ==================== ПРЕОБРАЗОВАНИЕ ====================
+
+  /**
+   * Текстовое представление значения по умолчанию (для полей ввода)
+   * @param {Object} target - Элемент каталога
+   * @returns {string}
+   */
+  function defaultText(target) {
+    switch (target.type) {
+      case TYPES.REGEX: return target.default.source;
+      case TYPES.LIST: return target.default.join(', ');
+      default: return target.default;
+    }
+  }
+
+  /**
+   * Компилирует текстовое значение в значение нужного типа
+   * @param {Object} target - Элемент каталога
+   * @param {string} text - Текст из хранилища
+   * @returns {*} - Строка, RegExp или массив
+   * @throws {Error} - Некорректное значение
+   */
+  function compile(target, text) {
+    const value = String(text).trim();
+    if (!value) throw new Error(i18n.t('override_error_empty'));
+
+    switch (target.type) {
+      case TYPES.REGEX:
+        return new RegExp(value, target.default.flags);
+
+      case TYPES.LIST: {
+        const items = value.split(',').map(item => item.trim()).filter(Boolean);
+        if (!items.length) throw new Error(i18n.t('override_error_empty_list'));
+        return items;
+      }
+
+      default:
+        // Проверка синтаксиса селектора там, где есть DOM
+        if (typeof document !== 'undefined') {
+          document.createDocumentFragment().querySelector(value);
+        }
+        return value;
+    }
+  }
+
+  /**
+   * Проверяет текстовое значение
+   * @param {string} id - Идентификатор из каталога
+   * @param {string} text - Значение
+   * @returns {string|null} - Текст ошибки или null
+   */
+  function validate(id, text) {
+    const target = TARGETS_BY_ID[id];
+    if (!target) return i18n.t('override_error_unknown_key');
+
+    try {
+      compile(target, text);
+      return null;
+    } catch (err) {
+      return err?.message || i18n.t('override_error_invalid');
+    }
+  }
+
+  /**
+   * Итоговое значение элемента каталога с учетом переопределения
+   * @param {Object} target - Элемент каталога
+   * @param {Object} overrides - {id: text}
+   * @returns {Object} - {value, overridden, error?}
+   */
+  function effectiveValue(target, overrides) {
+    const text = overrides?.[target.id];
+    if (typeof text !== 'string' || !text.trim()) {
+      return { value: target.default, overridden: false };
+    }
+
+    try {
+      return { value: compile(target, text), overridden: true };
+    } catch (err) {
+      return { value: target.default, overridden: false, error: err?.message };
+    }
+  }
+
+  /**
+   * Собирает конфигурацию области с учетом переопределений
+   * (некорректные значения заменяются значениями по умолчанию)
+   * @param {string} scope - content или quiz
+   * @param {Object} [overrides] - {id: text}
+   * @returns {Object} - Вложенный объект, например {SELECTORS: {...}, REGEX: {...}}
+   */
+  function resolve(scope, overrides = {}) {
+    const result = {};
+
+    for (const target of TARGETS) {
+      const [targetScope, ...path] = target.id.split('.');
+      if (targetScope !== scope) continue;
+
+      let node = result;
+      for (const part of path.slice(0, -1)) {
+        node = node[part] = node[part] || {};
+      }
+      node[path[path.length - 1]] = effectiveValue(target, overrides).value;
+    }
+
+    return result;
+  }
+
+  // ==================== ПРОВЕРКА НА СТРАНИЦЕ ====================
+
+  /**
+   * Считает совпадения одного элемента каталога на текущей странице
+   * @param {Object} target - Элемент каталога
+   * @param {*} value - Скомпилированное значение
+   * @returns {number}
+   */
+  function countMatches(target, value) {
+    switch (target.type) {
+      case TYPES.SELECTOR:
+        return document.querySelectorAll(value).length;
+
+      case TYPES.LIST:
+        return document.querySelectorAll(
+          value.map(attr => `[${attr}]`).join(', ')
+        ).length;
+
+      case TYPES.REGEX: {
+        if (target.probe === 'path') {
+          return value.test(location.pathname) ? 1 : 0;
+        }
+        return Array.from(document.querySelectorAll(CONFIG.TEXT_PROBE_SELECTOR))
+          .filter(el => {
+            const text = (
+              el.getAttribute('title') ||
+              el.getAttribute('aria-label') ||
+              el.textContent ||
+              ''
+            ).slice(0, CONFIG.MAX_TEXT_LENGTH);
+            return value.test(text);
+          }).length;
+      }
+
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Проверяет все элементы каталога на текущей странице
+   * @param {Object} [overrides] - {id: text} (можно передать несохраненный черновик)
+   * @returns {Object} - {id: {count, overridden, error?}}
+   */
+  function probe(overrides = {}) {
+    const results = {};
+
+    for (const target of TARGETS) {
+      const { value, overridden, error } = effectiveValue(target, overrides);
+
+      try {
+        results[target.id] = { count: countMatches(target, value), overridden, error };
+      } catch (err) {
+        results[target.id] = { count: 0, overridden, error: err?.message };
+      }
+    }
+
+    return results;
+  }
+
+  // ==================== ЭКСПОРТ ====================
+
+  MBH.overrides = Object.freeze({
+    STORAGE_KEY,
+    TYPES,
+    TARGETS,
+    defaultText,
+    validate,
+    resolve,
+    probe
+  });
+})();
@@ -8,22 +8,9 @@
 
 // ==================== КОНСТАНТЫ ====================
 
+const { protocol, settings, storage, i18n, profiles, queue } = globalThis.MBH;
+
 const CONFIG = {
-  // Лимиты
-  LIMITS: {
-    MAX_COMMENTS: 100,
-    MIN_INTERVAL: 1,
-    MAX_INTERVAL: 100,
-    MIN_TOTAL_COMMENTS: 1,
-    MAX_TOTAL_COMMENTS: 100,
-    MIN_CHAPTERS: 0,
-    MAX_CHAPTERS: 100000,
-    MIN_GIFT_DELAY: 50,
-    MAX_GIFT_DELAY: 2000,
-    MIN_MINE_DELAY: 0.2,
-    MAX_MINE_DELAY: 5.0
-  },
-  
   // Таймауты
   TIMEOUTS: {
     ERROR_DISPLAY: 3200,
@@ -38,19 +25,30 @@ const CONFIG = {
     EXTRA_PADDING: 9
   },
   
+  // Панели страницы настроек
+  OPTIONS_COMMENTS_URL: 'options.html#comments',
+  OPTIONS_PROFILES_URL: 'options.html#profiles',
+  
+  // Служебный пункт списка профилей
+  MANAGE_PROFILES_VALUE: '__manage',
+  
+  // Подписи функций и страниц в списке вкладок (имена сообщений _locales)
+  FEATURE_LABELS: {
+    autoScroll: 'feature_short_autoScroll',
+    farm: 'feature_farm',
+    mine: 'feature_mine'
+  },
+  PAGE_LABELS: {
+    chapter: 'page_chapter',
+    mine: 'page_mine',
+    other: 'page_other'
+  },
+  
   // Ключи хранилища
   STORAGE_KEYS: {
     AUTO_COMMENT: 'autoCommentSettings',
-    AUTO_COMMENT_STATE: 'autoCommentState',
-    LAST_ERROR: 'lastAutoCommentError'
-  },
-  
-  // Дефолтные значения
-  DEFAULTS: {
-    ENABLED: false,
-    INTERVAL: 2,
-    TOTAL_COMMENTS: 5,
-    COMMENTS_LIST: []
+    LAST_ERROR: 'lastAutoCommentError',
+    TAB_REGISTRY: 'tabRegistry'
   }
 };
 
@@ -65,22 +63,25 @@ const $ = (selector) => document.querySelector(selector);
  * Промисифицированные Chrome API
  */
 const chromeAsync = {
+  // Хранилище через общий слой (sync/local/session по схеме)
   storage: {
-    get: (keys) => new Promise(resolve => 
-      chrome.storage.sync.get(keys, resolve)
-    ),
-    set: (obj) => new Promise(resolve => 
-      chrome.storage.sync.set(obj, resolve)
-    )
+    get: (keys) => storage.get(keys),
+    set: (obj) => storage.set(obj)
   },
   tabs: {
     query: (opts) => new Promise(resolve => 
       chrome.tabs.query(opts, resolve)
+    ),
+    create: (opts) => new Promise(resolve =>
+      chrome.tabs.create(opts, resolve)
     )
   },
   runtime: {
     sendMessage: (msg) => new Promise(resolve => 
       chrome.runtime.sendMessage(msg, resolve)
+    ),
+    openOptionsPage: () => new Promise(resolve =>
+      chrome.runtime.openOptionsPage(resolve)
     )
   }
 };
@@ -93,16 +94,20 @@ function clamp(value, min, max) {
 }
 
 /**
- * Безопасный парсинг числа
+ * Читает настройки автокомментирования через схему
  */
-function safeParseInt(value, defaultValue = 0) {
-  const parsed = parseInt(value, 10);
-  return isNaN(parsed) ? defaultValue : parsed;
+async function readCommentSettings() {
+  const key = CONFIG.STORAGE_KEYS.AUTO_COMMENT;
+  const data = await settings.read([key]);
+  return data[key];
 }
 
-function safeParseFloat(value, defaultValue = 0) {
-  const parsed = parseFloat(value);
-  return isNaN(parsed) ? defaultValue : parsed;
+/**
+ * Форматирует задержку шахты в секундах для интерфейса
+ */
+function formatMineDelay(ms) {
+  const { precision } = settings.SCHEMA.mineClickDelay.display;
+  return settings.toDisplay('mineClickDelay', ms).toFixed(precision);
 }
 
 // ==================== UI МЕНЕДЖЕР ====================
@@ -189,140 +194,240 @@ class UIManager {
 
 class CommentsManager {
   /**
-   * Рендерит облако комментариев
+   * Сохраняет настройки комментирования
+   * (список комментариев редактируется на странице настроек)
    */
-  static render(commentsList) {
-    const container = $('#commentsCloud');
-    container.innerHTML = '';
+  static async save() {
+    const { commentsList } = await readCommentSettings();
+
+    const commentSettings = settings.normalize(CONFIG.STORAGE_KEYS.AUTO_COMMENT, {
+      enabled: $('#autoCommentEnable').checked,
+      interval: $('#commentInterval').value,
+      totalComments: $('#commentTotal').value,
+      commentsList
+    });
 
-    (commentsList || []).forEach((comment, index) => {
-      const card = this._createCommentCard(comment, index);
-      container.appendChild(card);
+    await chromeAsync.storage.set({ 
+      [CONFIG.STORAGE_KEYS.AUTO_COMMENT]: commentSettings 
     });
+
+    UIManager.showError(i18n.t('saved'));
+    StatusManager.sync();
   }
+}
+
+// ==================== PROFILES МЕНЕДЖЕР ====================
+
+class ProfilesManager {
+  // Снимок последнего рендера (хранилище меняется и при чтении глав)
+  static signature = '';
 
   /**
-   * Создает карточку комментария
+   * Рендерит список профилей в шапке
    */
-  static _createCommentCard(comment, index) {
-    const card = document.createElement('div');
-    card.className = 'comment-item';
+  static async sync() {
+    const [{ profiles: list, activeId }, current] = await Promise.all([
+      profiles.load(),
+      profiles.snapshot()
+    ]);
 
-    const textDiv = document.createElement('div');
-    textDiv.className = 'comment-text';
-    textDiv.textContent = comment;
+    const signature = JSON.stringify([list, activeId, current]);
+    if (signature === this.signature) return;
+    this.signature = signature;
 
-    const deleteBtn = document.createElement('button');
-    deleteBtn.className = 'comment-del';
-    deleteBtn.title = 'Удалить комментарий';
-    deleteBtn.setAttribute('aria-label', 'Удалить комментарий');
-    deleteBtn.dataset.index = index;
-    deleteBtn.textContent = '✕';
-    
-    deleteBtn.addEventListener('click', () => this._handleDelete(index));
+    const select = $('#profileSelect');
+    select.innerHTML = '';
+
+    this._addOption(select, '', i18n.t('popup_no_profile'));
+
+    list.forEach(profile => {
+      // Звездочка - настройки изменены после применения профиля
+      const modified = profile.id === activeId && !profiles.matches(profile, current);
+      this._addOption(select, profile.id, modified ? `${profile.name} *` : profile.name);
+    });
 
-    card.appendChild(textDiv);
-    card.appendChild(deleteBtn);
+    this._addOption(select, CONFIG.MANAGE_PROFILES_VALUE, i18n.t('popup_manage_profiles'));
 
-    return card;
+    select.value = activeId;
   }
 
   /**
-   * Обрабатывает удаление комментария
+   * Добавляет пункт в список
    */
-  static async _handleDelete(index) {
-    const data = await chromeAsync.storage.get([CONFIG.STORAGE_KEYS.AUTO_COMMENT]);
-    
-    const settings = Object.assign(
-      { ...CONFIG.DEFAULTS }, 
-      data[CONFIG.STORAGE_KEYS.AUTO_COMMENT] || {}
-    );
-
-    settings.commentsList = settings.commentsList || [];
+  static _addOption(select, value, text) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    select.appendChild(option);
+  }
 
-    if (index >= 0 && index < settings.commentsList.length) {
-      settings.commentsList.splice(index, 1);
-      
-      await chromeAsync.storage.set({ 
-        [CONFIG.STORAGE_KEYS.AUTO_COMMENT]: settings 
+  /**
+   * Применяет выбранный профиль
+   */
+  static async select(value) {
+    if (value === CONFIG.MANAGE_PROFILES_VALUE) {
+      this.signature = '';
+      this.sync();
+      await chromeAsync.tabs.create({
+        url: chrome.runtime.getURL(CONFIG.OPTIONS_PROFILES_URL)
       });
-      
-      StatusManager.sync();
+      return;
+    }
+
+    if (!value) {
+      await chromeAsync.storage.set({ [profiles.ACTIVE_KEY]: '' });
+      return;
+    }
+
+    if (!(await ActionManager.sendAction('applyProfile', { profileId: value }))) {
+      this.signature = '';
+      this.sync();
     }
   }
+}
+
+// ==================== TABS МЕНЕДЖЕР ====================
+
+class TabsManager {
+  // Активная вкладка текущего окна (цель кнопок панелей)
+  static activeTabId = null;
+  
+  // Снимок последнего рендера списка
+  static signature = '';
 
   /**
-   * Добавляет новый комментарий
+   * Запоминает активную вкладку и просит background опросить вкладки
+   * (ответ придет изменением реестра в хранилище)
    */
-  static async add(text) {
-    if (!text?.trim()) return;
+  static async init() {
+    const [tab] = await chromeAsync.tabs.query({ active: true, currentWindow: true });
+    this.activeTabId = tab?.id ?? null;
 
-    const data = await chromeAsync.storage.get([CONFIG.STORAGE_KEYS.AUTO_COMMENT]);
-    
-    const settings = Object.assign(
-      { ...CONFIG.DEFAULTS }, 
-      data[CONFIG.STORAGE_KEYS.AUTO_COMMENT] || {}
+    chromeAsync.runtime.sendMessage({ action: 'checkTabs' });
+  }
+
+  /**
+   * Функции активной вкладки (все выключены, если она не зарегистрирована)
+   */
+  static activeFeatures(registry) {
+    return protocol.normalizeFeatures(registry[this.activeTabId]?.features);
+  }
+
+  /**
+   * Запущенные функции активной вкладки, от которой давно нет пульса
+   */
+  static activeStale(registry) {
+    return protocol.getStaleFeatures(registry[this.activeTabId]);
+  }
+
+  /**
+   * Сколько других вкладок выполняют функцию
+   */
+  static countElsewhere(registry, feature) {
+    return Object.entries(registry).filter(([tabId, entry]) =>
+      Number(tabId) !== this.activeTabId && entry.features?.[feature]
+    ).length;
+  }
+
+  /**
+   * Рендерит список вкладок
+   */
+  static sync(registry) {
+    const stale = Object.keys(registry).filter(tabId =>
+      protocol.getStaleFeatures(registry[tabId]).length
     );
+    const signature = JSON.stringify([registry, this.activeTabId, stale]);
+    if (signature === this.signature) return;
+    this.signature = signature;
+
+    const list = $('#tabsList');
+    list.innerHTML = '';
 
-    settings.commentsList = settings.commentsList || [];
+    const entries = Object.entries(registry);
+    $('#stopAllTabs').disabled = !entries.length;
 
-    if (settings.commentsList.length >= CONFIG.LIMITS.MAX_COMMENTS) {
-      UIManager.showError(`Максимум ${CONFIG.LIMITS.MAX_COMMENTS} комментариев`);
+    if (!entries.length) {
+      const empty = document.createElement('div');
+      empty.className = 'small';
+      empty.textContent = protocol.ERROR_MESSAGES.NO_REGISTERED_TABS;
+      list.appendChild(empty);
       return;
     }
 
-    settings.commentsList.push(text.trim());
-    
-    await chromeAsync.storage.set({ 
-      [CONFIG.STORAGE_KEYS.AUTO_COMMENT]: settings 
-    });
+    // Текущая вкладка первой
+    entries
+      .sort(([a], [b]) => (Number(b) === this.activeTabId) - (Number(a) === this.activeTabId))
+      .forEach(([tabId, entry]) => list.appendChild(this._renderRow(Number(tabId), entry)));
 
-    $('#newCommentText').value = '';
-    StatusManager.sync();
+    UIManager.adjustPopupHeight();
   }
 
   /**
-   * Сохраняет настройки комментирования
+   * Строка вкладки с кнопками функций
    */
-  static async save() {
-    const settings = {
-      enabled: $('#autoCommentEnable').checked,
-      interval: clamp(
-        safeParseInt($('#commentInterval').value, CONFIG.DEFAULTS.INTERVAL),
-        CONFIG.LIMITS.MIN_INTERVAL,
-        CONFIG.LIMITS.MAX_INTERVAL
-      ),
-      totalComments: clamp(
-        safeParseInt($('#commentTotal').value, CONFIG.DEFAULTS.TOTAL_COMMENTS),
-        CONFIG.LIMITS.MIN_TOTAL_COMMENTS,
-        CONFIG.LIMITS.MAX_TOTAL_COMMENTS
-      ),
-      commentsList: []
-    };
-
-    // Собираем комментарии из UI
-    $('#commentsCloud').querySelectorAll('.comment-text')
-      .forEach(el => settings.commentsList.push(el.textContent));
+  static _renderRow(tabId, entry) {
+    const row = document.createElement('div');
+    row.className = 'tab-row control-card';
+    row.classList.toggle('current', tabId === this.activeTabId);
+
+    const title = document.createElement('div');
+    title.className = 'tab-title';
+    title.textContent = entry.title || entry.url || i18n.t('popup_tab_fallback', tabId);
+    title.title = entry.url || '';
+
+    const page = document.createElement('div');
+    page.className = 'small';
+    page.textContent = [
+      tabId === this.activeTabId ? i18n.t('popup_tab_current') : '',
+      i18n.t(CONFIG.PAGE_LABELS[entry.page] || CONFIG.PAGE_LABELS.other)
+    ].filter(Boolean).join(' · ');
+
+    const buttons = document.createElement('div');
+    buttons.className = 'tab-features';
+
+    const features = protocol.normalizeFeatures(entry.features);
+    const stale = protocol.getStaleFeatures(entry);
+    if (stale.length) {
+      page.textContent += ` · ${i18n.t('popup_tab_stale')}`;
+    }
 
-    await chromeAsync.storage.set({ 
-      [CONFIG.STORAGE_KEYS.AUTO_COMMENT]: settings 
-    });
+    for (const [feature, enabled] of Object.entries(features)) {
+      const button = document.createElement('button');
+      button.className = stale.includes(feature) ? 'warn' : (enabled ? 'on' : 'off');
+      button.textContent = `${i18n.t(CONFIG.FEATURE_LABELS[feature])} ${enabled ? '■' : '▶'}`;
+      button.title = stale.includes(feature)
+        ? i18n.t('popup_tab_stale_stop')
+        : i18n.t(enabled ? 'stop' : 'start');
+      button.onclick = () => this.toggle(tabId, feature, !enabled);
+      buttons.appendChild(button);
+    }
 
-    UIManager.showError('Сохранено');
-    StatusManager.sync();
+    row.append(title, page, buttons);
+    return row;
   }
 
   /**
-   * Очищает все комментарии
+   * Запускает или останавливает функцию во вкладке
    */
-  static async clear() {
-    await chromeAsync.storage.set({
-      [CONFIG.STORAGE_KEYS.AUTO_COMMENT]: { ...CONFIG.DEFAULTS },
-      [CONFIG.STORAGE_KEYS.AUTO_COMMENT_STATE]: { posted: 0 },
-      [CONFIG.STORAGE_KEYS.LAST_ERROR]: ''
-    });
+  static async toggle(tabId, feature, enable) {
+    const { start, stop } = protocol.FEATURES[feature];
+    const params = { tabId };
 
-    StatusManager.sync();
+    if (feature === 'autoScroll' && enable) {
+      if (!(await ActionManager.validateAutoScrollStart())) return;
+      params.chapterLimit = settings.normalize('chapterLimit', $('#chapterLimitInput').value);
+    }
+
+    await ActionManager.sendAction(enable ? start : stop, params);
+  }
+
+  /**
+   * Останавливает все функции во всех вкладках
+   */
+  static async stopAll() {
+    for (const { stop } of Object.values(protocol.FEATURES)) {
+      await ActionManager.sendAction(stop, { broadcast: true });
+    }
   }
 }
 
@@ -334,106 +439,174 @@ class StatusManager {
    */
   static async sync() {
     const keys = [
-      'autoScroll', 'farmActive', 'scrollSpeed', 'theme', 
-      'mineActive', 'chapterLimit', 'chapterRead', 
+      'scrollSpeed', 'theme', 
+      'chapterLimit', 'chapterRead', 
       'giftClickDelay', 'mineClickDelay', 
       CONFIG.STORAGE_KEYS.AUTO_COMMENT, 
       CONFIG.STORAGE_KEYS.LAST_ERROR, 
-      'quizHighlight'
+      CONFIG.STORAGE_KEYS.TAB_REGISTRY,
+      storage.ERROR_KEY,
+      'quizHighlight',
+      'hudEnabled',
+      'sessionMinutes', 'sessionStopAt', 'sessionFinishChapter', 'sessionDeadline',
+      'chapterRange',
+      queue.STORAGE_KEY
     ];
 
-    const data = await chromeAsync.storage.get(keys);
+    const data = await settings.read(keys);
+    const registry = data[CONFIG.STORAGE_KEYS.TAB_REGISTRY];
+    const features = TabsManager.activeFeatures(registry);
 
-    this._updateStatusIndicators(data);
-    this._updateScrollControls(data);
-    this._updateFarmControls(data);
-    this._updateMineControls(data);
+    this._updateStatusIndicators(features, registry, TabsManager.activeStale(registry));
+    this._updateScrollControls(data, features);
+    this._updateFarmControls(data, features);
+    this._updateMineControls(data, features);
     this._updateCommentControls(data);
     this._updateQuizToggle(data);
+    this._updateHudToggles(data);
 
     UIManager.setTheme(data.theme === 'dark');
+    ProfilesManager.sync();
+    TabsManager.sync(registry);
 
     // Показать последнюю ошибку автокомментирования
-    const lastError = data[CONFIG.STORAGE_KEYS.LAST_ERROR] || '';
+    const lastError = data[CONFIG.STORAGE_KEYS.LAST_ERROR];
     if (lastError) {
       UIManager.showError(lastError);
     }
+
+    // Ошибки квоты хранилища показываем один раз
+    const storageError = data[storage.ERROR_KEY];
+    if (storageError) {
+      UIManager.showError(storageError);
+      await chromeAsync.storage.set({ [storage.ERROR_KEY]: '' });
+    }
   }
 
   /**
-   * Обновляет индикаторы статуса
+   * Обновляет индикаторы статуса (текущая вкладка)
    */
-  static _updateStatusIndicators(data) {
-    const auto = Boolean(data.autoScroll);
-    const farm = Boolean(data.farmActive);
-    const mine = Boolean(data.mineActive);
-
-    this._setIndicator('autoStatus', auto, 
-      'Автопрокрутка включена', 'Автопрокрутка выключена');
-    this._setIndicator('farmStatus', farm, 
-      'Фарм активен', 'Фарм не активен');
-    this._setIndicator('mineStatus', mine, 
-      'Шахта активна', 'Шахта не активна');
+  static _updateStatusIndicators(features, registry, stale = []) {
+    this._setIndicator('autoStatus', features.autoScroll, 
+      i18n.t('popup_status_scroll_on'), i18n.t('popup_status_scroll_off'),
+      TabsManager.countElsewhere(registry, 'autoScroll'), stale.includes('autoScroll'));
+    this._setIndicator('farmStatus', features.farm, 
+      i18n.t('popup_status_farm_on'), i18n.t('popup_status_farm_off'),
+      TabsManager.countElsewhere(registry, 'farm'), stale.includes('farm'));
+    this._setIndicator('mineStatus', features.mine, 
+      i18n.t('popup_status_mine_on'), i18n.t('popup_status_mine_off'),
+      TabsManager.countElsewhere(registry, 'mine'), stale.includes('mine'));
   }
 
   /**
    * Устанавливает состояние индикатора
+   * (warn - функция отмечена запущенной, но вкладка не присылает пульс)
    */
-  static _setIndicator(id, isActive, activeTitle, inactiveTitle) {
+  static _setIndicator(id, isActive, activeTitle, inactiveTitle, elsewhere = 0, isStale = false) {
     const indicator = $(`#${id}`);
-    indicator.className = `status-indicator ${isActive ? 'on' : 'off'}`;
-    indicator.title = isActive ? activeTitle : inactiveTitle;
+    const status = isStale ? 'warn' : (isActive ? 'on' : 'off');
+    indicator.className = `status-indicator ${status}`;
+    indicator.title = (isStale ? i18n.t('popup_status_stale') : (isActive ? activeTitle : inactiveTitle)) +
+      (elsewhere ? ` (${i18n.t('popup_status_elsewhere', elsewhere)})` : '');
   }
 
   /**
    * Обновляет контролы прокрутки
    */
-  static _updateScrollControls(data) {
-    $('#autoScrollSwitch').checked = Boolean(data.autoScroll);
+  static _updateScrollControls(data, features) {
+    $('#autoScrollSwitch').checked = features.autoScroll;
     
-    const speed = safeParseInt(data.scrollSpeed, 50);
-    $('#scrollSpeedRange').value = speed;
-    $('#scrollSpeedLabel').textContent = speed;
+    $('#scrollSpeedRange').value = data.scrollSpeed;
+    $('#scrollSpeedLabel').textContent = data.scrollSpeed;
     
-    const chapterLimit = safeParseInt(data.chapterLimit, 0);
-    $('#chapterLimitInput').value = chapterLimit;
+    $('#chapterLimitInput').value = data.chapterLimit;
+
+    $('#sessionMinutesInput').value = data.sessionMinutes;
+    $('#sessionStopAtInput').value = data.sessionStopAt;
+    $('#sessionFinishChapterToggle').checked = data.sessionFinishChapter;
+
+    // Срок текущей сессии (ставится при запуске прокрутки)
+    const deadlineLabel = $('#sessionDeadlineLabel');
+    deadlineLabel.hidden = !(features.autoScroll && data.sessionDeadline > Date.now());
+    if (!deadlineLabel.hidden) {
+      const time = new Date(data.sessionDeadline)
+        .toLocaleTimeString(i18n.t('language_code'), { hour: '2-digit', minute: '2-digit' });
+      deadlineLabel.textContent = i18n.t('popup_session_deadline', time);
+    }
+
+    // Диапазон глав: поля не перебиваем, пока их редактируют
+    const range = data.chapterRange;
+    for (const [id, value] of [['#rangeFromInput', range.from], ['#rangeToInput', range.to]]) {
+      if (document.activeElement !== $(id)) $(id).value = value;
+    }
+
+    const rangeLabel = $('#rangeStatusLabel');
+    rangeLabel.hidden = range.status === 'off';
+    if (!rangeLabel.hidden) {
+      rangeLabel.textContent = i18n.t(`popup_range_${range.status}`, range.slug, range.from, range.to);
+    }
+
+    this._updateQueueList(queue.normalize(data[queue.STORAGE_KEY]));
+  }
+
+  /**
+   * Список очереди чтения с прогрессом записей
+   */
+  static _updateQueueList({ entries }) {
+    const list = $('#queueList');
+    list.innerHTML = '';
+    $('#startQueue').disabled = !queue.current({ entries });
+
+    if (!entries.length) {
+      const empty = document.createElement('div');
+      empty.className = 'small';
+      empty.textContent = i18n.t('popup_queue_empty');
+      list.appendChild(empty);
+      return;
+    }
+
+    for (const entry of entries) {
+      const row = document.createElement('div');
+      row.className = 'small';
+      row.textContent = `${entry.slug}: ${queue.describe(entry)}`;
+      list.appendChild(row);
+    }
   }
 
   /**
    * Обновляет контролы фарма
    */
-  static _updateFarmControls(data) {
-    const giftDelay = safeParseInt(data.giftClickDelay, 600);
+  static _updateFarmControls(data, features) {
+    const giftDelay = data.giftClickDelay;
     $('#giftDelayRange').value = giftDelay;
     $('#giftDelayLabel').textContent = giftDelay;
     $('#giftDelayInput').value = giftDelay;
 
-    $('#startFarm').disabled = Boolean(data.farmActive);
+    $('#startFarm').disabled = features.farm;
   }
 
   /**
    * Обновляет контролы шахты
    */
-  static _updateMineControls(data) {
-    const mineDelay = safeParseFloat(data.mineClickDelay, 2000) / 1000;
+  static _updateMineControls(data, features) {
+    const mineDelay = formatMineDelay(data.mineClickDelay);
     $('#mineDelayRange').value = mineDelay;
-    $('#mineDelayLabel').textContent = mineDelay.toFixed(1);
-    $('#mineDelayInput').value = mineDelay.toFixed(1);
+    $('#mineDelayLabel').textContent = mineDelay;
+    $('#mineDelayInput').value = mineDelay;
 
-    $('#startMine').disabled = Boolean(data.mineActive);
+    $('#startMine').disabled = features.mine;
   }
 
   /**
    * Обновляет контролы комментирования
    */
   static _updateCommentControls(data) {
-    const settings = data[CONFIG.STORAGE_KEYS.AUTO_COMMENT] || { ...CONFIG.DEFAULTS };
-    
-    $('#autoCommentEnable').checked = Boolean(settings.enabled);
-    $('#commentInterval').value = settings.interval || CONFIG.DEFAULTS.INTERVAL;
-    $('#commentTotal').value = settings.totalComments || CONFIG.DEFAULTS.TOTAL_COMMENTS;
+    const commentSettings = data[CONFIG.STORAGE_KEYS.AUTO_COMMENT];
     
-    CommentsManager.render(settings.commentsList || []);
+    $('#autoCommentEnable').checked = commentSettings.enabled;
+    $('#commentInterval').value = commentSettings.interval;
+    $('#commentTotal').value = commentSettings.totalComments;
+    $('#commentsCount').textContent = commentSettings.commentsList.length;
   }
 
   /**
@@ -442,9 +615,18 @@ class StatusManager {
   static _updateQuizToggle(data) {
     const quizToggle = $('#quizHighlightToggle');
     if (quizToggle) {
-      quizToggle.checked = Boolean(data.quizHighlight);
+      quizToggle.checked = data.quizHighlight;
     }
   }
+
+  /**
+   * Обновляет переключатели панели на странице (в панелях прокрутки и шахты)
+   */
+  static _updateHudToggles(data) {
+    document.querySelectorAll('.hud-toggle').forEach(toggle => {
+      toggle.checked = data.hudEnabled;
+    });
+  }
 }
 
 // ==================== ACTION МЕНЕДЖЕР ====================
@@ -454,22 +636,42 @@ class ActionManager {
    * Отправляет действие в background script
    */
   static async sendAction(action, params = {}) {
+    const response = await this.request(action, params);
+    if (!response) return false;
+
+    StatusManager.sync();
+    return true;
+  }
+
+  /**
+   * Отправляет действие и возвращает ответ (null при ошибке, ошибка уже показана)
+   */
+  static async request(action, params = {}) {
+    const message = { action, ...params };
+
+    // Проверка по протоколу до отправки
+    const validation = protocol.validateMessage(message);
+    if (!validation.valid) {
+      UIManager.showError(validation.response.error);
+      return null;
+    }
+
     try {
-      const response = await chromeAsync.runtime.sendMessage({
-        action,
-        ...params
-      });
+      const response = await chromeAsync.runtime.sendMessage(message);
 
       if (response?.success) {
-        StatusManager.sync();
-        return true;
-      } else {
-        UIManager.showError(response?.error || 'Ошибка');
-        return false;
+        return response;
       }
+
+      UIManager.showError(
+        response?.error || protocol.ERROR_MESSAGES.GENERIC_ERROR
+      );
+      return null;
     } catch (err) {
-      UIManager.showError(err?.message || 'Ошибка соединения');
-      return false;
+      UIManager.showError(
+        err?.message || protocol.ERROR_MESSAGES.CONNECTION_ERROR
+      );
+      return null;
     }
   }
 
@@ -484,23 +686,17 @@ class ActionManager {
    * Валидирует настройки перед запуском автопрокрутки
    */
   static async validateAutoScrollStart() {
-    const data = await chromeAsync.storage.get([CONFIG.STORAGE_KEYS.AUTO_COMMENT]);
-    const settings = data[CONFIG.STORAGE_KEYS.AUTO_COMMENT] || { ...CONFIG.DEFAULTS };
-    const plannedChapters = safeParseInt($('#chapterLimitInput').value, 0);
+    const commentSettings = await readCommentSettings();
+    const plannedChapters = settings.normalize('chapterLimit', $('#chapterLimitInput').value);
 
-    if (!settings.enabled) return true;
+    if (!commentSettings.enabled) return true;
     if (plannedChapters === 0) return true; // Бесконечное чтение
 
-    const interval = Math.max(1, safeParseInt(settings.interval, 1));
-    const total = Math.max(1, safeParseInt(settings.totalComments, 1));
+    const { interval, totalComments: total } = commentSettings;
     const needed = this.computeNeededChapters(interval, total);
 
     if (plannedChapters < needed) {
-      UIManager.showError(
-        `Для оставки ${total} комментариев с интервалом ${interval} ` +
-        `требуется прочитать как минимум ${needed} глав. ` +
-        `Увеличьте число глав или отключите комментирование.`
-      );
+      UIManager.showError(i18n.t('comments_not_enough_chapters', total, interval, needed));
       return false;
     }
 
@@ -516,12 +712,16 @@ class EventHandlers {
    */
   static init() {
     this._initTheme();
+    this._initProfiles();
     this._initNavigation();
     this._initScroll();
     this._initFarm();
     this._initMine();
     this._initComments();
     this._initQuiz();
+    this._initHud();
+    this._initTabs();
+    this._initLanguage();
     this._initResize();
   }
 
@@ -536,6 +736,15 @@ class EventHandlers {
     });
   }
 
+  /**
+   * Профили
+   */
+  static _initProfiles() {
+    $('#profileSelect').addEventListener('change', (e) =>
+      ProfilesManager.select(e.target.value)
+    );
+  }
+
   /**
    * Навигация по панелям
    */
@@ -543,10 +752,13 @@ class EventHandlers {
     $('#btnAuto').onclick = () => UIManager.openPanel('#autoPanel');
     $('#btnFarm').onclick = () => UIManager.openPanel('#farmPanel');
     $('#btnFuture').onclick = () => UIManager.openPanel('#commentPanel');
+    $('#btnTabs').onclick = () => UIManager.openPanel('#tabsPanel');
+    $('#btnOptions').onclick = () => chromeAsync.runtime.openOptionsPage();
     
     $('#backAuto').onclick = () => UIManager.closePanels();
     $('#backFarm').onclick = () => UIManager.closePanels();
     $('#backComment').onclick = () => UIManager.closePanels();
+    $('#backTabs').onclick = () => UIManager.closePanels();
   }
 
   /**
@@ -562,11 +774,12 @@ class EventHandlers {
         return;
       }
 
-      await chromeAsync.storage.set({ autoScroll: enabled });
-      await ActionManager.sendAction(
+      if (!(await ActionManager.sendAction(
         enabled ? 'startScrolling' : 'stopScrolling',
-        { chapterLimit: safeParseInt($('#chapterLimitInput').value, 0) }
-      );
+        { chapterLimit: settings.normalize('chapterLimit', $('#chapterLimitInput').value) }
+      ))) {
+        StatusManager.sync();
+      }
     };
 
     // Слайдер скорости (с debounce)
@@ -576,7 +789,7 @@ class EventHandlers {
       
       clearTimeout(speedDebounce);
       speedDebounce = setTimeout(async () => {
-        const speed = safeParseInt(e.target.value, 50);
+        const speed = settings.normalize('scrollSpeed', e.target.value);
         await chromeAsync.storage.set({ scrollSpeed: speed });
         await ActionManager.sendAction('updateSpeed', { speed });
       }, CONFIG.TIMEOUTS.SPEED_DEBOUNCE);
@@ -584,24 +797,63 @@ class EventHandlers {
 
     // Лимит глав
     $('#chapterLimitInput').addEventListener('input', async (e) => {
-      const value = clamp(
-        safeParseInt(e.target.value, 0),
-        CONFIG.LIMITS.MIN_CHAPTERS,
-        CONFIG.LIMITS.MAX_CHAPTERS
-      );
+      const value = settings.normalize('chapterLimit', e.target.value);
       e.target.value = value;
       await chromeAsync.storage.set({ chapterLimit: value });
       StatusManager.sync();
     });
 
+    // Срок сессии (применяется при следующем запуске прокрутки)
+    $('#sessionMinutesInput').addEventListener('change', async (e) => {
+      const value = settings.normalize('sessionMinutes', e.target.value);
+      e.target.value = value;
+      await chromeAsync.storage.set({ sessionMinutes: value });
+    });
+
+    $('#sessionStopAtInput').addEventListener('change', async (e) => {
+      await chromeAsync.storage.set({ sessionStopAt: settings.normalize('sessionStopAt', e.target.value) });
+    });
+
+    $('#sessionFinishChapterToggle').addEventListener('change', async (e) => {
+      await chromeAsync.storage.set({ sessionFinishChapter: e.target.checked });
+    });
+
+    // Диапазон глав текущей манги
+    $('#startRange').onclick = () => {
+      const { from, to } = settings.normalize('chapterRange', {
+        from: $('#rangeFromInput').value,
+        to: $('#rangeToInput').value
+      });
+      ActionManager.sendAction('startRange', { from, to });
+    };
+
+    // Очередь чтения: добавление манги из активной вкладки
+    $('#queueAddCurrent').onclick = async () => {
+      const [tab] = await chromeAsync.tabs.query({ active: true, currentWindow: true });
+
+      try {
+        const entry = await queue.add({
+          source: tab?.url || '',
+          start: $('#queueStartInput').value,
+          limit: $('#queueLimitInput').value
+        });
+        $('#queueStartInput').value = '';
+        $('#queueLimitInput').value = '';
+        UIManager.showError(i18n.t('popup_queue_added', entry.slug));
+      } catch (err) {
+        UIManager.showError(err.message);
+      }
+    };
+
+    $('#startQueue').onclick = () => ActionManager.sendAction('startQueue');
+
     // Сброс
     $('#resetChapters').onclick = async () => {
       $('#chapterLimitInput').value = 0;
       await chromeAsync.storage.set({
         chapterLimit: 0,
         chapterRead: 0,
-        currentChapterUrl: null,
-        autoScroll: false
+        currentChapterUrl: null
       });
       await ActionManager.sendAction('stopScrolling');
     };
@@ -615,7 +867,7 @@ class EventHandlers {
     let giftDebounce;
     
     $('#giftDelayRange').addEventListener('input', (e) => {
-      const value = safeParseInt(e.target.value, 600);
+      const value = settings.normalize('giftClickDelay', e.target.value);
       $('#giftDelayLabel').textContent = value;
       $('#giftDelayInput').value = value;
       
@@ -627,11 +879,7 @@ class EventHandlers {
     });
 
     $('#giftDelayInput').addEventListener('change', async (e) => {
-      const value = clamp(
-        safeParseInt(e.target.value, 600),
-        CONFIG.LIMITS.MIN_GIFT_DELAY,
-        CONFIG.LIMITS.MAX_GIFT_DELAY
-      );
+      const value = settings.normalize('giftClickDelay', e.target.value);
       
       $('#giftDelayInput').value = value;
       $('#giftDelayRange').value = value;
@@ -642,16 +890,8 @@ class EventHandlers {
     });
 
     // Кнопки фарма
-    $('#startFarm').onclick = async () => {
-      await chromeAsync.storage.set({ farmActive: true });
-      await ActionManager.sendAction('startFarm');
-    };
-
-    $('#stopFarm').onclick = async () => {
-      await ActionManager.sendAction('stopFarm');
-      await chromeAsync.storage.set({ farmActive: false });
-      StatusManager.sync();
-    };
+    $('#startFarm').onclick = () => ActionManager.sendAction('startFarm');
+    $('#stopFarm').onclick = () => ActionManager.sendAction('stopFarm');
   }
 
   /**
@@ -662,43 +902,31 @@ class EventHandlers {
     let mineDebounce;
     
     $('#mineDelayRange').addEventListener('input', (e) => {
-      const value = safeParseFloat(e.target.value, 2.0);
-      $('#mineDelayLabel').textContent = value.toFixed(1);
-      $('#mineDelayInput').value = value.toFixed(1);
+      const value = settings.fromDisplay('mineClickDelay', e.target.value);
+      $('#mineDelayLabel').textContent = formatMineDelay(value);
+      $('#mineDelayInput').value = formatMineDelay(value);
       
       clearTimeout(mineDebounce);
       mineDebounce = setTimeout(async () => {
-        await chromeAsync.storage.set({ mineClickDelay: Math.round(value * 1000) });
+        await chromeAsync.storage.set({ mineClickDelay: value });
         StatusManager.sync();
       }, CONFIG.TIMEOUTS.DELAY_DEBOUNCE);
     });
 
     $('#mineDelayInput').addEventListener('change', async (e) => {
-      const value = clamp(
-        safeParseFloat(e.target.value, 2.0),
-        CONFIG.LIMITS.MIN_MINE_DELAY,
-        CONFIG.LIMITS.MAX_MINE_DELAY
-      );
+      const value = settings.fromDisplay('mineClickDelay', e.target.value);
       
-      $('#mineDelayInput').value = value.toFixed(1);
-      $('#mineDelayRange').value = value.toFixed(1);
-      $('#mineDelayLabel').textContent = value.toFixed(1);
+      $('#mineDelayInput').value = formatMineDelay(value);
+      $('#mineDelayRange').value = formatMineDelay(value);
+      $('#mineDelayLabel').textContent = formatMineDelay(value);
       
-      await chromeAsync.storage.set({ mineClickDelay: Math.round(value * 1000) });
+      await chromeAsync.storage.set({ mineClickDelay: value });
       StatusManager.sync();
     });
 
     // Кнопки шахты
-    $('#startMine').onclick = async () => {
-      await chromeAsync.storage.set({ mineActive: true });
-      await ActionManager.sendAction('startMine');
-    };
-
-    $('#stopMine').onclick = async () => {
-      await ActionManager.sendAction('stopMine');
-      await chromeAsync.storage.set({ mineActive: false });
-      StatusManager.sync();
-    };
+    $('#startMine').onclick = () => ActionManager.sendAction('startMine');
+    $('#stopMine').onclick = () => ActionManager.sendAction('stopMine');
   }
 
   /**
@@ -707,33 +935,24 @@ class EventHandlers {
   static _initComments() {
     // Переключатель (немедленное сохранение)
     $('#autoCommentEnable').addEventListener('change', async (e) => {
-      const enabled = e.target.checked;
-      const data = await chromeAsync.storage.get([CONFIG.STORAGE_KEYS.AUTO_COMMENT]);
+      const commentSettings = await readCommentSettings();
       
-      const settings = Object.assign(
-        { ...CONFIG.DEFAULTS }, 
-        data[CONFIG.STORAGE_KEYS.AUTO_COMMENT] || {}
-      );
-      
-      settings.enabled = enabled;
+      commentSettings.enabled = e.target.checked;
       
       await chromeAsync.storage.set({ 
-        [CONFIG.STORAGE_KEYS.AUTO_COMMENT]: settings 
+        [CONFIG.STORAGE_KEYS.AUTO_COMMENT]: commentSettings 
       });
       
       StatusManager.sync();
     });
 
-    // Добавление комментария
-    $('#addCommentBtn').onclick = () => {
-      CommentsManager.add($('#newCommentText').value);
-    };
-
     // Сохранение настроек
     $('#saveCommentsBtn').onclick = () => CommentsManager.save();
 
-    // Очистка
-    $('#clearCommentsBtn').onclick = () => CommentsManager.clear();
+    // Список комментариев - на странице настроек
+    $('#editCommentsBtn').onclick = () => chromeAsync.tabs.create({
+      url: chrome.runtime.getURL(CONFIG.OPTIONS_COMMENTS_URL)
+    });
   }
 
   /**
@@ -747,16 +966,43 @@ class EventHandlers {
       const enabled = e.target.checked;
       
       await chromeAsync.storage.set({ quizHighlight: enabled });
-      
-      const response = await chromeAsync.runtime.sendMessage({
-        action: 'setQuiz',
-        enabled
-      });
 
-      if (!response?.success) {
-        UIManager.showError(response?.error || 'Ошибка переключения квиза');
+      if (!(await ActionManager.sendAction('setQuiz', { enabled }))) {
+        StatusManager.sync();
       }
+    });
+  }
+
+  /**
+   * Панель на странице (content scripts получают настройку через хранилище)
+   */
+  static _initHud() {
+    document.querySelectorAll('.hud-toggle').forEach(toggle => {
+      toggle.addEventListener('change', async (e) => {
+        await chromeAsync.storage.set({ hudEnabled: e.target.checked });
+        StatusManager.sync();
+      });
+    });
+  }
+
+  /**
+   * Вкладки
+   */
+  static _initTabs() {
+    $('#stopAllTabs').onclick = () => TabsManager.stopAll();
+
+    // Устаревание пульса зависит от времени, а не только от хранилища
+    setInterval(() => StatusManager.sync(), protocol.HEARTBEAT.INTERVAL);
+  }
 
+  /**
+   * Смена языка на странице настроек (списки рендерятся заново)
+   */
+  static _initLanguage() {
+    i18n.onChange(() => {
+      i18n.localize();
+      ProfilesManager.signature = '';
+      TabsManager.signature = '';
       StatusManager.sync();
     });
   }
@@ -781,14 +1027,17 @@ class EventHandlers {
     );
 
     // Слушатель изменений хранилища
-    chrome.storage.onChanged.addListener(() => StatusManager.sync());
+    storage.onChanged.addListener(() => StatusManager.sync());
   }
 }
 
 // ==================== ИНИЦИАЛИЗАЦИЯ ====================
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+  await i18n.ready();
+  i18n.localize();
   EventHandlers.init();
+  await TabsManager.init();
   StatusManager.sync();
   UIManager.adjustPopupHeight();
 });
\ No newline at end of file
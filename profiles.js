@@ -0,0 +1,255 @@
+// profiles.js - Профили настроек
+'use strict';
+
+/**
+ * @fileoverview Именованные профили настроек Mangabuff Helper
+ * Профиль хранит снимок настроек popup (скорость, лимит глав, срок сессии,
+ * задержки, тема, квиз, панель управления, комментирование) и применяется
+ * одной записью в хранилище. Состав профиля задает флаг profile в схеме settings.js.
+ * Подключается после settings.js, storage.js и i18n.js
+ * и публикуется как globalThis.MBH.profiles
+ */
+
+(() => {
+  const MBH = globalThis.MBH = globalThis.MBH || {};
+  const { settings, storage, i18n } = MBH;
+
+  // ==================== КОНСТАНТЫ ====================
+
+  const STORAGE_KEY = 'profiles';
+  const ACTIVE_KEY = 'activeProfile';
+
+  // Настройки, входящие в профиль: все настройки popup (флаг profile в схеме)
+  const KEYS = Object.freeze(Object.keys(settings.SCHEMA).filter(key => settings.SCHEMA[key].profile));
+
+  const CONFIG = {
+    MAX_NAME_LENGTH: 40,
+    MAX_PROFILES: settings.SCHEMA[STORAGE_KEY].maxItems
+  };
+
+  // ==================== НОРМАЛИЗАЦИЯ ====================
+
+  /**
+   * Приводит имя профиля к допустимому виду
+   * @param {*} name - Имя
+   * @returns {string} - Пустая строка, если имя некорректно
+   */
+  function normalizeName(name) {
+    return typeof name === 'string'
+      ? name.trim().slice(0, CONFIG.MAX_NAME_LENGTH)
+      : '';
+  }
+
+  /**
+   * Приводит профиль из хранилища к схеме
+   * @param {Object} profile - Сырой профиль
+   * @returns {Object|null} - {id, name, settings} или null
+   */
+  function normalizeProfile(profile) {
+    const name = normalizeName(profile?.name);
+    if (typeof profile?.id !== 'string' || !profile.id || !name) return null;
+
+    return {
+      id: profile.id,
+      name,
+      settings: settings.normalizeAll(profile.settings, KEYS)
+    };
+  }
+
+  /**
+   * Новый идентификатор профиля
+   * @returns {string}
+   */
+  function createId() {
+    return `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  // ==================== ЧТЕНИЕ И ЗАПИСЬ ====================
+
+  /**
+   * Читает профили и активный профиль
+   * @returns {Promise<Object>} - {profiles, activeId}
+   */
+  async function load() {
+    const data = await settings.read([STORAGE_KEY, ACTIVE_KEY]);
+    const profiles = data[STORAGE_KEY].map(normalizeProfile).filter(Boolean);
+    const activeId = profiles.some(p => p.id === data[ACTIVE_KEY]) ? data[ACTIVE_KEY] : '';
+
+    return { profiles, activeId };
+  }
+
+  /**
+   * Сохраняет список профилей
+   * @param {Array<Object>} profiles - Профили
+   * @param {Object} [extra] - Дополнительные ключи той же записи
+   * @returns {Promise<boolean>}
+   */
+  function save(profiles, extra = {}) {
+    return storage.set({ [STORAGE_KEY]: profiles, ...extra });
+  }
+
+  /**
+   * Находит профиль по id или бросает ошибку
+   */
+  function findOrThrow(profiles, id) {
+    const profile = profiles.find(p => p.id === id);
+    if (!profile) throw new Error(i18n.t('error_PROFILE_NOT_FOUND'));
+    return profile;
+  }
+
+  /**
+   * Проверяет имя и его уникальность
+   */
+  function checkName(profiles, name, exceptId) {
+    const safeName = normalizeName(name);
+    if (!safeName) throw new Error(i18n.t('profiles_error_empty_name'));
+
+    const taken = profiles.some(p =>
+      p.id !== exceptId && p.name.toLowerCase() === safeName.toLowerCase()
+    );
+    if (taken) throw new Error(i18n.t('profiles_error_taken', safeName));
+
+    return safeName;
+  }
+
+  /**
+   * Текущие значения настроек профиля
+   * @returns {Promise<Object>}
+   */
+  function snapshot() {
+    return settings.read([...KEYS]);
+  }
+
+  // ==================== ОПЕРАЦИИ ====================
+
+  /**
+   * Создает профиль из текущих настроек
+   * @param {string} name - Имя
+   * @returns {Promise<Object>} - Новый профиль
+   * @throws {Error} - Некорректное имя или превышен лимит
+   */
+  async function create(name) {
+    const { profiles } = await load();
+    if (profiles.length >= CONFIG.MAX_PROFILES) {
+      throw new Error(i18n.t('profiles_error_limit', CONFIG.MAX_PROFILES));
+    }
+
+    const profile = {
+      id: createId(),
+      name: checkName(profiles, name),
+      settings: await snapshot()
+    };
+
+    await save([...profiles, profile], { [ACTIVE_KEY]: profile.id });
+    return profile;
+  }
+
+  /**
+   * Переименовывает профиль
+   * @param {string} id - Идентификатор
+   * @param {string} name - Новое имя
+   * @returns {Promise<void>}
+   */
+  async function rename(id, name) {
+    const { profiles } = await load();
+    const profile = findOrThrow(profiles, id);
+    profile.name = checkName(profiles, name, id);
+    await save(profiles);
+  }
+
+  /**
+   * Создает копию профиля
+   * @param {string} id - Идентификатор
+   * @returns {Promise<Object>} - Копия
+   */
+  async function duplicate(id) {
+    const { profiles } = await load();
+    if (profiles.length >= CONFIG.MAX_PROFILES) {
+      throw new Error(i18n.t('profiles_error_limit', CONFIG.MAX_PROFILES));
+    }
+
+    const source = findOrThrow(profiles, id);
+    // Имя копии: "<имя> (копия)", "<имя> (копия 2)", ...
+    const suffix = i18n.t('profiles_copy_suffix');
+    const base = source.name.slice(0, CONFIG.MAX_NAME_LENGTH - suffix.length - 3);
+    let name = `${base} (${suffix})`;
+    for (let i = 2; profiles.some(p => p.name === name); i++) {
+      name = `${base} (${suffix} ${i})`;
+    }
+
+    const copy = { id: createId(), name, settings: { ...source.settings } };
+    await save([...profiles, copy]);
+    return copy;
+  }
+
+  /**
+   * Удаляет профиль
+   * @param {string} id - Идентификатор
+   * @returns {Promise<void>}
+   */
+  async function remove(id) {
+    const { profiles, activeId } = await load();
+    findOrThrow(profiles, id);
+
+    await save(
+      profiles.filter(p => p.id !== id),
+      activeId === id ? { [ACTIVE_KEY]: '' } : {}
+    );
+  }
+
+  /**
+   * Перезаписывает профиль текущими настройками
+   * @param {string} id - Идентификатор
+   * @returns {Promise<void>}
+   */
+  async function update(id) {
+    const { profiles } = await load();
+    findOrThrow(profiles, id).settings = await snapshot();
+    await save(profiles);
+  }
+
+  /**
+   * Применяет профиль: все настройки и активный профиль одной записью,
+   * поэтому вкладки получают одно изменение хранилища
+   * @param {string} id - Идентификатор
+   * @returns {Promise<Object|null>} - Примененные настройки или null
+   */
+  async function apply(id) {
+    const { profiles } = await load();
+    const profile = profiles.find(p => p.id === id);
+    if (!profile) return null;
+
+    await storage.set({ ...profile.settings, [ACTIVE_KEY]: id });
+    return profile.settings;
+  }
+
+  /**
+   * Проверяет, совпадают ли текущие настройки с профилем
+   * @param {Object} profile - Профиль
+   * @param {Object} current - Значения из snapshot()
+   * @returns {boolean}
+   */
+  function matches(profile, current) {
+    return KEYS.every(key =>
+      JSON.stringify(profile.settings[key]) === JSON.stringify(current[key])
+    );
+  }
+
+  // ==================== ЭКСПОРТ ====================
+
+  MBH.profiles = Object.freeze({
+    STORAGE_KEY,
+    ACTIVE_KEY,
+    KEYS,
+    MAX_NAME_LENGTH: CONFIG.MAX_NAME_LENGTH,
+    load,
+    snapshot,
+    create,
+    rename,
+    duplicate,
+    remove,
+    update,
+    apply,
+    matches
+  });
+})();
@@ -0,0 +1,361 @@
+// protocol.js - Общий протокол сообщений
+'use strict';
+
+/**
+ * @fileoverview Единый протокол сообщений расширения Mangabuff Helper
+ * Каталог действий, схемы параметров, конверт ответа и коды ошибок.
+ * Подключается в popup, background (import) и content scripts (manifest)
+ * и публикуется как globalThis.MBH.protocol
+ */
+
+(() => {
+  const MBH = globalThis.MBH = globalThis.MBH || {};
+
+  // ==================== КОДЫ ОШИБОК ====================
+
+  const ERROR_CODES = Object.freeze({
+    INVALID_MESSAGE: 'INVALID_MESSAGE',
+    UNKNOWN_ACTION: 'UNKNOWN_ACTION',
+    INVALID_PARAMS: 'INVALID_PARAMS',
+    NO_ACTIVE_TAB: 'NO_ACTIVE_TAB',
+    WRONG_DOMAIN: 'WRONG_DOMAIN',
+    INVALID_URL: 'INVALID_URL',
+    TAB_SEND_ERROR: 'TAB_SEND_ERROR',
+    QUIZ_TOGGLE_ERROR: 'QUIZ_TOGGLE_ERROR',
+    NOT_CHAPTER_PAGE: 'NOT_CHAPTER_PAGE',
+    NOT_MINE_PAGE: 'NOT_MINE_PAGE',
+    NOT_MANGA_PAGE: 'NOT_MANGA_PAGE',
+    CHAPTER_NOT_FOUND: 'CHAPTER_NOT_FOUND',
+    QUEUE_EMPTY: 'QUEUE_EMPTY',
+    PROFILE_NOT_FOUND: 'PROFILE_NOT_FOUND',
+    NOT_A_TAB: 'NOT_A_TAB',
+    NO_REGISTERED_TABS: 'NO_REGISTERED_TABS',
+    CONNECTION_ERROR: 'CONNECTION_ERROR',
+    STORAGE_ERROR: 'STORAGE_ERROR',
+    GENERIC_ERROR: 'GENERIC_ERROR'
+  });
+
+  /**
+   * Тексты ошибок на языке интерфейса (сообщения error_<КОД> в _locales,
+   * переводятся при обращении: язык можно сменить во время работы)
+   */
+  const ERROR_MESSAGES = Object.freeze(Object.defineProperties({},
+    Object.fromEntries(Object.keys(ERROR_CODES).map(code => [code, {
+      enumerable: true,
+      get: () => (MBH.i18n ? MBH.i18n.t(`error_${code}`) : code)
+    }]))
+  ));
+
+  // ==================== КАТАЛОГ ДЕЙСТВИЙ ====================
+
+  /**
+   * Где обрабатывается действие:
+   * background - в service worker, tab - пересылается в content script вкладки
+   */
+  const SCOPES = Object.freeze({
+    BACKGROUND: 'background',
+    TAB: 'tab'
+  });
+
+  /**
+   * Общие параметры действий области tab: tabId - целевая вкладка
+   * (по умолчанию активная вкладка текущего окна),
+   * broadcast - отправить во все зарегистрированные вкладки mangabuff
+   */
+  const TAB_PARAMS = Object.freeze({
+    tabId: { type: 'number', min: 0, integer: true },
+    broadcast: { type: 'boolean' }
+  });
+
+  /**
+   * Функции, которые вкладка выполняет независимо от других вкладок,
+   * и действия их запуска/остановки
+   */
+  const FEATURES = Object.freeze({
+    autoScroll: { start: 'startScrolling', stop: 'stopScrolling' },
+    farm: { start: 'startFarm', stop: 'stopFarm' },
+    mine: { start: 'startMine', stop: 'stopMine' }
+  });
+
+  /**
+   * События вкладок, о которых background может показать уведомление
+   */
+  const EVENTS = Object.freeze({
+    MINE_DONE: 'mineDone',
+    CHAPTER_LIMIT: 'chapterLimit',
+    NO_NEXT_CHAPTER: 'noNextChapter',
+    SESSION_END: 'sessionEnd',
+    QUEUE_DONE: 'queueDone',
+    COMMENT_ERROR: 'commentError'
+  });
+
+  /**
+   * Пульс вкладок: вкладка с запущенными функциями сообщает состояние
+   * раз в INTERVAL. STALE_AFTER с запасом на троттлинг таймеров
+   * фоновых вкладок (до одного срабатывания в минуту)
+   */
+  const HEARTBEAT = Object.freeze({
+    INTERVAL: 20000,
+    STALE_AFTER: 75000
+  });
+
+  /**
+   * Каталог действий и схемы их параметров.
+   * Параметр: { type, required?, min?, max?, integer? } (type: number/string/boolean/object/array)
+   */
+  const ACTIONS = Object.freeze({
+    startScrolling: {
+      scope: SCOPES.TAB,
+      params: {
+        chapterLimit: { type: 'number', min: 0, integer: true }
+      }
+    },
+    stopScrolling: {
+      scope: SCOPES.TAB,
+      params: {
+        chapterLimit: { type: 'number', min: 0, integer: true }
+      }
+    },
+    // Чтение диапазона глав текущей манги (номера из адреса главы)
+    startRange: {
+      scope: SCOPES.TAB,
+      params: {
+        from: { type: 'number', required: true, min: 0 },
+        to: { type: 'number', required: true, min: 0 }
+      }
+    },
+    // Чтение очереди манги (см. queue.js)
+    startQueue: { scope: SCOPES.TAB, params: {} },
+    // Срок сессии автопрокрутки истек (будильник background)
+    endSession: { scope: SCOPES.TAB, params: {} },
+    updateSpeed: {
+      scope: SCOPES.BACKGROUND,
+      params: {
+        speed: { type: 'number', required: true, min: 1 }
+      }
+    },
+    startFarm: { scope: SCOPES.TAB, params: {} },
+    stopFarm: { scope: SCOPES.TAB, params: {} },
+    startMine: { scope: SCOPES.TAB, params: {} },
+    stopMine: { scope: SCOPES.TAB, params: {} },
+    setQuiz: {
+      scope: SCOPES.BACKGROUND,
+      params: {
+        enabled: { type: 'boolean', required: true }
+      }
+    },
+    applyProfile: {
+      scope: SCOPES.BACKGROUND,
+      params: {
+        profileId: { type: 'string', required: true }
+      }
+    },
+    appendLog: {
+      scope: SCOPES.BACKGROUND,
+      params: {
+        entries: { type: 'array', required: true }
+      }
+    },
+    getLog: { scope: SCOPES.BACKGROUND, params: {} },
+    clearLog: { scope: SCOPES.BACKGROUND, params: {} },
+    // Пачка записей в sync из popup, options и вкладок (см. storage.js)
+    writeSync: {
+      scope: SCOPES.BACKGROUND,
+      params: {
+        values: { type: 'object', required: true }
+      }
+    },
+    registerTab: {
+      scope: SCOPES.BACKGROUND,
+      params: {
+        page: { type: 'string', required: true },
+        title: { type: 'string' }
+      }
+    },
+    reportFeatures: {
+      scope: SCOPES.BACKGROUND,
+      params: {
+        features: { type: 'object', required: true },
+        counters: { type: 'object' },
+        page: { type: 'string' }
+      }
+    },
+    checkTabs: { scope: SCOPES.BACKGROUND, params: {} },
+    recordVisit: {
+      scope: SCOPES.BACKGROUND,
+      params: {
+        visit: { type: 'object', required: true }
+      }
+    },
+    notify: {
+      scope: SCOPES.BACKGROUND,
+      params: {
+        event: { type: 'string', required: true },
+        text: { type: 'string' }
+      }
+    },
+    getStatus: { scope: SCOPES.TAB, params: {} },
+    showFeedback: {
+      scope: SCOPES.TAB,
+      params: {
+        text: { type: 'string', required: true }
+      }
+    },
+    probeSelectors: {
+      scope: SCOPES.TAB,
+      params: {
+        overrides: { type: 'object' }
+      }
+    }
+  });
+
+  // ==================== КОНВЕРТ ОТВЕТА ====================
+
+  /**
+   * Успешный ответ
+   * @param {Object} [data] - Дополнительные поля ответа
+   * @returns {Object} - {success: true, ...data}
+   */
+  function ok(data = {}) {
+    return { ...data, success: true };
+  }
+
+  /**
+   * Ответ с ошибкой
+   * @param {string} code - Код из ERROR_CODES
+   * @param {string} [message] - Текст ошибки (по умолчанию из ERROR_MESSAGES)
+   * @returns {Object} - {success: false, code, error}
+   */
+  function fail(code, message) {
+    const safeCode = ERROR_CODES[code] || ERROR_CODES.GENERIC_ERROR;
+    return {
+      success: false,
+      code: safeCode,
+      error: message || ERROR_MESSAGES[safeCode]
+    };
+  }
+
+  /**
+   * Ответ с ошибкой на основе исключения
+   * @param {*} err - Исключение
+   * @param {string} [code] - Код ошибки по умолчанию
+   * @returns {Object} - {success: false, code, error}
+   */
+  function failFromError(err, code = ERROR_CODES.GENERIC_ERROR) {
+    return fail(code, err?.message);
+  }
+
+  // ==================== ВАЛИДАЦИЯ ====================
+
+  /**
+   * Проверяет значение параметра по схеме
+   * @param {*} value - Значение
+   * @param {Object} rule - Схема параметра
+   * @returns {boolean}
+   */
+  function checkParam(value, rule) {
+    if (value === undefined) return !rule.required;
+    if (rule.type === 'array') return Array.isArray(value);
+    if (typeof value !== rule.type) return false;
+    if (rule.type === 'object' && (value === null || Array.isArray(value))) return false;
+
+    if (rule.type === 'number') {
+      if (!Number.isFinite(value)) return false;
+      if (rule.integer && !Number.isInteger(value)) return false;
+      if (rule.min != null && value < rule.min) return false;
+      if (rule.max != null && value > rule.max) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Валидирует сообщение по каталогу действий
+   * @param {Object} msg - Сообщение
+   * @returns {Object} - {valid: true, spec} или {valid: false, response}
+   */
+  function validateMessage(msg) {
+    if (!msg || typeof msg.action !== 'string') {
+      return { valid: false, response: fail(ERROR_CODES.INVALID_MESSAGE) };
+    }
+
+    const spec = ACTIONS[msg.action];
+    if (!spec) {
+      return { valid: false, response: fail(ERROR_CODES.UNKNOWN_ACTION) };
+    }
+
+    const params = spec.scope === SCOPES.TAB
+      ? { ...TAB_PARAMS, ...spec.params }
+      : spec.params;
+
+    for (const [name, rule] of Object.entries(params)) {
+      if (!checkParam(msg[name], rule)) {
+        return {
+          valid: false,
+          response: fail(
+            ERROR_CODES.INVALID_PARAMS,
+            `${ERROR_MESSAGES.INVALID_PARAMS}: ${name}`
+          )
+        };
+      }
+    }
+
+    return { valid: true, spec };
+  }
+
+  /**
+   * Приводит набор функций вкладки к {autoScroll, farm, mine: boolean}
+   * @param {Object} [features] - Сырые флаги
+   * @returns {Object}
+   */
+  function normalizeFeatures(features) {
+    const result = {};
+    for (const name of Object.keys(FEATURES)) {
+      result[name] = Boolean(features?.[name]);
+    }
+    return result;
+  }
+
+  /**
+   * Функции, которые отмечены запущенными, но вкладка давно не отвечала
+   * @param {Object} entry - Запись реестра вкладок
+   * @param {number} [now] - Текущее время
+   * @returns {Array<string>} - Имена функций из FEATURES
+   */
+  function getStaleFeatures(entry, now = Date.now()) {
+    const lastSeen = Number(entry?.lastSeen) || 0;
+    if (now - lastSeen <= HEARTBEAT.STALE_AFTER) return [];
+
+    const features = normalizeFeatures(entry?.features);
+    return Object.keys(features).filter(name => features[name]);
+  }
+
+  /**
+   * Проверяет, что действие обрабатывается в указанной области
+   * @param {string} action - Имя действия
+   * @param {string} scope - Значение из SCOPES
+   * @returns {boolean}
+   */
+  function isScope(action, scope) {
+    return ACTIONS[action]?.scope === scope;
+  }
+
+  // ==================== ЭКСПОРТ ====================
+
+  MBH.protocol = Object.freeze({
+    ERROR_CODES,
+    ERROR_MESSAGES,
+    SCOPES,
+    ACTIONS,
+    FEATURES,
+    EVENTS,
+    HEARTBEAT,
+    ok,
+    fail,
+    failFromError,
+    validateMessage,
+    normalizeFeatures,
+    getStaleFeatures,
+    isScope
+  });
+})();
@@ -7,12 +7,19 @@
  */
 
 (() => {
+  const { settings, log, storage, overrides } = globalThis.MBH;
+
   // ==================== КОНФИГУРАЦИЯ ====================
   
   const CONFIG = {
-    DEBUG: false,
     MESSAGE_SOURCE: 'quiz-helper',
     MESSAGE_TYPE: 'CORRECT',
+    LOG_TYPE: 'LOG',
+    CONNECT_TYPE: 'CONNECT',
+    HELLO_TYPE: 'HELLO',
+    
+    // Атрибут документа, из которого inject.js берет ключ канала
+    CHANNEL_ATTRIBUTE: 'data-qh-channel',
     
     // CSS классы
     CSS: {
@@ -20,28 +27,9 @@
       STYLE_ID: 'quiz-helper-styles'
     },
     
-    // Селекторы для поиска элементов ответов
-    ANSWER_SELECTORS: [
-      'button',
-      'a',
-      'li',
-      '[role="button"]',
-      '.btn',
-      '.answer',
-      '.option',
-      '.list-group-item',
-      '.quiz__answer',
-      '.quiz-answer'
-    ].join(', '),
-    
-    // Паттерны атрибутов для поиска по токену
-    TOKEN_ATTRIBUTES: [
-      'data-token',
-      'data-id',
-      'data-answer-id',
-      'data-key',
-      'data-value'
-    ],
+    // Селекторы элементов ответов (ANSWER_SELECTORS) и атрибуты токена
+    // (TOKEN_ATTRIBUTES): значения по умолчанию и переопределения из overrides.js
+    ...overrides.resolve('quiz'),
     
     // Лимиты для оптимизации
     LIMITS: {
@@ -58,17 +46,10 @@
 
   // ==================== УТИЛИТЫ ====================
   
-  const logger = {
-    log: (...args) => {
-      if (CONFIG.DEBUG) console.log('[QH][content]', ...args);
-    },
-    debug: (...args) => {
-      if (CONFIG.DEBUG) console.debug('[QH][content]', ...args);
-    },
-    warn: (...args) => {
-      if (CONFIG.DEBUG) console.warn('[QH][content]', ...args);
-    }
-  };
+  const logger = log.createLogger('quiz');
+
+  // inject.js работает в MAIN world и пишет в журнал через MessageChannel
+  const injectLogger = log.createLogger('inject');
 
   /**
    * Нормализует текст для сравнения
@@ -289,24 +270,64 @@
   // ==================== ОБРАБОТЧИКИ СОБЫТИЙ ====================
   
   /**
-   * Обрабатывает сообщения от inject.js
+   * Пересылает запись журнала inject.js в общий журнал
+   * @param {Object} message - {level, args}
    */
-  window.addEventListener('message', (event) => {
-    if (event.source !== window) return;
+  function forwardInjectLog(message) {
+    if (!log.LEVELS.includes(message.level) || !Array.isArray(message.args)) return;
+    injectLogger[message.level](...message.args.map(String));
+  }
 
+  /**
+   * Обрабатывает сообщения от inject.js (только из его порта)
+   */
+  function handleInjectMessage(event) {
     const message = event.data;
 
-    if (!message || 
-        message.source !== CONFIG.MESSAGE_SOURCE || 
-        message.type !== CONFIG.MESSAGE_TYPE) {
+    if (!message || message.source !== CONFIG.MESSAGE_SOURCE) return;
+
+    if (message.type === CONFIG.LOG_TYPE) {
+      forwardInjectLog(message);
       return;
     }
 
+    if (message.type !== CONFIG.MESSAGE_TYPE) return;
+
     logger.debug('Получены данные о правильном ответе:', message.payload);
 
     state.lastPayload = message.payload;
     tryMarkCorrectAnswer();
-  });
+  }
+
+  // Случайный ключ канала: inject.js читает его из атрибута документа
+  // и присылает вместе с портом. Скрипты сайта, выполнившиеся раньше
+  // (fallback-инъекция), ключа не знают
+  const channelToken = crypto.randomUUID();
+  document.documentElement.setAttribute(CONFIG.CHANNEL_ATTRIBUTE, channelToken);
+
+  /**
+   * Принимает порт канала от inject.js один раз и только с верным ключом:
+   * поддельные CONNECT от страницы игнорируются
+   */
+  function handleConnect(event) {
+    const message = event.data;
+    const [port] = event.ports || [];
+
+    if (event.source !== window || !port) return;
+    if (message?.source !== CONFIG.MESSAGE_SOURCE || message.type !== CONFIG.CONNECT_TYPE) return;
+    if (message.token !== channelToken) return;
+
+    window.removeEventListener('message', handleConnect);
+    document.documentElement.removeAttribute(CONFIG.CHANNEL_ATTRIBUTE);
+    port.onmessage = handleInjectMessage;
+    // Подтверждение: inject.js отправит накопленные сообщения
+    port.postMessage({ source: CONFIG.MESSAGE_SOURCE, type: CONFIG.CONNECT_TYPE });
+  }
+
+  window.addEventListener('message', handleConnect);
+
+  // inject.js мог запуститься раньше нас - просим порт заново
+  window.postMessage({ source: CONFIG.MESSAGE_SOURCE, type: CONFIG.HELLO_TYPE }, '*');
 
   /**
    * Отслеживает изменения DOM для повторного поиска элемента
@@ -345,7 +366,7 @@
       script.async = true;
 
       script.onload = () => {
-        logger.log('inject.js загружен (fallback)');
+        logger.info('inject.js загружен (fallback)');
         script.remove();
       };
 
@@ -372,8 +393,28 @@
     tryInjectFallback
   };
 
+  // ==================== ПОЛЬЗОВАТЕЛЬСКИЕ СЕЛЕКТОРЫ ====================
+
+  /**
+   * Применяет пользовательские переопределения селекторов квиза
+   */
+  async function loadOverrides() {
+    try {
+      const data = await settings.read([overrides.STORAGE_KEY]);
+      Object.assign(CONFIG, overrides.resolve('quiz', data[overrides.STORAGE_KEY]));
+      tryMarkCorrectAnswer();
+    } catch (err) {
+      logger.warn('Ошибка загрузки переопределений:', err);
+    }
+  }
+
+  storage.onChanged.addListener((changes) => {
+    if (changes[overrides.STORAGE_KEY]) loadOverrides();
+  });
+
   // ==================== ИНИЦИАЛИЗАЦИЯ ====================
   
+  loadOverrides();
   injectStyles();
-  logger.log('Скрипт инициализирован');
+  logger.debug('Скрипт инициализирован');
 })();
\ No newline at end of file
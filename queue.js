@@ -0,0 +1,343 @@
+// queue.js - Очередь чтения
+'use strict';
+
+/**
+ * @fileoverview Очередь манги для автопрокрутки Mangabuff Helper
+ * Запись очереди - манга (slug из адреса), необязательная начальная глава,
+ * лимит глав на тайтл и прогресс. Когда тайтл закончился или прочитан его лимит,
+ * content.js переходит к следующей записи.
+ * Подключается после settings.js, storage.js и i18n.js (popup, options,
+ * content scripts) и публикуется как globalThis.MBH.queue
+ */
+
+(() => {
+  const MBH = globalThis.MBH = globalThis.MBH || {};
+  const { settings, storage, i18n } = MBH;
+
+  // ==================== КОНСТАНТЫ ====================
+
+  const STORAGE_KEY = 'readingQueue';
+
+  /**
+   * Статусы записи: queued - ждет, reading - читается, done - закончена
+   */
+  const STATUSES = Object.freeze({
+    QUEUED: 'queued',
+    READING: 'reading',
+    DONE: 'done'
+  });
+
+  const CONFIG = {
+    MAX_ENTRIES: settings.SCHEMA[STORAGE_KEY].fields.entries.maxItems,
+    MAX_CHAPTER: 100000,
+    // Адрес манги или главы: /manga/<slug>[/...]
+    URL_PATTERN: /\/manga\/([\w-]+)/,
+    SLUG_PATTERN: /^[\w-]+$/
+  };
+
+  // ==================== НОРМАЛИЗАЦИЯ ====================
+
+  /**
+   * Номер главы или лимит: неотрицательное число, иначе 0
+   */
+  function toNumber(value) {
+    const num = Number(value);
+    return Number.isFinite(num) ? Math.min(Math.max(num, 0), CONFIG.MAX_CHAPTER) : 0;
+  }
+
+  /**
+   * Манга из адреса или slug
+   * @param {string} input - https://mangabuff.ru/manga/<slug>/... или <slug>
+   * @returns {string} - Пустая строка, если разобрать не удалось
+   */
+  function parseSlug(input) {
+    const text = typeof input === 'string' ? input.trim() : '';
+    const fromUrl = text.match(CONFIG.URL_PATTERN);
+    if (fromUrl) return fromUrl[1];
+    return CONFIG.SLUG_PATTERN.test(text) ? text : '';
+  }
+
+  /**
+   * Приводит запись из хранилища к схеме
+   * @param {Object} entry - Сырая запись
+   * @returns {Object|null} - {id, slug, start, limit, read, lastChapter, url, status} или null
+   */
+  function normalizeEntry(entry) {
+    const slug = parseSlug(entry?.slug);
+    if (typeof entry?.id !== 'string' || !entry.id || !slug) return null;
+
+    return {
+      id: entry.id,
+      slug,
+      // 0 - с первой главы
+      start: toNumber(entry.start),
+      // 0 - до конца тайтла
+      limit: Math.floor(toNumber(entry.limit)),
+      read: Math.floor(toNumber(entry.read)),
+      lastChapter: toNumber(entry.lastChapter),
+      // Глава, с которой продолжать ('' - тайтл еще не начат)
+      url: typeof entry.url === 'string' ? entry.url : '',
+      status: Object.values(STATUSES).includes(entry.status) ? entry.status : STATUSES.QUEUED
+    };
+  }
+
+  /**
+   * Приводит очередь к схеме
+   * @param {Object} raw - Значение из хранилища
+   * @returns {Object} - {active, pending, entries}
+   */
+  function normalize(raw) {
+    const value = settings.normalize(STORAGE_KEY, raw);
+    return { ...value, entries: value.entries.map(normalizeEntry).filter(Boolean) };
+  }
+
+  /**
+   * Новый идентификатор записи
+   * @returns {string}
+   */
+  function createId() {
+    return `q${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  // ==================== ЧТЕНИЕ И ЗАПИСЬ ====================
+
+  /**
+   * Читает очередь
+   * @returns {Promise<Object>} - {active, pending, entries}
+   */
+  async function load() {
+    const data = await storage.get([STORAGE_KEY]);
+    return normalize(data[STORAGE_KEY]);
+  }
+
+  /**
+   * Сохраняет очередь
+   * @param {Object} queue - {active, pending, entries}
+   * @returns {Promise<boolean>}
+   */
+  function save(queue) {
+    return storage.set({ [STORAGE_KEY]: queue });
+  }
+
+  /**
+   * Изменяет очередь: загрузка, правка, сохранение
+   * @param {Function} change - Правит очередь на месте, возвращает результат операции
+   * @returns {Promise<*>}
+   */
+  async function modify(change) {
+    const queue = await load();
+    const result = change(queue);
+    await save(queue);
+    return result;
+  }
+
+  /**
+   * Находит запись по id или бросает ошибку
+   */
+  function findOrThrow(queue, id) {
+    const entry = queue.entries.find(e => e.id === id);
+    if (!entry) throw new Error(i18n.t('queue_error_not_found'));
+    return entry;
+  }
+
+  // ==================== ВЫБОРКИ ====================
+
+  /**
+   * Читаемая запись, а если ее нет - первая ожидающая
+   * @param {Object} queue - Очередь
+   * @returns {Object|null}
+   */
+  function current(queue) {
+    return queue.entries.find(e => e.status === STATUSES.READING) ||
+      queue.entries.find(e => e.status === STATUSES.QUEUED) ||
+      null;
+  }
+
+  /**
+   * Прогресс записи для интерфейса: прочитано (из лимита), последняя глава, статус
+   * @param {Object} entry - Запись
+   * @returns {string}
+   */
+  function describe(entry) {
+    const parts = [entry.limit
+      ? i18n.t('queue_progress_of', entry.read, entry.limit)
+      : i18n.t('queue_progress', entry.read)];
+
+    if (entry.lastChapter) parts.push(i18n.t('queue_last_chapter', entry.lastChapter));
+    parts.push(i18n.t(`queue_status_${entry.status}`));
+    return parts.join(' · ');
+  }
+
+  // ==================== ОПЕРАЦИИ СПИСКА ====================
+
+  /**
+   * Добавляет мангу в конец очереди
+   * @param {Object} params - {source (адрес или slug), start?, limit?}
+   * @returns {Promise<Object>} - Новая запись
+   * @throws {Error} - Не удалось разобрать мангу, она уже в очереди или очередь заполнена
+   */
+  function add({ source, start = 0, limit = 0 }) {
+    const slug = parseSlug(source);
+    if (!slug) return Promise.reject(new Error(i18n.t('queue_error_invalid')));
+
+    return modify(queue => {
+      if (queue.entries.length >= CONFIG.MAX_ENTRIES) {
+        throw new Error(i18n.t('queue_error_limit', CONFIG.MAX_ENTRIES));
+      }
+      if (queue.entries.some(e => e.slug === slug && e.status !== STATUSES.DONE)) {
+        throw new Error(i18n.t('queue_error_duplicate', slug));
+      }
+
+      const entry = normalizeEntry({ id: createId(), slug, start, limit });
+      queue.entries.push(entry);
+      return entry;
+    });
+  }
+
+  /**
+   * Меняет начальную главу и лимит записи
+   * @param {string} id - Идентификатор
+   * @param {Object} changes - {start?, limit?}
+   * @returns {Promise<void>}
+   */
+  function update(id, { start, limit }) {
+    return modify(queue => {
+      const entry = findOrThrow(queue, id);
+      if (start !== undefined) entry.start = toNumber(start);
+      if (limit !== undefined) entry.limit = Math.floor(toNumber(limit));
+    });
+  }
+
+  /**
+   * Сдвигает запись вверх (-1) или вниз (1)
+   * @param {string} id - Идентификатор
+   * @param {number} direction - -1 или 1
+   * @returns {Promise<void>}
+   */
+  function move(id, direction) {
+    return modify(queue => {
+      const from = queue.entries.indexOf(findOrThrow(queue, id));
+      const to = from + direction;
+      if (to < 0 || to >= queue.entries.length) return;
+      [queue.entries[from], queue.entries[to]] = [queue.entries[to], queue.entries[from]];
+    });
+  }
+
+  /**
+   * Удаляет запись
+   * @param {string} id - Идентификатор
+   * @returns {Promise<void>}
+   */
+  function remove(id) {
+    return modify(queue => {
+      findOrThrow(queue, id);
+      queue.entries = queue.entries.filter(e => e.id !== id);
+    });
+  }
+
+  /**
+   * Сбрасывает прогресс записи: тайтл снова начнется с начальной главы
+   * @param {string} id - Идентификатор
+   * @returns {Promise<void>}
+   */
+  function reset(id) {
+    return modify(queue => {
+      Object.assign(findOrThrow(queue, id), {
+        read: 0, lastChapter: 0, url: '', status: STATUSES.QUEUED
+      });
+    });
+  }
+
+  /**
+   * Удаляет законченные записи
+   * @returns {Promise<void>}
+   */
+  function clearDone() {
+    return modify(queue => {
+      queue.entries = queue.entries.filter(e => e.status !== STATUSES.DONE);
+    });
+  }
+
+  // ==================== ОПЕРАЦИИ ЧТЕНИЯ (content.js) ====================
+
+  /**
+   * Включает очередь: текущая запись становится читаемой
+   * @returns {Promise<Object|null>} - Запись или null, если читать нечего
+   */
+  function begin() {
+    return modify(queue => {
+      const entry = current(queue);
+      if (!entry) return null;
+
+      entry.status = STATUSES.READING;
+      queue.active = true;
+      return entry;
+    });
+  }
+
+  /**
+   * Заканчивает читаемую запись и переходит к следующей ожидающей
+   * @returns {Promise<Object|null>} - Следующая запись или null (очередь выключается)
+   */
+  function advance() {
+    return modify(queue => {
+      const reading = queue.entries.find(e => e.status === STATUSES.READING);
+      if (reading) reading.status = STATUSES.DONE;
+
+      const next = current(queue);
+      if (next) {
+        next.status = STATUSES.READING;
+      } else {
+        queue.active = false;
+      }
+      return next;
+    });
+  }
+
+  /**
+   * Включает или выключает очередь (записи и прогресс сохраняются)
+   * @param {boolean} active - Включена ли очередь
+   * @param {Object} [flags] - {pending} - идет переход на главу записи после запуска
+   * @returns {Promise<void>}
+   */
+  function setActive(active, { pending = false } = {}) {
+    return modify(queue => {
+      Object.assign(queue, { active, pending });
+    });
+  }
+
+  /**
+   * Обновляет прогресс записи
+   * @param {string} id - Идентификатор
+   * @param {Object} progress - {read?, lastChapter?, url?}
+   * @returns {Promise<Object>} - Запись после изменения
+   */
+  function track(id, progress) {
+    return modify(queue => {
+      const entry = findOrThrow(queue, id);
+      return Object.assign(entry, normalizeEntry({ ...entry, ...progress }));
+    });
+  }
+
+  // ==================== ЭКСПОРТ ====================
+
+  MBH.queue = Object.freeze({
+    STORAGE_KEY,
+    STATUSES,
+    parseSlug,
+    normalize,
+    load,
+    current,
+    describe,
+    add,
+    update,
+    move,
+    remove,
+    reset,
+    clearDone,
+    begin,
+    advance,
+    setActive,
+    track
+  });
+})();
@@ -0,0 +1,546 @@
+// settings.js - Схема настроек
+'use strict';
+
+/**
+ * @fileoverview Версионированная схема настроек и состояния Mangabuff Helper
+ * Значения по умолчанию, диапазоны, единицы измерения и миграции хранилища.
+ * Подключается в popup, background (import) и content scripts (manifest)
+ * и публикуется как globalThis.MBH.settings
+ */
+
+(() => {
+  const MBH = globalThis.MBH = globalThis.MBH || {};
+
+  // ==================== КОНСТАНТЫ ====================
+
+  const SCHEMA_VERSION = 3;
+  const VERSION_KEY = 'schemaVersion';
+
+  /**
+   * Вид ключа: setting - пользовательская настройка (sync),
+   * state - состояние работы (local), session - временные данные сессии (session)
+   */
+  const KINDS = Object.freeze({
+    SETTING: 'setting',
+    STATE: 'state',
+    SESSION: 'session'
+  });
+
+  // ==================== СХЕМА ====================
+
+  /**
+   * Правило значения:
+   * { type, default, min?, max?, integer?, values?, items?, maxItems?, fields?,
+   *   maxLength?, pattern?,
+   *   unit?, display?: { unit, scale, precision },
+   *   profile? - настройка popup, которую сохраняет профиль (см. profiles.js) }
+   */
+  const SCHEMA = Object.freeze({
+    // Версия схемы
+    [VERSION_KEY]: {
+      kind: KINDS.SETTING,
+      type: 'number', default: 0, min: 0, integer: true
+    },
+
+    // Прокрутка
+    scrollSpeed: {
+      kind: KINDS.SETTING,
+      profile: true,
+      type: 'number', default: 50, min: 1, max: 2000, integer: true,
+      unit: 'px/s'
+    },
+    chapterLimit: {
+      kind: KINDS.SETTING,
+      profile: true,
+      type: 'number', default: 0, min: 0, max: 100000, integer: true,
+      unit: 'chapters'
+    },
+    // Остановка сессии автопрокрутки: через sessionMinutes минут чтения
+    // или в sessionStopAt (ЧЧ:ММ), что наступит раньше (0 и '' - без ограничения)
+    sessionMinutes: {
+      kind: KINDS.SETTING,
+      profile: true,
+      type: 'number', default: 0, min: 0, max: 1440, integer: true,
+      unit: 'min'
+    },
+    sessionStopAt: {
+      kind: KINDS.SETTING,
+      profile: true,
+      type: 'string', default: '', pattern: /^(?:(?:[01]\d|2[0-3]):[0-5]\d)?$/
+    },
+    // Когда время вышло, сначала дочитать открытую главу
+    sessionFinishChapter: {
+      kind: KINDS.SETTING,
+      profile: true,
+      type: 'boolean', default: false
+    },
+    // Пауза прокрутки, пока пользователь листает, кликает или печатает,
+    // и возобновление через scrollResumeDelay после последнего действия (по желанию)
+    scrollPauseOnInput: {
+      kind: KINDS.SETTING,
+      type: 'boolean', default: false
+    },
+    scrollResumeDelay: {
+      kind: KINDS.SETTING,
+      type: 'number', default: 3000, min: 500, max: 60000, integer: true,
+      unit: 'ms',
+      display: { unit: 's', scale: 1000, precision: 1 }
+    },
+    // Сколько стоять на последней странице главы (после загрузки картинок) перед переходом
+    chapterEndDwell: {
+      kind: KINDS.SETTING,
+      type: 'number', default: 1500, min: 0, max: 30000, integer: true,
+      unit: 'ms',
+      display: { unit: 's', scale: 1000, precision: 1 }
+    },
+    // Пауза, пока удерживается Пробел
+    scrollHoldSpace: {
+      kind: KINDS.SETTING,
+      type: 'boolean', default: false
+    },
+
+    // Фарм и шахта
+    giftClickDelay: {
+      kind: KINDS.SETTING,
+      profile: true,
+      type: 'number', default: 600, min: 50, max: 2000, integer: true,
+      unit: 'ms'
+    },
+    mineClickDelay: {
+      kind: KINDS.SETTING,
+      profile: true,
+      type: 'number', default: 2000, min: 200, max: 5000, integer: true,
+      unit: 'ms',
+      display: { unit: 's', scale: 1000, precision: 1 }
+    },
+
+    // Интерфейс и квиз
+    theme: {
+      kind: KINDS.SETTING,
+      profile: true,
+      type: 'enum', default: 'light', values: ['light', 'dark']
+    },
+    // Язык интерфейса (auto - язык браузера, см. i18n.js)
+    language: {
+      kind: KINDS.SETTING,
+      type: 'enum', default: 'auto', values: ['auto', 'en', 'ru']
+    },
+    quizHighlight: {
+      kind: KINDS.SETTING,
+      profile: true,
+      type: 'boolean', default: false
+    },
+    // Панель управления на страницах главы и шахты (см. hud.js)
+    hudEnabled: {
+      kind: KINDS.SETTING,
+      profile: true,
+      type: 'boolean', default: false
+    },
+
+    // Пользовательские селекторы и паттерны ({id: текст}, см. overrides.js)
+    selectorOverrides: {
+      kind: KINDS.SETTING,
+      type: 'map', default: {}, items: 'string', maxLength: 1000
+    },
+
+    // Именованные профили настроек ([{id, name, settings}], см. profiles.js)
+    profiles: {
+      kind: KINDS.SETTING,
+      type: 'array', default: [], items: 'object', maxItems: 20
+    },
+    activeProfile: { kind: KINDS.SETTING, type: 'string', default: '' },
+
+    // Подробный диагностический журнал (записи debug, см. log.js)
+    debugLogging: { kind: KINDS.SETTING, type: 'boolean', default: false },
+
+    // Поведение задач в скрытой вкладке (ключи - флаги функций protocol.FEATURES):
+    // pause - приостановить до возврата, continue - продолжать, stop - выключить
+    hiddenPolicy: {
+      kind: KINDS.SETTING,
+      type: 'object',
+      fields: {
+        autoScroll: { type: 'enum', default: 'pause', values: ['pause', 'continue', 'stop'] },
+        farm: { type: 'enum', default: 'continue', values: ['pause', 'continue', 'stop'] },
+        mine: { type: 'enum', default: 'continue', values: ['pause', 'continue', 'stop'] }
+      }
+    },
+
+    // Уведомления о событиях (ключи - protocol.EVENTS)
+    notifications: {
+      kind: KINDS.SETTING,
+      type: 'object',
+      fields: {
+        mineDone: { type: 'boolean', default: true },
+        chapterLimit: { type: 'boolean', default: true },
+        noNextChapter: { type: 'boolean', default: true },
+        sessionEnd: { type: 'boolean', default: true },
+        queueDone: { type: 'boolean', default: true },
+        commentError: { type: 'boolean', default: true }
+      }
+    },
+
+    // Автокомментирование
+    autoCommentSettings: {
+      kind: KINDS.SETTING,
+      profile: true,
+      type: 'object',
+      fields: {
+        enabled: { type: 'boolean', default: false },
+        interval: { type: 'number', default: 2, min: 1, max: 100, integer: true, unit: 'chapters' },
+        totalComments: { type: 'number', default: 5, min: 1, max: 100, integer: true },
+        commentsList: { type: 'array', default: [], items: 'string', maxItems: 100 }
+      }
+    },
+
+    // Состояние работы
+    chapterRead: {
+      kind: KINDS.STATE,
+      type: 'number', default: 0, min: 0, integer: true, unit: 'chapters'
+    },
+    currentChapterUrl: { kind: KINDS.STATE, type: 'string', default: null },
+    // Диапазон глав манги slug (номера из адреса главы, см. content.js):
+    // pending - идет переход на начальную главу, active - прокрутка до конечной
+    chapterRange: {
+      kind: KINDS.STATE,
+      type: 'object',
+      fields: {
+        slug: { type: 'string', default: '' },
+        from: { type: 'number', default: 1, min: 0, max: 100000 },
+        to: { type: 'number', default: 1, min: 0, max: 100000 },
+        status: { type: 'enum', default: 'off', values: ['off', 'pending', 'active'] }
+      }
+    },
+    // Очередь манги для автопрокрутки (записи - см. queue.js):
+    // pending - идет переход на главу первой записи после запуска
+    readingQueue: {
+      kind: KINDS.STATE,
+      type: 'object',
+      fields: {
+        active: { type: 'boolean', default: false },
+        pending: { type: 'boolean', default: false },
+        entries: { type: 'array', default: [], items: 'object', maxItems: 50 }
+      }
+    },
+    // Срок текущей сессии автопрокрутки (мс с эпохи, 0 - без срока), ставит content.js
+    sessionDeadline: {
+      kind: KINDS.STATE,
+      type: 'number', default: 0, min: 0, integer: true
+    },
+
+    // Положение панели на странице: отступы от правого нижнего угла окна, px
+    // (у каждого устройства свое окно, поэтому не sync)
+    hudPosition: {
+      kind: KINDS.STATE,
+      type: 'object',
+      fields: {
+        right: { type: 'number', default: 16, min: 0, max: 10000, integer: true },
+        bottom: { type: 'number', default: 16, min: 0, max: 10000, integer: true }
+      }
+    },
+
+    // Кольцевой буфер журнала ([{t, level, ctx, msg, tabId?}], пишет только background)
+    diagnosticLog: {
+      kind: KINDS.STATE,
+      type: 'array', default: [], items: 'object', maxItems: 500
+    },
+    autoCommentState: {
+      kind: KINDS.STATE,
+      type: 'object',
+      fields: {
+        posted: { type: 'number', default: 0, min: 0, integer: true }
+      }
+    },
+
+    // Временные данные сессии
+    lastAutoCommentError: { kind: KINDS.SESSION, type: 'string', default: '' },
+    lastStorageError: { kind: KINDS.SESSION, type: 'string', default: '' },
+
+    // Реестр вкладок mangabuff ({tabId: {url, title, page, features, updatedAt}},
+    // пишет только background)
+    tabRegistry: { kind: KINDS.SESSION, type: 'map', default: {}, items: 'object' }
+  });
+
+  // ==================== НОРМАЛИЗАЦИЯ ====================
+
+  /**
+   * Глубокая копия значения по умолчанию
+   * @param {Object} rule - Правило значения
+   * @returns {*}
+   */
+  function defaultOf(rule) {
+    if (rule.type === 'object') {
+      const result = {};
+      for (const [name, field] of Object.entries(rule.fields)) {
+        result[name] = defaultOf(field);
+      }
+      return result;
+    }
+    if (Array.isArray(rule.default)) return [...rule.default];
+    if (rule.default && typeof rule.default === 'object') return { ...rule.default };
+    return rule.default;
+  }
+
+  /**
+   * Приводит значение к правилу (некорректное -> значение по умолчанию)
+   * @param {Object} rule - Правило значения
+   * @param {*} value - Исходное значение
+   * @returns {*} - Безопасное значение
+   */
+  function normalizeValue(rule, value) {
+    if (value === undefined) return defaultOf(rule);
+
+    switch (rule.type) {
+      case 'boolean':
+        return Boolean(value);
+
+      case 'number': {
+        const num = Number(value);
+        if (value === null || value === '' || !Number.isFinite(num)) {
+          return defaultOf(rule);
+        }
+        let result = rule.integer ? Math.floor(num) : num;
+        if (rule.min != null) result = Math.max(rule.min, result);
+        if (rule.max != null) result = Math.min(rule.max, result);
+        return result;
+      }
+
+      case 'enum':
+        return rule.values.includes(value) ? value : defaultOf(rule);
+
+      case 'string':
+        if (typeof value !== 'string') return defaultOf(rule);
+        return !rule.pattern || rule.pattern.test(value) ? value : defaultOf(rule);
+
+      case 'array': {
+        if (!Array.isArray(value)) return defaultOf(rule);
+        const items = value.filter(item => typeof item === rule.items && item !== null);
+        return rule.maxItems != null ? items.slice(0, rule.maxItems) : items;
+      }
+
+      case 'map': {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          return defaultOf(rule);
+        }
+        const result = {};
+        for (const [name, item] of Object.entries(value)) {
+          if (typeof item !== rule.items || item === null) continue;
+          if (rule.maxLength != null && item.length > rule.maxLength) continue;
+          result[name] = item;
+        }
+        return result;
+      }
+
+      case 'object': {
+        const source = value && typeof value === 'object' ? value : {};
+        const result = {};
+        for (const [name, field] of Object.entries(rule.fields)) {
+          result[name] = normalizeValue(field, source[name]);
+        }
+        return result;
+      }
+
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Значение по умолчанию для ключа
+   * @param {string} key - Ключ схемы
+   * @returns {*}
+   */
+  function getDefault(key) {
+    const rule = SCHEMA[key];
+    return rule ? defaultOf(rule) : undefined;
+  }
+
+  /**
+   * Нормализует значение ключа по схеме
+   * @param {string} key - Ключ схемы
+   * @param {*} value - Исходное значение
+   * @returns {*} - Безопасное значение (ключи вне схемы возвращаются как есть)
+   */
+  function normalize(key, value) {
+    const rule = SCHEMA[key];
+    return rule ? normalizeValue(rule, value) : value;
+  }
+
+  /**
+   * Нормализует набор значений (отсутствующие ключи схемы получают значения по умолчанию)
+   * @param {Object} data - Данные из хранилища
+   * @param {Array<string>} [keys] - Ключи, которые нужно вернуть
+   * @returns {Object}
+   */
+  function normalizeAll(data, keys = Object.keys(data || {})) {
+    const source = data || {};
+    const result = {};
+    for (const key of keys) {
+      result[key] = normalize(key, source[key]);
+    }
+    return result;
+  }
+
+  /**
+   * Ключи схемы указанного вида
+   * @param {string} kind - Значение из KINDS
+   * @returns {Array<string>}
+   */
+  function keysOf(kind) {
+    return Object.keys(SCHEMA).filter(key => SCHEMA[key].kind === kind);
+  }
+
+  // ==================== ЕДИНИЦЫ ОТОБРАЖЕНИЯ ====================
+
+  /**
+   * Переводит хранимое значение в единицы интерфейса (например, мс -> с)
+   * @param {string} key - Ключ схемы
+   * @param {number} value - Хранимое значение
+   * @returns {number}
+   */
+  function toDisplay(key, value) {
+    const display = SCHEMA[key]?.display;
+    return display ? value / display.scale : value;
+  }
+
+  /**
+   * Переводит значение из единиц интерфейса в хранимое и нормализует его
+   * @param {string} key - Ключ схемы
+   * @param {*} value - Значение из интерфейса
+   * @returns {number}
+   */
+  function fromDisplay(key, value) {
+    const display = SCHEMA[key]?.display;
+    const num = Number(value);
+    if (!display || !Number.isFinite(num)) return normalize(key, value);
+    return normalize(key, Math.round(num * display.scale));
+  }
+
+  /**
+   * Границы значения в единицах интерфейса
+   * @param {string} key - Ключ схемы
+   * @returns {Object} - {min, max}
+   */
+  function displayRange(key) {
+    const rule = SCHEMA[key];
+    return {
+      min: toDisplay(key, rule.min),
+      max: toDisplay(key, rule.max)
+    };
+  }
+
+  // ==================== ЧТЕНИЕ ====================
+
+  /**
+   * Читает и нормализует значения через слой хранилища
+   * @param {Array<string>} keys - Ключи
+   * @returns {Promise<Object>}
+   */
+  function read(keys) {
+    return MBH.storage.get(keys).then(data => normalizeAll(data, keys));
+  }
+
+  // ==================== МИГРАЦИИ ====================
+
+  /**
+   * Миграции хранилища по возрастанию версии.
+   * migrate(data) получает данные всех областей и возвращает
+   * {set?, remove?: {area: [keys]}}; set записывается через слой хранилища
+   */
+  const MIGRATIONS = [
+    {
+      // 4.1 -> схема 1: приведение единиц и диапазонов
+      version: 1,
+      migrate(data) {
+        const set = {};
+
+        // mineClickDelay мог быть сохранен в секундах
+        const mineDelay = Number(data.mineClickDelay);
+        if (Number.isFinite(mineDelay) && mineDelay > 0 &&
+            mineDelay <= displayRange('mineClickDelay').max) {
+          set.mineClickDelay = normalize('mineClickDelay', mineDelay * 1000);
+        }
+
+        for (const key of Object.keys(SCHEMA)) {
+          if (key in data && !(key in set)) {
+            set[key] = normalize(key, data[key]);
+          }
+        }
+
+        return { set };
+      }
+    },
+    {
+      // Схема 2: состояние работы уходит из sync в local/session
+      version: 2,
+      migrate(data) {
+        const moved = Object.keys(SCHEMA)
+          .filter(key => SCHEMA[key].kind !== KINDS.SETTING && key in data);
+
+        const set = {};
+        moved.forEach(key => { set[key] = normalize(key, data[key]); });
+
+        return { set, remove: { sync: moved } };
+      }
+    },
+    {
+      // Схема 3: глобальные флаги работы заменены реестром вкладок
+      version: 3,
+      migrate() {
+        const removed = ['autoScroll', 'farmActive', 'mineActive'];
+        return { remove: { sync: removed, local: removed } };
+      }
+    }
+  ];
+
+  /**
+   * Применяет недостающие миграции к chrome.storage
+   * @returns {Promise<Object>} - {from, to}
+   */
+  async function runMigrations() {
+    const { storage } = MBH;
+
+    // До миграций данные могут лежать в любой области (4.1 хранила все в sync)
+    const raw = {};
+    for (const area of Object.values(storage.AREAS)) {
+      raw[area] = await storage.getArea(area, null);
+    }
+    const data = { ...raw.session, ...raw.local, ...raw.sync };
+    const from = Number(data[VERSION_KEY]) || 0;
+
+    let current = data;
+    for (const migration of MIGRATIONS) {
+      if (migration.version <= from) continue;
+
+      const { set = {}, remove = {} } = await migration.migrate(current) || {};
+
+      for (const [area, keys] of Object.entries(remove)) {
+        if (keys.length) await storage.removeFrom(area, keys);
+      }
+      await storage.set({ ...set, [VERSION_KEY]: migration.version });
+      await storage.flush();
+
+      current = { ...current, ...set };
+    }
+
+    return { from, to: Math.max(from, SCHEMA_VERSION) };
+  }
+
+  // ==================== ЭКСПОРТ ====================
+
+  MBH.settings = Object.freeze({
+    SCHEMA_VERSION,
+    VERSION_KEY,
+    KINDS,
+    SCHEMA,
+    getDefault,
+    normalize,
+    normalizeAll,
+    keysOf,
+    toDisplay,
+    fromDisplay,
+    displayRange,
+    read,
+    MIGRATIONS,
+    runMigrations
+  });
+})();
@@ -0,0 +1,235 @@
+// stats.js - Статистика чтения
+'use strict';
+
+/**
+ * @fileoverview Сводка по журналу прочитанных глав (MBH.visits):
+ * главы по дням и неделям, среднее время на главу, самые читаемые тайтлы,
+ * фактическая скорость автопрокрутки и серии дней подряд.
+ * Только вычисления, без DOM - графики рисует страница настроек.
+ * Подключается в options и публикуется как globalThis.MBH.stats
+ */
+
+(() => {
+  const MBH = globalThis.MBH = globalThis.MBH || {};
+
+  // ==================== КОНСТАНТЫ ====================
+
+  const DEFAULTS = Object.freeze({
+    DAYS: 30,
+    WEEKS: 12,
+    TOP: 10
+  });
+
+  // ==================== ДАТЫ ====================
+
+  /**
+   * Ключ календарного дня по местному времени (YYYY-MM-DD)
+   * @param {Date} date - Дата
+   * @returns {string}
+   */
+  function dayKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Начало дня со сдвигом на offset дней
+   * @param {Date} date - Дата
+   * @param {number} [offset=0] - Сдвиг в днях
+   * @returns {Date}
+   */
+  function startOfDay(date, offset = 0) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset);
+  }
+
+  /**
+   * Начало недели (понедельник)
+   * @param {Date} date - Дата
+   * @returns {Date}
+   */
+  function startOfWeek(date) {
+    return startOfDay(date, -((date.getDay() + 6) % 7));
+  }
+
+  // ==================== ВЫЧИСЛЕНИЯ ====================
+
+  /**
+   * Прочитанные главы по дням: повторное открытие той же главы в тот же день
+   * не считается
+   * @param {Array<Object>} records - Записи журнала
+   * @returns {Map<string, number>} - Ключ дня -> число глав
+   */
+  function countByDay(records) {
+    const seen = new Set();
+    const days = new Map();
+
+    for (const record of records) {
+      const key = dayKey(new Date(record.startedAt));
+      const chapter = `${key}|${record.slug}|${record.volume}|${record.chapter}`;
+      if (seen.has(chapter)) continue;
+
+      seen.add(chapter);
+      days.set(key, (days.get(key) || 0) + 1);
+    }
+    return days;
+  }
+
+  /**
+   * Ряд по дням, от старых к новым
+   * @param {Map<string, number>} days - Главы по дням
+   * @param {Date} now - Текущий момент
+   * @param {number} count - Сколько дней
+   * @returns {Array<{date: Date, value: number}>}
+   */
+  function dailySeries(days, now, count) {
+    return Array.from({ length: count }, (_, i) => {
+      const date = startOfDay(now, i - count + 1);
+      return { date, value: days.get(dayKey(date)) || 0 };
+    });
+  }
+
+  /**
+   * Ряд по неделям (с понедельника), от старых к новым
+   * @param {Map<string, number>} days - Главы по дням
+   * @param {Date} now - Текущий момент
+   * @param {number} count - Сколько недель
+   * @returns {Array<{date: Date, value: number}>}
+   */
+  function weeklySeries(days, now, count) {
+    const current = startOfWeek(now);
+
+    return Array.from({ length: count }, (_, i) => {
+      const date = startOfDay(current, (i - count + 1) * 7);
+      let value = 0;
+      for (let day = 0; day < 7; day++) {
+        value += days.get(dayKey(startOfDay(date, day))) || 0;
+      }
+      return { date, value };
+    });
+  }
+
+  /**
+   * Тайтлы с наибольшим числом разных прочитанных глав
+   * @param {Array<Object>} records - Записи журнала (от новых к старым)
+   * @param {number} count - Сколько тайтлов
+   * @returns {Array<{slug: string, url: string, chapters: number, timeSpent: number, lastReadAt: number}>}
+   */
+  function topTitles(records, count) {
+    const titles = new Map();
+
+    for (const record of records) {
+      if (!record.slug) continue;
+
+      let title = titles.get(record.slug);
+      if (!title) {
+        title = { slug: record.slug, url: record.url, chapters: new Set(), timeSpent: 0, lastReadAt: 0 };
+        titles.set(record.slug, title);
+      }
+
+      title.chapters.add(`${record.volume}|${record.chapter}`);
+      title.timeSpent += record.timeSpent;
+      if (record.startedAt > title.lastReadAt) {
+        title.lastReadAt = record.startedAt;
+        title.url = record.url;
+      }
+    }
+
+    return [...titles.values()]
+      .map(title => ({ ...title, chapters: title.chapters.size }))
+      .sort((a, b) => b.chapters - a.chapters || b.timeSpent - a.timeSpent)
+      .slice(0, count);
+  }
+
+  /**
+   * Серии дней с чтением подряд. Текущая серия не прерывается,
+   * пока сегодня еще ничего не прочитано
+   * @param {Map<string, number>} days - Главы по дням
+   * @param {Date} now - Текущий момент
+   * @returns {{current: number, longest: number}}
+   */
+  function streaks(days, now) {
+    let current = 0;
+    let date = days.has(dayKey(now)) ? startOfDay(now) : startOfDay(now, -1);
+    while (days.has(dayKey(date))) {
+      current++;
+      date = startOfDay(date, -1);
+    }
+
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+    for (const key of [...days.keys()].sort()) {
+      const [year, month, day] = key.split('-').map(Number);
+      const date = new Date(year, month - 1, day);
+
+      run = previous && dayKey(startOfDay(previous, 1)) === key ? run + 1 : 1;
+      longest = Math.max(longest, run);
+      previous = date;
+    }
+
+    return { current, longest };
+  }
+
+  /**
+   * Фактическая скорость автопрокрутки: пройденное автопрокруткой расстояние
+   * ко времени на главах с автопрокруткой (вместе с паузами и ожиданием картинок)
+   * @param {Array<Object>} records - Записи журнала
+   * @returns {number|null} - px/s или null, если данных нет
+   */
+  function effectiveSpeed(records) {
+    let scrolled = 0;
+    let time = 0;
+
+    for (const record of records) {
+      if (!record.autoScroll || !record.scrolled || !record.timeSpent) continue;
+      scrolled += record.scrolled;
+      time += record.timeSpent;
+    }
+
+    return time ? Math.round(scrolled / (time / 1000)) : null;
+  }
+
+  // ==================== ПУБЛИЧНЫЕ ФУНКЦИИ ====================
+
+  /**
+   * Сводка по журналу
+   * @param {Array<Object>} records - Записи журнала (MBH.visits.list)
+   * @param {Object} [options] - Параметры
+   * @param {number} [options.now] - Текущий момент (мс)
+   * @param {number} [options.days] - Сколько дней в ряду по дням
+   * @param {number} [options.weeks] - Сколько недель в ряду по неделям
+   * @param {number} [options.top] - Сколько тайтлов в топе
+   * @returns {Object} - chapters, timeSpent, averageTime, perDay, perWeek,
+   *   topTitles, effectiveSpeed, streak {current, longest}
+   */
+  function summarize(records, {
+    now = Date.now(),
+    days = DEFAULTS.DAYS,
+    weeks = DEFAULTS.WEEKS,
+    top = DEFAULTS.TOP
+  } = {}) {
+    const today = new Date(now);
+    const byDay = countByDay(records);
+    const timed = records.filter(record => record.timeSpent > 0);
+    const timeSpent = timed.reduce((sum, record) => sum + record.timeSpent, 0);
+
+    return {
+      chapters: [...byDay.values()].reduce((sum, value) => sum + value, 0),
+      timeSpent,
+      averageTime: timed.length ? Math.round(timeSpent / timed.length) : null,
+      perDay: dailySeries(byDay, today, days),
+      perWeek: weeklySeries(byDay, today, weeks),
+      topTitles: topTitles(records, top),
+      effectiveSpeed: effectiveSpeed(records),
+      streak: streaks(byDay, today)
+    };
+  }
+
+  // ==================== ЭКСПОРТ ====================
+
+  MBH.stats = Object.freeze({
+    DEFAULTS,
+    summarize
+  });
+})();
@@ -0,0 +1,574 @@
+// storage.js - Слой хранилища
+'use strict';
+
+/**
+ * @fileoverview Единый слой хранилища Mangabuff Helper
+ * Разносит ключи по областям chrome.storage по схеме настроек:
+ * настройки -> sync, состояние -> local, временные данные -> session.
+ * Пакетирует и ограничивает частоту записи в sync, режет большие значения
+ * на части и сохраняет ошибки квоты в lastStorageError.
+ * Квоты записи sync общие для всего расширения, поэтому в sync пишет только
+ * background (ownSync): остальные контексты пересылают ему пачки действием writeSync.
+ * Подключается после settings.js и log.js и публикуется как globalThis.MBH.storage
+ */
+
+(() => {
+  const MBH = globalThis.MBH = globalThis.MBH || {};
+  const { settings, log } = MBH;
+
+  // ==================== КОНСТАНТЫ ====================
+
+  const AREAS = Object.freeze({
+    SYNC: 'sync',
+    LOCAL: 'local',
+    SESSION: 'session'
+  });
+
+  const CONFIG = {
+    // Соответствие вида ключа области хранилища
+    KIND_AREAS: {
+      [settings.KINDS.SETTING]: AREAS.SYNC,
+      [settings.KINDS.STATE]: AREAS.LOCAL,
+      [settings.KINDS.SESSION]: AREAS.SESSION
+    },
+    DEFAULT_AREA: AREAS.LOCAL,
+
+    // Квоты sync (QUOTA_BYTES_PER_ITEM = 8192) с запасом
+    ITEM_BYTES_LIMIT: 8000,
+    CHUNK_CHARS: 1300,
+    CHUNK_MARKER: '__mbhChunks',
+    CHUNK_SEPARATOR: '__',
+
+    // Пакетирование записи в sync: не чаще одной операции в SYNC_MIN_INTERVAL мс
+    // (MAX_WRITE_OPERATIONS_PER_HOUR = 1800, MAX_WRITE_OPERATIONS_PER_MINUTE = 120)
+    BATCH_DELAY: 50,
+    SYNC_MIN_INTERVAL: 2000,
+
+    ERROR_KEY: 'lastStorageError'
+  };
+
+  // ==================== СОСТОЯНИЕ ====================
+
+  const state = {
+    pendingSync: {},
+    writingSync: {},
+    pendingWaiters: [],
+    flushTimer: null,
+    // Раньше этого момента следующую пачку в sync не пишем
+    nextSyncWrite: 0,
+    // Контекст сам пишет в sync (background), иначе пересылает пачки ему
+    owner: false
+  };
+
+  // ==================== УТИЛИТЫ ====================
+
+  const logger = log.createLogger('storage');
+
+  const encoder = new TextEncoder();
+
+  const CHUNK_KEY_PATTERN = new RegExp(`^(.+)${CONFIG.CHUNK_SEPARATOR}(\\d+)$`);
+
+  /**
+   * Возвращает объект области (session есть с Chrome 102, см. minimum_chrome_version)
+   * @param {string} area - Значение из AREAS
+   * @returns {Object} - chrome.storage.*
+   */
+  function areaApi(area) {
+    return chrome.storage[area];
+  }
+
+  /**
+   * Промисифицированный вызов области хранилища
+   * @param {string} area - Значение из AREAS
+   * @param {string} method - get/set/remove/getBytesInUse
+   * @param {*} arg - Аргумент вызова
+   * @returns {Promise<*>}
+   */
+  function call(area, method, arg) {
+    return new Promise((resolve, reject) => {
+      areaApi(area)[method](arg, (result) => {
+        if (chrome.runtime.lastError) {
+          return reject(new Error(chrome.runtime.lastError.message));
+        }
+        resolve(result);
+      });
+    });
+  }
+
+  /**
+   * Область хранилища для ключа
+   * @param {string} key - Ключ
+   * @returns {string} - Значение из AREAS
+   */
+  function areaOf(key) {
+    const kind = settings.SCHEMA[key]?.kind;
+    return CONFIG.KIND_AREAS[kind] || CONFIG.DEFAULT_AREA;
+  }
+
+  /**
+   * Группирует ключи по областям
+   * @param {Array<string>} keys - Ключи
+   * @returns {Object} - {area: [keys]}
+   */
+  function groupByArea(keys) {
+    const groups = {};
+    for (const key of keys) {
+      const area = areaOf(key);
+      (groups[area] = groups[area] || []).push(key);
+    }
+    return groups;
+  }
+
+  // ==================== РАЗБИЕНИЕ НА ЧАСТИ ====================
+
+  /**
+   * Ключ части значения
+   */
+  function chunkKey(key, index) {
+    return `${key}${CONFIG.CHUNK_SEPARATOR}${index}`;
+  }
+
+  /**
+   * Базовый ключ для ключа части (или null)
+   */
+  function chunkBase(key) {
+    const match = key.match(CHUNK_KEY_PATTERN);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Проверяет, является ли значение маркером разбиения
+   */
+  function isChunkMarker(value) {
+    return Boolean(value) && typeof value === 'object' &&
+      Number.isInteger(value[CONFIG.CHUNK_MARKER]);
+  }
+
+  /**
+   * Размер элемента sync в байтах (ключ + JSON значения)
+   */
+  function itemBytes(key, value) {
+    return encoder.encode(key + JSON.stringify(value)).length;
+  }
+
+  /**
+   * Первая половина суррогатной пары UTF-16
+   */
+  function isHighSurrogate(code) {
+    return code >= 0xD800 && code <= 0xDBFF;
+  }
+
+  /**
+   * Готовит элементы для записи, разбивая большие значения на части
+   * @param {string} key - Ключ
+   * @param {*} value - Значение
+   * @returns {Object} - {items, chunks}
+   */
+  function splitValue(key, value) {
+    if (value === undefined || itemBytes(key, value) <= CONFIG.ITEM_BYTES_LIMIT) {
+      return { items: { [key]: value }, chunks: 0 };
+    }
+
+    const json = JSON.stringify(value);
+    const items = {};
+    let chunks = 0;
+
+    for (let i = 0; i < json.length;) {
+      let end = Math.min(i + CONFIG.CHUNK_CHARS, json.length);
+      // Суррогатную пару (emoji) не разрезаем: одиночная половина может
+      // не пережить сериализацию хранилища
+      if (end < json.length && isHighSurrogate(json.charCodeAt(end - 1))) end--;
+
+      items[chunkKey(key, chunks++)] = json.slice(i, end);
+      i = end;
+    }
+    items[key] = { [CONFIG.CHUNK_MARKER]: chunks };
+
+    return { items, chunks };
+  }
+
+  /**
+   * Собирает значения, разбитые на части
+   * @param {string} area - Значение из AREAS
+   * @param {Object} data - Прочитанные данные
+   * @returns {Promise<Object>}
+   */
+  async function joinChunks(area, data) {
+    const chunked = Object.keys(data).filter(key => isChunkMarker(data[key]));
+    if (!chunked.length) return data;
+
+    const chunkKeys = [];
+    for (const key of chunked) {
+      for (let i = 0; i < data[key][CONFIG.CHUNK_MARKER]; i++) {
+        chunkKeys.push(chunkKey(key, i));
+      }
+    }
+
+    const parts = await call(area, 'get', chunkKeys);
+    const result = { ...data };
+
+    for (const key of chunked) {
+      let json = '';
+      for (let i = 0; i < data[key][CONFIG.CHUNK_MARKER]; i++) {
+        json += parts[chunkKey(key, i)] || '';
+      }
+      try {
+        result[key] = JSON.parse(json);
+      } catch (err) {
+        logger.warn('Поврежденное значение по частям:', key);
+        delete result[key];
+      }
+    }
+
+    // Служебные ключи частей наружу не отдаем
+    chunkKeys.forEach(key => { delete result[key]; });
+
+    return result;
+  }
+
+  // ==================== ОШИБКИ ====================
+
+  /**
+   * Сохраняет ошибку хранилища для показа в popup
+   * @param {Error} err - Ошибка
+   * @param {string} area - Область
+   * @param {Array<string>} keys - Ключи записи
+   */
+  function reportError(err, area, keys) {
+    // i18n.js подключается после этого модуля
+    const message = MBH.i18n.t('storage_error', area, err?.message || err);
+    logger.error(message, keys);
+
+    if (keys.includes(CONFIG.ERROR_KEY)) return;
+
+    call(areaOf(CONFIG.ERROR_KEY), 'set', { [CONFIG.ERROR_KEY]: message })
+      .catch(() => {});
+  }
+
+  // ==================== ЧТЕНИЕ ====================
+
+  /**
+   * Читает сырые данные одной области (с учетом разбиения на части)
+   * @param {string} area - Значение из AREAS
+   * @param {Array<string>|null} keys - Ключи или null для всех
+   * @returns {Promise<Object>}
+   */
+  async function getArea(area, keys) {
+    try {
+      return withPending(area, keys, await joinChunks(area, await call(area, 'get', keys)));
+    } catch (err) {
+      logger.warn(`Ошибка чтения (${area}):`, err);
+      return {};
+    }
+  }
+
+  /**
+   * Накладывает еще не записанные в sync значения (запись идет с задержкой),
+   * чтобы чтение сразу после set видело новое значение
+   * @param {string} area - Значение из AREAS
+   * @param {Array<string>|null} keys - Ключи или null для всех
+   * @param {Object} data - Прочитанные данные
+   * @returns {Object}
+   */
+  function withPending(area, keys, data) {
+    if (area !== AREAS.SYNC) return data;
+
+    const pending = { ...state.writingSync, ...state.pendingSync };
+    for (const [key, value] of Object.entries(pending)) {
+      if (keys !== null && !keys.includes(key)) continue;
+      data[key] = value === undefined ? value : JSON.parse(JSON.stringify(value));
+    }
+    return data;
+  }
+
+  /**
+   * Читает значения, направляя каждый ключ в его область
+   * @param {Array<string>|string|null} keys - Ключи или null для всех
+   * @returns {Promise<Object>}
+   */
+  async function get(keys) {
+    const list = keys == null ? null : [].concat(keys);
+
+    if (list === null) {
+      const result = {};
+      for (const area of Object.values(AREAS)) {
+        const data = await getArea(area, null);
+        for (const [key, value] of Object.entries(data)) {
+          if (areaOf(key) === area) result[key] = value;
+        }
+      }
+      return result;
+    }
+
+    const groups = groupByArea(list);
+    const parts = await Promise.all(
+      Object.entries(groups).map(([area, areaKeys]) => getArea(area, areaKeys))
+    );
+
+    return Object.assign({}, ...parts);
+  }
+
+  /**
+   * Занятый объем области в байтах
+   * @param {string} area - Значение из AREAS
+   * @returns {Promise<number|null>} - null, если API недоступен
+   */
+  async function bytesInUse(area) {
+    try {
+      return await call(area, 'getBytesInUse', null);
+    } catch (err) {
+      logger.warn(`Объем недоступен (${area}):`, err);
+      return null;
+    }
+  }
+
+  // ==================== ЗАПИСЬ ====================
+
+  /**
+   * Записывает пачку значений в sync с разбиением больших значений
+   * @param {Object} obj - Значения
+   * @returns {Promise<boolean>}
+   */
+  async function writeSync(obj) {
+    const keys = Object.keys(obj);
+    const items = {};
+    const stale = [];
+
+    // Предыдущие маркеры нужны, чтобы удалить лишние части
+    const previous = await call(AREAS.SYNC, 'get', keys).catch(() => ({}));
+
+    for (const key of keys) {
+      const { items: keyItems, chunks } = splitValue(key, obj[key]);
+      Object.assign(items, keyItems);
+
+      const oldChunks = isChunkMarker(previous[key])
+        ? previous[key][CONFIG.CHUNK_MARKER]
+        : 0;
+      for (let i = chunks; i < oldChunks; i++) {
+        stale.push(chunkKey(key, i));
+      }
+    }
+
+    try {
+      await call(AREAS.SYNC, 'set', items);
+      if (stale.length) {
+        // Удаление частей - вторая операция записи в квоте
+        state.nextSyncWrite += CONFIG.SYNC_MIN_INTERVAL;
+        await call(AREAS.SYNC, 'remove', stale);
+      }
+      return true;
+    } catch (err) {
+      reportError(err, AREAS.SYNC, keys);
+      return false;
+    }
+  }
+
+  /**
+   * Пересылает пачку владельцу записи в sync - background
+   * @param {Object} batch - Значения
+   * @returns {Promise<boolean>}
+   */
+  function sendToOwner(batch) {
+    return new Promise(resolve => {
+      try {
+        chrome.runtime.sendMessage({ action: 'writeSync', values: batch }, (response) => {
+          if (chrome.runtime.lastError) {
+            logger.warn('Запись в sync не передана:', chrome.runtime.lastError.message);
+            resolve(false);
+            return;
+          }
+          resolve(Boolean(response?.success));
+        });
+      } catch (err) {
+        // Контекст расширения недоступен (расширение обновлено)
+        resolve(false);
+      }
+    });
+  }
+
+  /**
+   * Сбрасывает накопленные записи в sync
+   * @returns {Promise<boolean>}
+   */
+  async function flush() {
+    clearTimeout(state.flushTimer);
+    state.flushTimer = null;
+
+    const batch = state.pendingSync;
+    const waiters = state.pendingWaiters;
+    state.pendingSync = {};
+    state.pendingWaiters = [];
+
+    if (!Object.keys(batch).length) {
+      waiters.forEach(resolve => resolve(true));
+      return true;
+    }
+
+    state.writingSync = batch;
+    let ok;
+    if (state.owner) {
+      state.nextSyncWrite = Date.now() + CONFIG.SYNC_MIN_INTERVAL;
+      ok = await writeSync(batch);
+    } else {
+      ok = await sendToOwner(batch);
+    }
+    if (state.writingSync === batch) state.writingSync = {};
+    waiters.forEach(resolve => resolve(ok));
+    return ok;
+  }
+
+  /**
+   * Планирует запись в sync с учетом лимита частоты
+   * @param {Object} obj - Значения
+   * @returns {Promise<boolean>}
+   */
+  function scheduleSync(obj) {
+    Object.assign(state.pendingSync, obj);
+
+    return new Promise(resolve => {
+      state.pendingWaiters.push(resolve);
+
+      if (state.flushTimer) return;
+
+      const delay = Math.max(CONFIG.BATCH_DELAY, state.nextSyncWrite - Date.now());
+      state.flushTimer = setTimeout(flush, delay);
+    });
+  }
+
+  /**
+   * Делает контекст единственным писателем sync (вызывает background):
+   * лимит частоты записи тогда один на все вкладки и страницы расширения
+   */
+  function ownSync() {
+    state.owner = true;
+  }
+
+  /**
+   * Принимает пачку sync от другого контекста (действие writeSync)
+   * @param {Object} values - Значения
+   * @returns {Promise<boolean>}
+   */
+  function acceptSync(values) {
+    const own = {};
+    for (const [key, value] of Object.entries(values || {})) {
+      if (areaOf(key) === AREAS.SYNC) own[key] = value;
+    }
+    return Object.keys(own).length ? scheduleSync(own) : Promise.resolve(true);
+  }
+
+  /**
+   * Записывает значения, направляя каждый ключ в его область
+   * @param {Object} obj - Значения
+   * @returns {Promise<boolean>} - false, если запись не удалась
+   */
+  async function set(obj) {
+    const groups = groupByArea(Object.keys(obj || {}));
+
+    const results = await Promise.all(Object.entries(groups).map(([area, keys]) => {
+      const values = {};
+      keys.forEach(key => { values[key] = obj[key]; });
+
+      if (area === AREAS.SYNC) return scheduleSync(values);
+
+      return call(area, 'set', values)
+        .then(() => true)
+        .catch(err => {
+          reportError(err, area, keys);
+          return false;
+        });
+    }));
+
+    return results.every(Boolean);
+  }
+
+  /**
+   * Удаляет ключи из их областей (вместе с частями)
+   * @param {Array<string>|string} keys - Ключи
+   * @returns {Promise<void>}
+   */
+  async function remove(keys) {
+    const groups = groupByArea([].concat(keys));
+
+    await Promise.all(Object.entries(groups).map(([area, areaKeys]) =>
+      removeFrom(area, areaKeys)
+    ));
+  }
+
+  /**
+   * Удаляет ключи из указанной области (используется миграциями)
+   * @param {string} area - Значение из AREAS
+   * @param {Array<string>} keys - Ключи
+   * @returns {Promise<void>}
+   */
+  async function removeFrom(area, keys) {
+    const previous = await call(area, 'get', keys).catch(() => ({}));
+    const all = [...keys];
+
+    for (const key of keys) {
+      if (isChunkMarker(previous[key])) {
+        for (let i = 0; i < previous[key][CONFIG.CHUNK_MARKER]; i++) {
+          all.push(chunkKey(key, i));
+        }
+      }
+    }
+
+    await call(area, 'remove', all).catch(err => reportError(err, area, keys));
+  }
+
+  // ==================== ПОДПИСКА НА ИЗМЕНЕНИЯ ====================
+
+  /**
+   * Подписка на изменения с собранными значениями вместо служебных частей
+   * @param {Function} callback - (changes, areaName) => void
+   */
+  function addChangeListener(callback) {
+    chrome.storage.onChanged.addListener(async (changes, areaName) => {
+      const result = {};
+      const reassemble = new Set();
+
+      for (const [key, change] of Object.entries(changes)) {
+        const base = chunkBase(key);
+
+        if (base && areaOf(base) === areaName) {
+          reassemble.add(base);
+        } else if (isChunkMarker(change.newValue)) {
+          reassemble.add(key);
+        } else {
+          result[key] = change;
+        }
+      }
+
+      if (reassemble.size) {
+        const data = await getArea(areaName, [...reassemble]);
+        for (const key of reassemble) {
+          result[key] = { newValue: data[key] };
+        }
+      }
+
+      if (Object.keys(result).length) callback(result, areaName);
+    });
+  }
+
+  // Сбрасываем отложенные записи при закрытии страницы (popup)
+  if (typeof addEventListener === 'function') {
+    addEventListener('pagehide', () => { flush(); });
+  }
+
+  // ==================== ЭКСПОРТ ====================
+
+  MBH.storage = Object.freeze({
+    AREAS,
+    ERROR_KEY: CONFIG.ERROR_KEY,
+    areaOf,
+    get,
+    getArea,
+    bytesInUse,
+    set,
+    remove,
+    removeFrom,
+    flush,
+    ownSync,
+    acceptSync,
+    onChanged: Object.freeze({ addListener: addChangeListener })
+  });
+})();
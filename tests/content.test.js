@@ -0,0 +1,261 @@
+// content.test.js - Автоматизации content.js на фикстурах страниц
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { openPage, fixture, waitFor } = require('./helpers/page');
+
+const CHAPTER_URL = 'https://mangabuff.ru/manga/test-manga/1/5';
+const PREVIOUS_CHAPTER_URL = 'https://mangabuff.ru/manga/test-manga/1/4';
+const MINE_URL = 'https://mangabuff.ru/mine';
+
+let page = null;
+
+afterEach(() => {
+  page?.close();
+  page = null;
+});
+
+/**
+ * Считает клики по элементу
+ */
+function countClicks(element) {
+  const counter = { clicks: 0 };
+  element.addEventListener('click', (e) => {
+    e.preventDefault();
+    counter.clicks++;
+  });
+  return counter;
+}
+
+// ==================== ШАХТА ====================
+
+describe('шахта', () => {
+  it('бьет, пока удары есть, и останавливается на нуле', async () => {
+    page = await openPage({ url: MINE_URL, html: fixture('mine.html') });
+    const { content, document, chrome } = page;
+    const tap = countClicks(document.querySelector('.main-mine__game-tap'));
+
+    content.state.mineActive = true;
+    content.mineTick();
+
+    assert.equal(tap.clicks, 1);
+    assert.equal(content.state.hitsLeft, 3);
+    assert.equal(content.state.mineActive, true);
+
+    document.querySelector('.main-mine__game-hits-left').textContent = '0';
+    content.mineTick();
+
+    assert.equal(tap.clicks, 1);
+    assert.equal(content.state.mineActive, false);
+
+    await waitFor(() => chrome.sentActions('notify').length);
+    assert.equal(chrome.sentActions('notify')[0].event, 'mineDone');
+    assert.equal(chrome.sentActions('reportFeatures').at(-1).features.mine, false);
+  });
+
+  it('без счетчика ударов считает, что ударов нет', async () => {
+    page = await openPage({ url: MINE_URL, html: '<body></body>' });
+    assert.equal(page.content.getHitsLeft(), 0);
+  });
+});
+
+// ==================== ЛИМИТ ГЛАВ ====================
+
+describe('лимит глав', () => {
+  it('считает лимит превышенным только после последней главы', async () => {
+    page = await openPage({ url: CHAPTER_URL, html: fixture('chapter.html') });
+    const { isChapterLimitExceeded } = page.content;
+
+    assert.equal(isChapterLimitExceeded(2, 2), false);
+    assert.equal(isChapterLimitExceeded(3, 2), true);
+    assert.equal(isChapterLimitExceeded(100, 0), false);
+  });
+
+  it('останавливает прокрутку на главе сверх лимита', async () => {
+    page = await openPage({
+      url: CHAPTER_URL,
+      html: fixture('chapter.html'),
+      features: { autoScroll: true },
+      storage: { chapterLimit: 2, chapterRead: 2, currentChapterUrl: PREVIOUS_CHAPTER_URL }
+    });
+    const { content, chrome, storage } = page;
+
+    await waitFor(() => chrome.sentActions('notify').length);
+
+    assert.equal(content.state.autoScroll, false);
+    assert.equal(chrome.sentActions('notify')[0].event, 'chapterLimit');
+    assert.equal(chrome.sentActions('reportFeatures').at(-1).features.autoScroll, false);
+
+    const data = await storage.get(['chapterRead', 'currentChapterUrl']);
+    assert.equal(data.chapterRead, 3);
+    assert.equal(data.currentChapterUrl, CHAPTER_URL);
+  });
+
+  it('в пределах лимита засчитывает главу и продолжает прокрутку', async () => {
+    page = await openPage({
+      url: CHAPTER_URL,
+      html: fixture('chapter.html'),
+      features: { autoScroll: true },
+      storage: { chapterLimit: 2, chapterRead: 0, currentChapterUrl: PREVIOUS_CHAPTER_URL }
+    });
+    const { content, chrome, storage } = page;
+
+    await waitFor(() => chrome.storage.local.data.chapterRead === 1);
+
+    assert.equal(content.state.autoScroll, true);
+    assert.equal(chrome.sentActions('notify').length, 0);
+    assert.equal((await storage.get(['currentChapterUrl'])).currentChapterUrl, CHAPTER_URL);
+  });
+
+  it('повторная загрузка той же главы не считается новой', async () => {
+    page = await openPage({
+      url: CHAPTER_URL,
+      html: fixture('chapter.html'),
+      features: { autoScroll: true },
+      storage: { chapterLimit: 2, chapterRead: 2, currentChapterUrl: CHAPTER_URL }
+    });
+    const { content, chrome } = page;
+
+    await waitFor(() => content.state.scrollRAF != null);
+
+    assert.equal(content.state.autoScroll, true);
+    assert.equal(chrome.storage.local.data.chapterRead, 2);
+    assert.equal(chrome.sentActions('notify').length, 0);
+  });
+});
+
+// ==================== АВТОКОММЕНТИРОВАНИЕ ====================
+
+describe('автокомментирование', () => {
+  const commentSettings = {
+    enabled: true,
+    interval: 2,
+    totalComments: 2,
+    commentsList: ['Спасибо за главу!']
+  };
+
+  it('выбирает главы: пропуск первой, затем каждая interval-я до total', async () => {
+    page = await openPage({ url: CHAPTER_URL, html: fixture('chapter.html') });
+    const { shouldCommentOnChapter } = page.content;
+
+    const commented = [1, 2, 3, 4, 5, 6, 7, 8].filter(index => shouldCommentOnChapter(index, 2, 3, 0));
+    assert.deepEqual(commented, [2, 4, 6, 8]);
+
+    assert.deepEqual([1, 2, 3, 4].filter(index => shouldCommentOnChapter(index, 1, 3, 0)), [2, 3, 4]);
+    assert.equal(shouldCommentOnChapter(4, 2, 3, 3), false);
+    assert.equal(shouldCommentOnChapter(0, 2, 3, 0), false);
+  });
+
+  it('считает главы до следующего комментария', async () => {
+    page = await openPage({ url: CHAPTER_URL, html: fixture('chapter.html') });
+    const { chaptersUntilComment, computeNeededChapters } = page.content;
+
+    assert.equal(chaptersUntilComment(0, 2, 3, 0), 2);
+    assert.equal(chaptersUntilComment(2, 2, 3, 1), 2);
+    assert.equal(chaptersUntilComment(3, 2, 3, 1), 1);
+    assert.equal(chaptersUntilComment(6, 2, 3, 3), null);
+    assert.equal(computeNeededChapters(2, 3), 6);
+  });
+
+  it('оставляет комментарий на нужной главе и засчитывает его', async () => {
+    page = await openPage({
+      url: CHAPTER_URL,
+      html: fixture('chapter.html'),
+      storage: { autoCommentSettings: commentSettings }
+    });
+    const { content, document, chrome } = page;
+    content.CONFIG.COMMENT_DELAY = 0;
+
+    const open = countClicks(document.querySelector('.reader-menu__item--comment'));
+    const send = countClicks(document.querySelector('.comments__send-btn'));
+
+    await content.handleChapterRead(2);
+
+    assert.equal(open.clicks, 1);
+    assert.equal(send.clicks, 1);
+    assert.equal(document.querySelector('textarea[name="comment"]').value, 'Спасибо за главу!');
+    assert.equal(content.state.autoCommentState.posted, 1);
+    await waitFor(() => chrome.storage.local.data.autoCommentState?.posted === 1);
+  });
+
+  it('не комментирует главу между интервалами и сверх total', async () => {
+    page = await openPage({
+      url: CHAPTER_URL,
+      html: fixture('chapter.html'),
+      storage: { autoCommentSettings: commentSettings, autoCommentState: { posted: 2 } }
+    });
+    const { content, document } = page;
+    const send = countClicks(document.querySelector('.comments__send-btn'));
+
+    content.state.autoCommentState.posted = 0;
+    await content.handleChapterRead(3);
+    assert.equal(send.clicks, 0);
+
+    content.state.autoCommentState.posted = 2;
+    await content.handleChapterRead(4);
+    assert.equal(send.clicks, 0);
+  });
+});
+
+// ==================== ЗАГРУЗКА СТРАНИЦЫ ====================
+
+describe('загрузка страницы', () => {
+  const queueEntry = {
+    id: 'q1', slug: 'test-manga', start: 0, limit: 0,
+    read: 0, lastChapter: 0, url: '', status: 'reading'
+  };
+
+  it('продолжает диапазон, если скрипты выполнились после load', async () => {
+    page = await openPage({
+      url: CHAPTER_URL,
+      html: fixture('chapter.html'),
+      afterLoad: true,
+      storage: { chapterRange: { slug: 'test-manga', from: 5, to: 7, status: 'pending' } }
+    });
+    const { content, chrome } = page;
+
+    assert.equal(page.document.readyState, 'complete');
+    await waitFor(() => chrome.storage.local.data.chapterRange?.status === 'active');
+
+    assert.equal(content.state.autoScroll, true);
+    assert.equal(chrome.storage.local.data.currentChapterUrl, CHAPTER_URL);
+  });
+
+  it('продолжает запуск очереди, если скрипты выполнились после load', async () => {
+    page = await openPage({
+      url: CHAPTER_URL,
+      html: fixture('chapter.html'),
+      afterLoad: true,
+      storage: { readingQueue: { active: true, pending: true, entries: [queueEntry] } }
+    });
+    const { content, chrome } = page;
+
+    await waitFor(() => content.state.scrollRAF != null);
+
+    assert.equal(content.state.autoScroll, true);
+    assert.equal(chrome.storage.local.data.readingQueue.pending, false);
+    assert.equal(chrome.storage.local.data.readingQueue.active, true);
+  });
+
+  it('засчитывает главу следующего тайтла очереди, если скрипты выполнились после load', async () => {
+    page = await openPage({
+      url: CHAPTER_URL,
+      html: fixture('chapter.html'),
+      afterLoad: true,
+      features: { autoScroll: true },
+      storage: {
+        chapterRead: 1,
+        currentChapterUrl: PREVIOUS_CHAPTER_URL,
+        readingQueue: { active: true, pending: false, entries: [queueEntry] }
+      }
+    });
+    const { content, chrome } = page;
+
+    await waitFor(() => chrome.storage.local.data.chapterRead === 2);
+
+    assert.equal(content.state.autoScroll, true);
+    assert.equal(chrome.storage.local.data.currentChapterUrl, CHAPTER_URL);
+    assert.equal(chrome.storage.local.data.readingQueue.entries[0].url, CHAPTER_URL);
+  });
+});
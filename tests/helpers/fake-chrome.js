@@ -0,0 +1,196 @@
+// fake-chrome.js - Поддельный chrome.* для тестов
+'use strict';
+
+/**
+ * @fileoverview In-memory chrome.storage (sync/local/session и onChanged),
+ * chrome.runtime (sendMessage с подменяемым ответом background, onMessage)
+ * и chrome.i18n по английскому каталогу. Колбэки и события хранилища,
+ * как в браузере, приходят асинхронно
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+const AREAS = ['sync', 'local', 'session'];
+
+// ==================== УТИЛИТЫ ====================
+
+/**
+ * Копия значения, как при записи в настоящее хранилище
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Вызывает колбэк в следующей микрозадаче
+ */
+function later(callback, ...args) {
+  if (typeof callback === 'function') Promise.resolve().then(() => callback(...args));
+}
+
+/**
+ * Ключи запроса get/remove: null - все, строка, массив или объект значений по умолчанию
+ */
+function requestedKeys(keys, data) {
+  if (keys == null) return { list: Object.keys(data), defaults: {} };
+  if (typeof keys === 'string') return { list: [keys], defaults: {} };
+  if (Array.isArray(keys)) return { list: keys, defaults: {} };
+  return { list: Object.keys(keys), defaults: keys };
+}
+
+// ==================== ХРАНИЛИЩЕ ====================
+
+/**
+ * Событие chrome.*.onXxx
+ */
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: listener => listeners.push(listener),
+    removeListener: listener => {
+      const index = listeners.indexOf(listener);
+      if (index >= 0) listeners.splice(index, 1);
+    },
+    hasListener: listener => listeners.includes(listener)
+  };
+}
+
+/**
+ * Область хранилища
+ * @param {string} name - sync, local или session
+ * @param {Object} onChanged - Общее событие chrome.storage.onChanged
+ */
+function createArea(name, onChanged) {
+  const data = {};
+
+  function emit(changes) {
+    if (!Object.keys(changes).length) return;
+    later(() => onChanged.listeners.forEach(listener => listener(clone(changes), name)));
+  }
+
+  return {
+    data,
+
+    get(keys, callback) {
+      const { list, defaults } = requestedKeys(keys, data);
+      const result = {};
+      for (const key of list) {
+        if (key in data) result[key] = clone(data[key]);
+        else if (key in defaults) result[key] = clone(defaults[key]);
+      }
+      later(callback, result);
+    },
+
+    set(items, callback) {
+      const changes = {};
+      for (const [key, value] of Object.entries(items)) {
+        changes[key] = { oldValue: clone(data[key]), newValue: clone(value) };
+        data[key] = clone(value);
+      }
+      emit(changes);
+      later(callback);
+    },
+
+    remove(keys, callback) {
+      const changes = {};
+      for (const key of requestedKeys(keys, data).list) {
+        if (!(key in data)) continue;
+        changes[key] = { oldValue: data[key] };
+        delete data[key];
+      }
+      emit(changes);
+      later(callback);
+    },
+
+    getBytesInUse(keys, callback) {
+      const { list } = requestedKeys(keys, data);
+      const bytes = list.reduce((sum, key) =>
+        key in data ? sum + key.length + JSON.stringify(data[key]).length : sum, 0);
+      later(callback, bytes);
+    }
+  };
+}
+
+// ==================== I18N ====================
+
+/**
+ * chrome.i18n.getMessage по _locales/en/messages.json
+ */
+function createI18n() {
+  const catalog = JSON.parse(fs.readFileSync(path.join(ROOT, '_locales', 'en', 'messages.json'), 'utf8'));
+
+  return {
+    getMessage(name, substitutions = []) {
+      const entry = catalog[name];
+      if (!entry) return '';
+
+      const values = [].concat(substitutions).map(String);
+      return entry.message.replace(/\$(\w+)\$/g, (match, placeholder) => {
+        const content = entry.placeholders?.[placeholder.toLowerCase()]?.content || '';
+        return content.replace(/\$(\d)/g, (m, index) => values[index - 1] ?? '');
+      });
+    },
+    getUILanguage: () => 'en'
+  };
+}
+
+// ==================== RUNTIME ====================
+
+/**
+ * Поддельный chrome
+ * @param {Object} [options] - Параметры
+ * @param {Function} [options.respond] - Ответ background на sendMessage: (message) => response или Promise
+ * @returns {Object} - chrome, а также sent (отправленные сообщения) и dispatch (сообщение во вкладку)
+ */
+function createFakeChrome({ respond = () => ({ success: true }) } = {}) {
+  const onChanged = createEvent();
+  const onMessage = createEvent();
+  const storage = { onChanged };
+  AREAS.forEach(area => { storage[area] = createArea(area, onChanged); });
+
+  const sent = [];
+
+  const chrome = {
+    storage,
+    i18n: createI18n(),
+    runtime: {
+      id: 'fake-extension',
+      lastError: undefined,
+      onMessage,
+
+      getURL: (file) => `chrome-extension://fake-extension/${file}`,
+
+      sendMessage(message, callback) {
+        sent.push(clone(message));
+        Promise.resolve(respond(clone(message))).then(response => later(callback, clone(response)));
+      }
+    },
+
+    // Служебное для тестов (в настоящем chrome этого нет)
+    sent,
+
+    /**
+     * Сообщения с действием action
+     */
+    sentActions(action) {
+      return sent.filter(message => message.action === action);
+    },
+
+    /**
+     * Отправляет сообщение слушателям onMessage, как background во вкладку
+     * @returns {Promise<*>} - Ответ через sendResponse
+     */
+    dispatch(message) {
+      return new Promise(resolve => {
+        onMessage.listeners.forEach(listener => listener(clone(message), { id: 'fake-extension' }, resolve));
+      });
+    }
+  };
+
+  return chrome;
+}
+
+module.exports = { createFakeChrome };
@@ -0,0 +1,149 @@
+// page.js - Страница mangabuff с контентными скриптами для тестов
+'use strict';
+
+/**
+ * @fileoverview Загружает HTML-фикстуру в jsdom с адресом mangabuff.ru,
+ * подставляет поддельный chrome.* и выполняет скрипты в порядке content_scripts
+ * из manifest.json - так же, как их подключает браузер. Контексты расширения
+ * без страницы mangabuff (openContext) получают только общие модули
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TextEncoder, TextDecoder } = require('util');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { createFakeChrome } = require('./fake-chrome');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+const MANIFEST = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+
+// Основной набор контентных скриптов (страницы mangabuff.ru)
+const CONTENT_SCRIPTS = MANIFEST.content_scripts.find(entry => entry.js.includes('content.js')).js;
+
+// ==================== УТИЛИТЫ ====================
+
+/**
+ * Читает HTML-фикстуру
+ * @param {string} name - Имя файла в tests/fixtures
+ */
+function fixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+/**
+ * Ждет выполнения условия
+ * @param {Function} predicate - Условие
+ * @param {number} [timeout=2000] - Сколько ждать, мс
+ * @returns {Promise<void>}
+ */
+async function waitFor(predicate, timeout = 2000) {
+  const started = Date.now();
+  while (!predicate()) {
+    if (Date.now() - started > timeout) throw new Error('waitFor: условие не выполнилось');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+// ==================== ЗАГРУЗКА ====================
+
+// Область хранилища по виду ключа (как в storage.js)
+const KIND_AREAS = { setting: 'sync', state: 'local', session: 'session' };
+
+/**
+ * Записывает значения прямо в поддельное хранилище, без событий onChanged
+ * @param {Object} chrome - Поддельный chrome
+ * @param {Object} settings - MBH.settings страницы
+ * @param {Object} values - Значения
+ */
+function seed(chrome, settings, values) {
+  for (const [key, value] of Object.entries(values)) {
+    const area = KIND_AREAS[settings.SCHEMA[key]?.kind] || 'local';
+    chrome.storage[area].data[key] = JSON.parse(JSON.stringify(value));
+  }
+}
+
+/**
+ * Открывает страницу и выполняет контентные скрипты
+ * @param {Object} options - Параметры
+ * @param {string} options.url - Адрес страницы
+ * @param {string} options.html - Разметка (см. fixture)
+ * @param {Object} [options.storage] - Значения хранилища до загрузки скриптов
+ * @param {Object} [options.features] - Функции вкладки из реестра background (ответ registerTab)
+ * @param {boolean} [options.afterLoad] - Запустить скрипты после события load
+ *   (document_idle часто наступает уже после него)
+ * @returns {Promise<Object>} - {window, document, chrome, content, storage, close}
+ */
+async function openPage({ url, html, storage = {}, features = {}, afterLoad = false }) {
+  const virtualConsole = new VirtualConsole();
+  const dom = new JSDOM(html, {
+    url,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole
+  });
+  const { window } = dom;
+
+  const chrome = createFakeChrome({
+    respond: (message) => (message.action === 'registerTab'
+      ? { success: true, features }
+      : { success: true })
+  });
+
+  window.chrome = chrome;
+  window.TextEncoder = window.TextEncoder || TextEncoder;
+  window.TextDecoder = window.TextDecoder || TextDecoder;
+
+  if (afterLoad && window.document.readyState !== 'complete') {
+    await new Promise(resolve => window.addEventListener('load', resolve, { once: true }));
+  }
+
+  const run = (file) => window.eval(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+
+  // Общие модули до content.js: по схеме settings.js раскладываем
+  // исходное состояние по областям хранилища (синхронно, до события load)
+  CONTENT_SCRIPTS.filter(file => file !== 'content.js').forEach(run);
+  seed(chrome, window.MBH.settings, storage);
+
+  run('content.js');
+  const content = window.MBH.content;
+  await content.state.registration;
+  // Начальную загрузку состояния content.js не ждет - дожидаемся повторной
+  await content.loadStateFromStorage();
+
+  return {
+    window,
+    document: window.document,
+    chrome,
+    content,
+    storage: window.MBH.storage,
+    close: () => window.close()
+  };
+}
+
+/**
+ * Открывает контекст расширения (background, popup, options) с общими модулями.
+ * Несколько контекстов с одним поддельным chrome делят хранилище, как в браузере
+ * @param {Object} options - Параметры
+ * @param {Object} options.chrome - Поддельный chrome
+ * @param {Array<string>} options.scripts - Файлы в порядке подключения
+ * @param {string} [options.url] - Адрес страницы
+ * @returns {Object} - {window, MBH, close}
+ */
+function openContext({ chrome, scripts, url = 'chrome-extension://fake-extension/popup.html' }) {
+  const { window } = new JSDOM('', {
+    url,
+    runScripts: 'outside-only',
+    virtualConsole: new VirtualConsole()
+  });
+
+  window.chrome = chrome;
+  window.TextEncoder = window.TextEncoder || TextEncoder;
+  window.TextDecoder = window.TextDecoder || TextDecoder;
+  scripts.forEach(file => window.eval(fs.readFileSync(path.join(ROOT, file), 'utf8')));
+
+  return { window, MBH: window.MBH, close: () => window.close() };
+}
+
+module.exports = { openPage, openContext, fixture, waitFor };
@@ -0,0 +1,101 @@
+// inject.test.js - Прогон записанных payload через извлечение ответа квиза
+'use strict';
+
+/**
+ * @fileoverview Каждый файл tests/fixtures/quiz-payloads/*.json - записанный
+ * ответ сервера: transport (fetch, xhr или websocket), body (JSON ответа или
+ * кадр WebSocket строкой) и expected - что должно найтись (пустой массив для
+ * ответов не по квизу). Известные ошибки эвристики отмечены knownIssue
+ * {note, actual}: тест сверяет текущий результат с actual, чтобы любое
+ * изменение эвристики было заметно
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractCorrectInfo, parseSocketMessage } = require('../inject.js');
+
+const CORPUS = path.join(__dirname, 'fixtures', 'quiz-payloads');
+
+const cases = fs.readdirSync(CORPUS)
+  .filter(file => file.endsWith('.json'))
+  .sort()
+  .map(file => ({ name: path.basename(file, '.json'), ...JSON.parse(fs.readFileSync(path.join(CORPUS, file), 'utf8')) }));
+
+// ==================== УТИЛИТЫ ====================
+
+/**
+ * Найденные ответы так же, как их получает перехватчик
+ * @param {Object} entry - Запись корпуса
+ * @returns {Array<Object>} - [{correctText, correctToken}]
+ */
+function replay(entry) {
+  if (entry.transport === 'websocket') return parseSocketMessage(entry.body);
+  const info = extractCorrectInfo(entry.body);
+  return info ? [info] : [];
+}
+
+/**
+ * Сравнивает найденное с ожидаемым по каждому полю
+ * @returns {{falsePositives: number, misses: number}}
+ *   falsePositives - найдено то, чего нет; misses - ожидаемое не найдено или найдено другое
+ */
+function classify(expected, actual) {
+  let falsePositives = 0;
+  let misses = 0;
+
+  for (let i = 0; i < Math.max(expected.length, actual.length); i++) {
+    for (const field of ['correctText', 'correctToken']) {
+      const want = expected[i]?.[field] ?? null;
+      const got = actual[i]?.[field] ?? null;
+      if (want === got) continue;
+      if (want === null) falsePositives++;
+      else misses++;
+    }
+  }
+
+  return { falsePositives, misses };
+}
+
+// ==================== КОРПУС ====================
+
+describe('извлечение ответа квиза на записанных payload', () => {
+  const totals = { cases: 0, correct: 0, falsePositives: 0, misses: 0, knownIssues: 0 };
+
+  for (const entry of cases) {
+    it(`${entry.name}: ${entry.description}`, (t) => {
+      const actual = replay(entry);
+      const { falsePositives, misses } = classify(entry.expected, actual);
+
+      totals.cases++;
+      totals.falsePositives += falsePositives;
+      totals.misses += misses;
+      if (!falsePositives && !misses) totals.correct++;
+
+      if (entry.knownIssue) {
+        totals.knownIssues++;
+        assert.ok(falsePositives || misses,
+          `${entry.name}: эвристика исправлена - уберите knownIssue из записи`);
+        assert.deepEqual(actual, entry.knownIssue.actual,
+          `${entry.name}: результат изменился, обновите knownIssue.actual`);
+        t.diagnostic(`известная ошибка: ${entry.knownIssue.note} ` +
+          `(ложных срабатываний ${falsePositives}, пропусков ${misses})`);
+        return;
+      }
+
+      assert.deepEqual(actual, entry.expected,
+        `${entry.name}: ложных срабатываний ${falsePositives}, пропусков ${misses}`);
+    });
+  }
+
+  // Записи выполняются по порядку, сводка - последней
+  it('сводка', (t) => {
+    t.diagnostic(
+      `${totals.cases} записей: верно ${totals.correct}, ` +
+      `ложных срабатываний ${totals.falsePositives}, пропусков ${totals.misses} ` +
+      `(известных ошибок ${totals.knownIssues})`
+    );
+    assert.equal(totals.cases, cases.length);
+  });
+});
@@ -0,0 +1,74 @@
+// profiles.test.js - Профили настроек profiles.js
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeChrome } = require('./helpers/fake-chrome');
+const { openContext } = require('./helpers/page');
+
+// Модули popup до profiles.js включительно
+const POPUP_SCRIPTS = ['protocol.js', 'settings.js', 'log.js', 'storage.js', 'i18n.js', 'profiles.js'];
+
+// Настройки, которые меняет popup (popup.js, StatusManager и обработчики)
+const POPUP_SETTINGS = [
+  'scrollSpeed', 'chapterLimit',
+  'sessionMinutes', 'sessionStopAt', 'sessionFinishChapter',
+  'giftClickDelay', 'mineClickDelay',
+  'theme', 'quizHighlight', 'hudEnabled',
+  'autoCommentSettings'
+];
+
+let context = null;
+
+afterEach(() => {
+  context?.close();
+  context = null;
+});
+
+/**
+ * Контекст popup: записи в sync поддельный background сохраняет сразу,
+ * без лимита частоты (его проверяет storage.test.js)
+ */
+function openPopup() {
+  const chrome = createFakeChrome({
+    respond: (message) => {
+      if (message.action === 'writeSync') chrome.storage.sync.set(message.values);
+      return { success: true };
+    }
+  });
+  context = openContext({ chrome, scripts: POPUP_SCRIPTS });
+  return context.MBH;
+}
+
+// ==================== СОСТАВ ПРОФИЛЯ ====================
+
+describe('профили', () => {
+  it('сохраняют все настройки popup', () => {
+    const { profiles } = openPopup();
+    assert.deepEqual([...profiles.KEYS].sort(), [...POPUP_SETTINGS].sort());
+  });
+
+  it('переключение профиля меняет тему и панель управления', async () => {
+    const { profiles, storage, settings } = openPopup();
+
+    await storage.set({ theme: 'dark', hudEnabled: true, scrollSpeed: 120 });
+    const reading = await profiles.create('Чтение');
+
+    await storage.set({ theme: 'light', hudEnabled: false, scrollSpeed: 60 });
+    const mine = await profiles.create('Шахта');
+
+    assert.equal(reading.settings.theme, 'dark');
+    assert.equal(reading.settings.hudEnabled, true);
+    assert.equal(mine.settings.theme, 'light');
+
+    await profiles.apply(reading.id);
+    const current = await settings.read(['theme', 'hudEnabled', 'scrollSpeed', profiles.ACTIVE_KEY]);
+    assert.equal(current.theme, 'dark');
+    assert.equal(current.hudEnabled, true);
+    assert.equal(current.scrollSpeed, 120);
+    assert.equal(current[profiles.ACTIVE_KEY], reading.id);
+
+    assert.equal(profiles.matches(reading, await profiles.snapshot()), true);
+    assert.equal(profiles.matches(mine, await profiles.snapshot()), false);
+  });
+});
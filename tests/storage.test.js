@@ -0,0 +1,136 @@
+// storage.test.js - Слой хранилища storage.js
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeChrome } = require('./helpers/fake-chrome');
+const { openContext } = require('./helpers/page');
+
+// Общие модули, которые подключают background, popup и options
+const SHARED_SCRIPTS = ['protocol.js', 'settings.js', 'log.js', 'storage.js', 'i18n.js'];
+
+// SYNC_MIN_INTERVAL из storage.js (с запасом на точность таймеров)
+const SYNC_MIN_INTERVAL = 2000;
+const TIMER_SLACK = 20;
+
+let contexts = [];
+
+afterEach(() => {
+  contexts.forEach(context => context.close());
+  contexts = [];
+});
+
+/**
+ * Background и страницы расширения с одним поддельным chrome:
+ * действие writeSync обрабатывает storage background, как handleWriteSync
+ * @param {number} pages - Сколько страниц открыть
+ * @returns {Object} - {chrome, background, pages, writes}
+ */
+function openExtension(pages) {
+  let background = null;
+  const chrome = createFakeChrome({
+    respond: async (message) => (message.action === 'writeSync'
+      ? { success: await background.MBH.storage.acceptSync(message.values) }
+      : { success: true })
+  });
+
+  // Время и ключи каждой операции записи в sync
+  const writes = [];
+  const syncSet = chrome.storage.sync.set;
+  chrome.storage.sync.set = (items, callback) => {
+    writes.push({ at: Date.now(), keys: Object.keys(items).sort() });
+    syncSet(items, callback);
+  };
+
+  background = openContext({ chrome, scripts: SHARED_SCRIPTS, url: 'chrome-extension://fake-extension/background.js' });
+  background.MBH.storage.ownSync();
+
+  const opened = Array.from({ length: pages }, () => openContext({ chrome, scripts: SHARED_SCRIPTS }));
+  contexts.push(background, ...opened);
+
+  return { chrome, background, pages: opened, writes };
+}
+
+// ==================== ЗАПИСЬ В SYNC ====================
+
+describe('запись в sync', () => {
+  it('страницы пишут через background: одна пачка и общий лимит частоты', async () => {
+    const { chrome, pages: [first, second], writes } = openExtension(2);
+
+    const together = await Promise.all([
+      first.MBH.storage.set({ scrollSpeed: 70 }),
+      second.MBH.storage.set({ giftClickDelay: 900 })
+    ]);
+    assert.deepEqual(together, [true, true]);
+    assert.equal(writes.length, 1);
+    assert.deepEqual(writes[0].keys, ['giftClickDelay', 'scrollSpeed']);
+
+    const again = await Promise.all([
+      first.MBH.storage.set({ scrollSpeed: 80 }),
+      second.MBH.storage.set({ giftClickDelay: 800 })
+    ]);
+    assert.deepEqual(again, [true, true]);
+    assert.equal(writes.length, 2);
+    assert.ok(writes[1].at - writes[0].at >= SYNC_MIN_INTERVAL - TIMER_SLACK,
+      `вторая запись через ${writes[1].at - writes[0].at} мс`);
+
+    assert.equal(chrome.storage.sync.data.scrollSpeed, 80);
+    assert.equal(chrome.storage.sync.data.giftClickDelay, 800);
+    assert.equal(chrome.sentActions('writeSync').length, 4);
+  });
+
+  it('страница сразу читает свое значение, пока background его не записал', async () => {
+    const { chrome, pages: [page] } = openExtension(1);
+
+    const written = page.MBH.storage.set({ scrollSpeed: 120 });
+    assert.equal((await page.MBH.storage.get(['scrollSpeed'])).scrollSpeed, 120);
+    assert.equal(chrome.storage.sync.data.scrollSpeed, undefined);
+
+    assert.equal(await written, true);
+    assert.equal(chrome.storage.sync.data.scrollSpeed, 120);
+  });
+
+  it('background не принимает через writeSync ключи других областей', async () => {
+    const { chrome, background } = openExtension(0);
+
+    assert.equal(await background.MBH.storage.acceptSync({ scrollSpeed: 90, chapterRead: 7 }), true);
+    assert.equal(chrome.storage.sync.data.scrollSpeed, 90);
+    assert.equal(chrome.storage.sync.data.chapterRead, undefined);
+    assert.equal(chrome.storage.local.data.chapterRead, undefined);
+  });
+});
+
+// ==================== РАЗБИЕНИЕ НА ЧАСТИ ====================
+
+describe('большие значения в sync', () => {
+  // CHUNK_CHARS из storage.js
+  const CHUNK_CHARS = 1300;
+
+  it('не разрезает emoji на границе частей и собирает значение обратно', async () => {
+    const { chrome, background } = openExtension(0);
+    const { storage } = background.MBH;
+
+    // Первый комментарий кончается emoji ровно на границе первой части
+    const prefix = JSON.stringify({ enabled: true, commentsList: ['#'] }).indexOf('#');
+    const first = 'a'.repeat(CHUNK_CHARS - 1 - prefix) + '😀';
+    const value = {
+      enabled: true,
+      commentsList: [first, ...Array.from({ length: 30 }, () => 'Спасибо за главу! 🔥'.repeat(10))]
+    };
+
+    const json = JSON.stringify(value);
+    assert.ok(json.charCodeAt(CHUNK_CHARS - 1) >= 0xD800 && json.charCodeAt(CHUNK_CHARS - 1) <= 0xDBFF,
+      'граница первой части приходится на середину emoji');
+
+    assert.equal(await storage.set({ autoCommentSettings: value }), true);
+
+    const chunks = Object.keys(chrome.storage.sync.data).filter(key => key.startsWith('autoCommentSettings__'));
+    assert.ok(chunks.length > 1);
+    for (const key of chunks) {
+      assert.ok(chrome.storage.sync.data[key].isWellFormed(), `${key}: половина суррогатной пары`);
+    }
+
+    const { autoCommentSettings } = await storage.get(['autoCommentSettings']);
+    assert.equal(JSON.stringify(autoCommentSettings), json);
+  });
+});
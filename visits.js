@@ -0,0 +1,251 @@
+// visits.js - История чтения
+'use strict';
+
+/**
+ * @fileoverview Журнал посещений глав Mangabuff Helper в IndexedDB
+ * Запись - одна глава, открытая во вкладке: манга, номер главы, заголовок,
+ * время начала и конца, время на странице, была ли включена автопрокрутка
+ * и сколько пикселей она прокрутила.
+ * База живет в origin расширения: записи присылают content scripts,
+ * пишет background, страница настроек читает и выгружает.
+ * Подключается в background (import) и options и публикуется как globalThis.MBH.visits
+ */
+
+(() => {
+  const MBH = globalThis.MBH = globalThis.MBH || {};
+
+  // ==================== КОНСТАНТЫ ====================
+
+  const CONFIG = {
+    DB_NAME: 'mbh-history',
+    DB_VERSION: 1,
+    STORE: 'visits',
+    INDEX: 'startedAt',
+    // Старые записи удаляются сверх лимита
+    MAX_RECORDS: 10000,
+    MAX_TEXT_LENGTH: 300,
+    // Начало текста, которое таблицы считают формулой
+    CSV_FORMULA_PATTERN: /^[=+\-@\t\r]/
+  };
+
+  /**
+   * Поля записи в порядке колонок выгрузки
+   */
+  const FIELDS = Object.freeze([
+    'id', 'slug', 'volume', 'chapter', 'title', 'url',
+    'startedAt', 'endedAt', 'timeSpent', 'autoScroll', 'scrolled'
+  ]);
+
+  // Поля-отметки времени (в CSV - ISO 8601)
+  const TIME_FIELDS = Object.freeze(['startedAt', 'endedAt']);
+
+  // ==================== СОСТОЯНИЕ ====================
+
+  const state = {
+    db: null
+  };
+
+  // ==================== БАЗА ====================
+
+  /**
+   * Превращает IDBRequest в Promise
+   * @param {IDBRequest} request - Запрос
+   * @returns {Promise<*>}
+   */
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Открывает базу (одно соединение на контекст)
+   * @returns {Promise<IDBDatabase>}
+   */
+  function open() {
+    if (state.db) return state.db;
+
+    const request = indexedDB.open(CONFIG.DB_NAME, CONFIG.DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(CONFIG.STORE, { keyPath: 'id' });
+      store.createIndex(CONFIG.INDEX, CONFIG.INDEX);
+    };
+
+    state.db = promisify(request).catch(err => {
+      state.db = null;
+      throw err;
+    });
+    return state.db;
+  }
+
+  /**
+   * Хранилище записей в транзакции
+   * @param {string} mode - readonly или readwrite
+   * @returns {Promise<IDBObjectStore>}
+   */
+  async function store(mode) {
+    const db = await open();
+    return db.transaction(CONFIG.STORE, mode).objectStore(CONFIG.STORE);
+  }
+
+  // ==================== ЗАПИСИ ====================
+
+  /**
+   * Приводит запись от вкладки к формату журнала
+   * @param {Object} raw - Запись
+   * @returns {Object|null} - null, если запись непригодна
+   */
+  function normalize(raw) {
+    if (!raw || typeof raw.id !== 'string' || !raw.id) return null;
+
+    const number = (value) => {
+      if (value == null || value === '') return null;
+      return Number.isFinite(Number(value)) ? Number(value) : null;
+    };
+    const text = (value) => (value == null ? '' : String(value).slice(0, CONFIG.MAX_TEXT_LENGTH));
+
+    const startedAt = number(raw.startedAt);
+    if (startedAt == null) return null;
+
+    return {
+      id: text(raw.id),
+      slug: text(raw.slug),
+      volume: text(raw.volume),
+      chapter: number(raw.chapter),
+      title: text(raw.title),
+      url: text(raw.url),
+      startedAt,
+      endedAt: Math.max(number(raw.endedAt) ?? startedAt, startedAt),
+      timeSpent: Math.max(0, Math.round(number(raw.timeSpent) ?? 0)),
+      autoScroll: Boolean(raw.autoScroll),
+      scrolled: Math.max(0, Math.round(number(raw.scrolled) ?? 0))
+    };
+  }
+
+  /**
+   * Сохраняет запись (повторная запись с тем же id обновляет ее)
+   * @param {Object} raw - Запись
+   * @returns {Promise<boolean>} - false, если запись отброшена
+   */
+  async function put(raw) {
+    const record = normalize(raw);
+    if (!record) return false;
+
+    await promisify((await store('readwrite')).put(record));
+    await prune();
+    return true;
+  }
+
+  /**
+   * Удаляет самые старые записи сверх MAX_RECORDS
+   * @returns {Promise<void>}
+   */
+  async function prune() {
+    const visits = await store('readwrite');
+    const excess = (await promisify(visits.count())) - CONFIG.MAX_RECORDS;
+    if (excess <= 0) return;
+
+    const cursorRequest = visits.index(CONFIG.INDEX).openCursor();
+    let left = excess;
+
+    await new Promise((resolve, reject) => {
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor || left <= 0) return resolve();
+        cursor.delete();
+        left--;
+        cursor.continue();
+      };
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+  }
+
+  /**
+   * Записи от новых к старым
+   * @param {Object} [options] - Параметры
+   * @param {string} [options.query] - Поиск по манге, заголовку, номеру главы и адресу
+   * @returns {Promise<Array<Object>>}
+   */
+  async function list({ query = '' } = {}) {
+    const visits = await store('readonly');
+    const records = await promisify(visits.index(CONFIG.INDEX).getAll());
+    records.reverse();
+
+    const needle = query.trim().toLowerCase();
+    if (!needle) return records;
+
+    return records.filter(record =>
+      [record.slug, record.title, record.url, record.chapter]
+        .some(value => String(value ?? '').toLowerCase().includes(needle))
+    );
+  }
+
+  /**
+   * Количество записей
+   * @returns {Promise<number>}
+   */
+  async function count() {
+    return promisify((await store('readonly')).count());
+  }
+
+  /**
+   * Удаляет все записи
+   * @returns {Promise<void>}
+   */
+  async function clear() {
+    await promisify((await store('readwrite')).clear());
+  }
+
+  // ==================== ВЫГРУЗКА ====================
+
+  /**
+   * Значение ячейки CSV (RFC 4180). Текст, похожий на формулу,
+   * экранируется апострофом: названия приходят с сайта
+   * @param {*} value - Значение
+   * @returns {string}
+   */
+  function csvCell(value) {
+    let text = value == null ? '' : String(value);
+    if (typeof value === 'string' && CONFIG.CSV_FORMULA_PATTERN.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Записи в CSV (время начала и конца - ISO 8601, timeSpent - мс)
+   * @param {Array<Object>} records - Записи
+   * @returns {string}
+   */
+  function toCSV(records) {
+    const rows = records.map(record => FIELDS.map(field => {
+      const value = record[field];
+      return csvCell(TIME_FIELDS.includes(field) && value != null ? new Date(value).toISOString() : value);
+    }).join(','));
+
+    return [FIELDS.join(','), ...rows].join('\r\n');
+  }
+
+  /**
+   * Записи в JSON
+   * @param {Array<Object>} records - Записи
+   * @returns {string}
+   */
+  function toJSON(records) {
+    return JSON.stringify(records.map(record =>
+      Object.fromEntries(FIELDS.map(field => [field, record[field]]))
+    ), null, 2);
+  }
+
+  // ==================== ЭКСПОРТ ====================
+
+  MBH.visits = Object.freeze({
+    FIELDS,
+    normalize,
+    put,
+    list,
+    count,
+    clear,
+    toCSV,
+    toJSON
+  });
+})();